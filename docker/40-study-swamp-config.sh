@@ -0,0 +1,10 @@
+#!/bin/sh
+# Writes the runtime config.json from environment variables at container start.
+# Unset variables are written as empty strings, which the app ignores in favor of build defaults.
+set -e
+
+TEMPLATE=/etc/study-swamp/config.json.template
+OUTPUT=/usr/share/nginx/html/config.json
+
+envsubst '${API_BASE_URL} ${API_ENUM_URL} ${COURSE_CATALOG_URL}' < "$TEMPLATE" > "$OUTPUT"
+echo "study-swamp: wrote runtime config to $OUTPUT"
@@ -2,7 +2,6 @@ import AppRouter from './router/AppRouter.js';
 import PageController from './controllers/PageController.js';
 import HMRManager from './dev/HMRManager.js';
 import UserService from './api/UserService.js';
-import ApiService from './api/ApiService.js';
 import LogoutManager from './controllers/LogoutManager.js';
 
 class App {
@@ -14,12 +13,18 @@ class App {
     this.inactivityTimeout = 40 * 60 * 1000; // 40 minutes in milliseconds
   }
   
-  init() {
+  async init() {
     console.log('🚀 Study Swamp App Starting...');
     
+    // Refresh expired access tokens transparently on 401 responses
+    UserService.installAuthInterceptor();
+    
     // Try to restore user session
     if (UserService.loadStoredCredentials()) {
       console.log('Restored user session');
+
+      // A session restored without a usable access token is refreshed before any page loads
+      await UserService.ensureFreshSession();
     }
     
     // Initialize router
@@ -61,9 +66,6 @@ class App {
 
   // Sets up auto-logout timer that triggers after 40 minutes of user inactivity
   setupInactivityTimer() {
-    // Only set up timer if user is logged in
-    if (!UserService.isLoggedIn()) return;
-    
     // Events that indicate user activity
     const activityEvents = ['mousedown', 'mousemove', 'keypress', 'scroll', 'touchstart', 'click'];
     
@@ -71,10 +73,11 @@ class App {
     const resetTimer = () => {
       if (this.inactivityTimer) {
         clearTimeout(this.inactivityTimer);
+        this.inactivityTimer = null;
       }
       
-      // Only set timer if user is still logged in
-      if (UserService.isLoggedIn()) {
+      // Only set timer while a session exists
+      if (UserService.getSession()) {
         this.inactivityTimer = setTimeout(() => {
           this.autoLogout();
         }, this.inactivityTimeout);
@@ -86,21 +89,28 @@ class App {
       document.addEventListener(event, resetTimer, true);
     });
     
-    // Start the initial timer
+    // Start the initial timer, and restart it whenever a new session begins
     resetTimer();
+    window.addEventListener('userLoggedIn', resetTimer);
     
     // Listen for logout events to clear timer
-    window.addEventListener('userLoggedOut', () => {
+    window.addEventListener('userLoggedOut', (e) => {
       if (this.inactivityTimer) {
         clearTimeout(this.inactivityTimer);
         this.inactivityTimer = null;
       }
+      
+      // Session could not be refreshed - send the user back to login
+      if (e.detail?.reason === 'expired') {
+        PageController.navigateTo('login');
+        PageController.showError('Your session has expired. Please log in again.');
+      }
     });
   }
   
   // Logs out user automatically when inactivity timeout is reached
   autoLogout() {
-    UserService.logout();
+    UserService.logout('inactivity');
     PageController.navigateTo('login');
     PageController.showError('You have been logged out due to inactivity.');
   }
@@ -124,7 +134,7 @@ class App {
   }
   
   logout() {
-    ApiService.logout();
+    UserService.logout();
   }
 }
 
@@ -0,0 +1,83 @@
+// ApiError - Typed error thrown by ApiService for failed requests
+// Carries the HTTP status, the endpoint and any JSON:API errors[] the backend returned
+
+class ApiError extends Error {
+  constructor(message, { status = 0, endpoint = '', method = 'GET', errors = [], body = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.method = method;
+    this.errors = errors;
+    this.body = body;
+    this.cause = cause;
+  }
+
+  /* ======= FACTORIES ======= */
+
+  // Builds an ApiError from a non-ok fetch response, parsing JSON:API errors when present
+  static async fromResponse(response, { endpoint, method }) {
+    let body = null;
+    let errors = [];
+    let details = '';
+
+    try {
+      const text = await response.text();
+      if (text) {
+        details = text;
+        try {
+          body = JSON.parse(text);
+          errors = Array.isArray(body?.errors) ? body.errors : [];
+        } catch (e) {
+          // Body is not JSON - keep the raw text in the message
+        }
+      }
+    } catch (e) {
+      // Ignore if we can't read the error
+    }
+
+    let message = `HTTP error! status: ${response.status}`;
+    if (details) {
+      message += ` - ${details}`;
+    }
+
+    return new ApiError(message, {
+      status: response.status,
+      endpoint,
+      method,
+      errors,
+      body
+    });
+  }
+
+  // Wraps a network failure or abort into an ApiError (status 0)
+  static fromNetworkError(error, { endpoint, method, timedOut = false }) {
+    const message = timedOut
+      ? `Request timed out: ${method} ${endpoint}`
+      : `Network error: ${error?.message || 'request failed'}`;
+
+    const apiError = new ApiError(message, { endpoint, method, cause: error });
+    apiError.isTimeout = timedOut;
+    apiError.isAbort = !timedOut && error?.name === 'AbortError';
+    return apiError;
+  }
+
+  /* ======= HELPERS ======= */
+
+  // True for network failures and 5xx/429 responses that are worth retrying
+  get isRetryable() {
+    if (this.isAbort) return false;
+    return this.status === 0 || this.status === 429 || this.status >= 500;
+  }
+
+  // Returns the human-readable details of the JSON:API errors, falling back to the message
+  get detail() {
+    const details = this.errors
+      .map(error => error.detail || error.title)
+      .filter(Boolean);
+
+    return details.length > 0 ? details.join(' ') : this.message;
+  }
+}
+
+export default ApiError;
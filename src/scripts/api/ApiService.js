@@ -1,335 +1,383 @@
 // ApiService - Centralized HTTP client for backend API communication
-// Handles GET, POST, PUT, DELETE requests with JSON:API support and authentication
+// Handles GET, POST, PUT, PATCH, DELETE requests with JSON:API support and authentication.
+// Every verb goes through a single request() pipeline that applies interceptors,
+// timeouts, retries with exponential backoff and typed ApiError failures.
+// Pass { cache: false } to bypass the EntityStore for a GET, or { invalidates: ['groups'] }
+// to drop cached queries of other resource types after a mutation.
 
-// Base URL for all API requests - points to local development server
-const API_BASE_URL = 'http://127.0.0.1:8000/api/v1';
-const API_ENUM_URL = 'http://127.0.0.1:8000/api';
+import ApiError from './ApiError.js';
+import AppConfig from '../config/AppConfig.js';
+import QueryBuilder from './QueryBuilder.js';
+import EntityStore from './EntityStore.js';
+
+// Verbs that can safely be repeated without side effects
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const JSON_CONTENT_TYPES = ['application/json', 'application/vnd.api+json'];
 
 class ApiService {
-  
+  static requestInterceptors = [];
+  static responseInterceptors = [];
+
+  // Default request timeout in milliseconds
+  static timeout = 15000;
+
+  // Retry policy for idempotent requests
+  static retryConfig = {
+    retries: 2,
+    baseDelay: 300,
+    maxDelay: 4000
+  };
+
   /* ======= REQUESTS ======= */
-  
+
   // GET request to API endpoint
-  static async getData(endpoint, authHeader = null) {
+  static async getData(endpoint, authHeader = null, options = {}) {
+    return this.request(endpoint, { ...options, method: 'GET', authHeader });
+  }
+
+  // GET request against the enum endpoint (plain JSON, not JSON:API)
+  static async getEnumData(endpoint, authHeader = null, options = {}) {
+    return this.request(endpoint, {
+      ...options,
+      method: 'GET',
+      authHeader,
+      baseUrl: this.getEnumUrl(),
+      accept: 'application/json'
+    });
+  }
+
+  // POST request with JSON data
+  static async postData(endpoint, data, authHeader = null, options = {}) {
+    return this.request(endpoint, { ...options, method: 'POST', data, authHeader });
+  }
+
+  // PUT request to update resource
+  static async putData(endpoint, data, authHeader = null, options = {}) {
+    return this.request(endpoint, { ...options, method: 'PUT', data, authHeader });
+  }
+
+  // PATCH request to partially update resource
+  static async patchData(endpoint, data, authHeader = null, options = {}) {
+    return this.request(endpoint, { ...options, method: 'PATCH', data, authHeader });
+  }
+
+  // DELETE request to remove resource
+  static async deleteData(endpoint, authHeader = null, options = {}) {
+    // Ensure trailing slash for Django
+    const cleanEndpoint = endpoint.replace(/^\/+/, '').replace(/\/+$/, '') + '/';
+
+    await this.request(cleanEndpoint, {
+      ...options,
+      method: 'DELETE',
+      authHeader,
+      expectJson: false
+    });
+
+    return { success: true };
+  }
+
+  /* ======= CORE PIPELINE ======= */
+
+  // Single entry point for every HTTP call made by the app
+  // GETs are read through the EntityStore cache; mutations invalidate the affected resource type
+  static async request(endpoint, options = {}) {
+    const config = this.buildRequestConfig(endpoint, options);
+
+    if (config.method === 'GET' && config.cache) {
+      // The cached fetch is shared between callers, so a caller's signal only cancels its own wait
+      const sharedConfig = { ...config, signal: null, options: { ...config.options, signal: null } };
+      const read = EntityStore.read(config.url, config.endpoint, () => this.send(sharedConfig), { ttl: config.ttl });
+      return this.abortable(read, config);
+    }
+
+    const result = await this.send(config);
+
+    if (config.method !== 'GET') {
+      EntityStore.handleMutation(config.endpoint, config.method, result, config.invalidates);
+    }
+
+    return result;
+  }
+
+  // Runs interceptors and the fetch for a request config
+  static async send(requestConfig) {
+    let config = requestConfig;
+
     try {
-      // Construct full URL, removing any leading slashes from endpoint to prevent double slashes
-      const url = `${API_BASE_URL}/${endpoint.replace(/^\/+/, '')}`;
-      
-      // Set up request headers with JSON:API accept header
-      const headers = {
-        'Accept': 'application/vnd.api+json',
-      };
-      
-      // Add authorization header if provided
-      if (authHeader) {
-        headers['Authorization'] = authHeader;
+      // Request interceptors may rewrite the config (headers, url, etc.)
+      for (const interceptor of this.requestInterceptors) {
+        config = (await interceptor(config)) || config;
       }
-      
-      // Make the HTTP request
-      const response = await fetch(url, { headers }),
-      contentType = response.headers.get('content-type');
-      
-      // Handle non-200 responses
-      if (!response.ok) {
-        // Try to get error details from response body for better debugging
-        let errorMessage = `HTTP error! status: ${response.status}`;
-        try {
-          const errorText = await response.text();
-          if (errorText) {
-            errorMessage += ` - ${errorText}`;
-          }
-        } catch (e) {
-          // Ignore if we can't read the error
+
+      let result = await this.executeWithRetry(config);
+
+      for (const { onFulfilled } of this.responseInterceptors) {
+        if (onFulfilled) {
+          result = await onFulfilled(result, config);
         }
-        throw new Error(errorMessage);
-      }
-      
-      // Validate response content type and parse JSON
-      if (
-        contentType &&
-        (contentType.includes('application/json') ||
-        contentType.includes('application/vnd.api+json'))
-      ) {
-        return await response.json();
-      } else {
-        // Handle unexpected content types
-        const text = await response.text();
-        throw new Error('Expected JSON, got: ' + text.slice(0, 200));
       }
+
+      return result;
     } catch (error) {
-      // Log error for debugging and re-throw for caller to handle
-      console.error('Error fetching data from', endpoint, ':', error);
-      throw error;
-    }
-  }
-  
-  static async getEnumData(endpoint, authHeader = null) {
-    try {
-      // Use the enum-specific base URL
-      const url = `${API_ENUM_URL}/${endpoint.replace(/^\/+/, '')}`;
-      
-      const headers = {
-        'Accept': 'application/json',
-      };
-      
-      if (authHeader) {
-        headers['Authorization'] = authHeader;
-      }
-      
-      const response = await fetch(url, { headers }),
-      contentType = response.headers.get('content-type');
-      
-      if (!response.ok) {
-        let errorMessage = `HTTP error! status: ${response.status}`;
+      // Response interceptors get a chance to recover from the failure (e.g. token refresh)
+      let currentError = error;
+      for (const { onRejected } of this.responseInterceptors) {
+        if (!onRejected) continue;
         try {
-          const errorText = await response.text();
-          if (errorText) {
-            errorMessage += ` - ${errorText}`;
-          }
-        } catch (e) {
-          // Ignore if we can't read the error
+          return await onRejected(currentError, config);
+        } catch (nextError) {
+          currentError = nextError;
         }
-        throw new Error(errorMessage);
       }
-      
-      if (
-        contentType &&
-        (contentType.includes('application/json') ||
-        contentType.includes('application/vnd.api+json'))
-      ) {
-        return await response.json();
-      } else {
-        const text = await response.text();
-        throw new Error('Expected JSON, got: ' + text.slice(0, 200));
+
+      // Log error for debugging and re-throw for caller to handle
+      if (!currentError?.isAbort) {
+        console.error(`Error on ${config.method} ${config.endpoint}:`, currentError);
       }
-    } catch (error) {
-      console.error('Error fetching enum data from', endpoint, ':', error);
-      throw error;
+      throw currentError;
     }
   }
-  
-  // POST request with JSON data  
-  static async postData(endpoint, data, authHeader = null) {
-    try {
-      // Construct full URL, removing any leading slashes from endpoint
-      const url = `${API_BASE_URL}/${endpoint.replace(/^\/+/, '')}`;
-      
-      // Set up request headers for JSON:API format
-      const headers = {
-        'Accept': 'application/vnd.api+json', // What we want to receive
-        'Content-Type': 'application/json', // What we are sending
-      };
-      
-      // Add authorization header if provided
-      if (authHeader) {
-        headers['Authorization'] = authHeader;
+
+  // Normalizes request options into a full request config
+  static buildRequestConfig(endpoint, options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const baseUrl = options.baseUrl || this.getBaseUrl();
+
+    // Remove any leading slashes from endpoint to prevent double slashes
+    // (endpoint may be a QueryBuilder, which stringifies to path + query)
+    const cleanEndpoint = String(endpoint).replace(/^\/+/, '');
+
+    const headers = {
+      'Accept': options.accept || 'application/vnd.api+json',
+    };
+
+    if (options.data !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    // Authorization may be a header string or an object of extra headers
+    if (options.authHeader) {
+      if (typeof options.authHeader === 'string') {
+        headers['Authorization'] = options.authHeader;
+      } else if (typeof options.authHeader === 'object') {
+        Object.assign(headers, options.authHeader);
       }
-      
-      // Make the HTTP POST request with JSON body
-      const response = await fetch(url, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(data) // Convert data object to JSON string
-      });
-      
-      const contentType = response.headers.get('content-type');
-      
-      // Handle non-200 responses
-      if (!response.ok) {
-        let errorMessage = `HTTP error! status: ${response.status}`;
-        try {
-          // Try to extract error details from response body
-          const errorText = await response.text();
-          if (errorText) {
-            errorMessage += ` - ${errorText}`;
-          }
-        } catch (e) {
-          // Ignore if we can't read the error
+    }
+
+    Object.assign(headers, options.headers || {});
+
+    const retryable = options.retry ?? IDEMPOTENT_METHODS.includes(method);
+
+    return {
+      endpoint: cleanEndpoint,
+      url: `${baseUrl}/${cleanEndpoint}`,
+      method,
+      headers,
+      data: options.data,
+      authHeader: options.authHeader || null,
+      expectJson: options.expectJson ?? true,
+      timeout: options.timeout ?? this.timeout,
+      retries: retryable ? (options.retries ?? this.retryConfig.retries) : 0,
+      signal: options.signal || null,
+      cache: options.cache ?? method === 'GET',
+      ttl: options.ttl ?? EntityStore.ttl,
+      invalidates: options.invalidates || [],
+      meta: options.meta || {},
+      // Original options, so interceptors can replay the request
+      options
+    };
+  }
+
+  // Rejects with an abort ApiError as soon as the config's signal aborts
+  static abortable(promise, config) {
+    const { signal } = config;
+    if (!signal) return promise;
+
+    const abortError = () => ApiError.fromNetworkError(new DOMException('Aborted', 'AbortError'), config);
+    if (signal.aborted) return Promise.reject(abortError());
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(abortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  // Runs the request, retrying retryable failures with exponential backoff
+  static async executeWithRetry(config) {
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await this.execute(config);
+      } catch (error) {
+        const canRetry = error instanceof ApiError && error.isRetryable && attempt < config.retries;
+        if (!canRetry) {
+          throw error;
         }
-        throw new Error(errorMessage);
+
+        await this.wait(this.getRetryDelay(attempt), config.signal);
+        attempt++;
       }
-      
-      // Validate response content type and parse JSON
-      if (
-        contentType &&
-        (contentType.includes('application/json') ||
-        contentType.includes('application/vnd.api+json'))
-      ) {
-        return await response.json();
+    }
+  }
+
+  // Performs a single fetch with timeout handling and response parsing
+  static async execute(config) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timeoutId = config.timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, config.timeout)
+      : null;
+
+    // Forward aborts from the caller's signal
+    const abortFromCaller = () => controller.abort();
+    if (config.signal) {
+      if (config.signal.aborted) {
+        controller.abort();
       } else {
-        // Handle unexpected content types
-        const text = await response.text();
-        throw new Error('Expected JSON, got: ' + text.slice(0, 200));
+        config.signal.addEventListener('abort', abortFromCaller, { once: true });
       }
-    } catch (error) {
-      // Log error for debugging and re-throw for caller to handle
-      console.error('Error posting data to', endpoint, ':', error);
-      throw error;
     }
-  }
-  
-  // PUT request to update resource
-  static async putData(endpoint, data, authHeader = null) {
+
     try {
-      // Construct full URL, removing any leading slashes from endpoint to prevent double slashes
-      const url = `${API_BASE_URL}/${endpoint.replace(/^\/+/, '')}`;
-      
-      // Set up request headers with JSON:API content type for PUT requests
-      const headers = {
-        'Content-Type': 'application/json',
-        'Accept': 'application/vnd.api+json',
-      };
-      
-      // Add authorization header if provided
-      if (authHeader) {
-        headers['Authorization'] = authHeader;
+      let response;
+      try {
+        response = await fetch(config.url, {
+          method: config.method,
+          headers: config.headers,
+          body: config.data !== undefined ? JSON.stringify(config.data) : undefined,
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw ApiError.fromNetworkError(error, { ...config, timedOut });
       }
-      
-      // Make the HTTP PUT request
-      const response = await fetch(url, {
-        method: 'PUT',
-        headers,
-        body: JSON.stringify(data),
-      });
-      
-      const contentType = response.headers.get('content-type');
-      
-      // Handle non-200 responses
+
+      // Handle non-2xx responses
       if (!response.ok) {
-        let errorMessage = `HTTP error! status: ${response.status}`;
-        try {
-          const errorText = await response.text();
-          if (errorText) {
-            errorMessage += ` - ${errorText}`;
-          }
-        } catch (e) {
-          // Ignore if we can't read the error
-        }
-        throw new Error(errorMessage);
+        throw await ApiError.fromResponse(response, config);
       }
-      
-      // Validate response has JSON content type before parsing (accept both JSON and JSON:API)
-      if (!contentType || (!contentType.includes('application/json') && !contentType.includes('application/vnd.api+json'))) {
-        throw new Error(`Expected JSON response but got ${contentType}`);
+
+      return await this.parseResponse(response, config);
+    } finally {
+      if (timeoutId) clearTimeout(timeoutId);
+      if (config.signal) {
+        config.signal.removeEventListener('abort', abortFromCaller);
       }
-      
-      // Parse and return JSON response
-      return await response.json();
-      
-    } catch (error) {
-      // Log error for debugging and re-throw for caller to handle
-      console.error('Error putting data to', endpoint, ':', error);
-      throw error;
     }
   }
 
-  // Patch request to update resource
-  static async patchData(endpoint, data, authHeader = null) {
-    try {
-      const url = `${API_BASE_URL}/${endpoint.replace(/^\/+/, '')}`;
-      
-      const headers = {
-        'Content-Type': 'application/json',
-        'Accept': 'application/vnd.api+json',
-      };
-      
-      if (authHeader) {
-        headers['Authorization'] = authHeader;
-      }
-      
-      const response = await fetch(url, {
-        method: 'PATCH',
-        headers,
-        body: JSON.stringify(data),
+  // Validates response content type and parses JSON
+  static async parseResponse(response, config) {
+    if (response.status === 204 || !config.expectJson) {
+      return null;
+    }
+
+    const contentType = response.headers.get('content-type');
+    const isJson = contentType && JSON_CONTENT_TYPES.some(type => contentType.includes(type));
+
+    if (!isJson) {
+      // Handle unexpected content types
+      const text = await response.text();
+      throw new ApiError('Expected JSON, got: ' + text.slice(0, 200), {
+        status: response.status,
+        endpoint: config.endpoint,
+        method: config.method
       });
-      
-      const contentType = response.headers.get('content-type');
-      
-      if (!response.ok) {
-        let errorMessage = `HTTP error! status: ${response.status}`;
-        try {
-          const errorText = await response.text();
-          if (errorText) {
-            errorMessage += ` - ${errorText}`;
-          }
-        } catch (e) {
-          // Ignore if we can't read the error
-        }
-        throw new Error(errorMessage);
-      }
-      
-      if (!contentType || (!contentType.includes('application/json') && !contentType.includes('application/vnd.api+json'))) {
-        throw new Error(`Expected JSON response but got ${contentType}`);
-      }
-      
-      return await response.json();
-      
-    } catch (error) {
-      console.error('Error patching data to', endpoint, ':', error);
-      throw error;
     }
+
+    return await response.json();
   }
-  
-  // DELETE request to remove resource
-  static async deleteData(endpoint, authHeader = null) {
-    try {
-      // Ensure trailing slash for Django
-      const cleanEndpoint = endpoint.replace(/^\/+/, '').replace(/\/+$/, '') + '/';
-      const url = `${API_BASE_URL}/${cleanEndpoint}`;
-      
-      const headers = {
-        'Content-Type': 'application/json',
-        'Accept': 'application/vnd.api+json',
-      };
-      
-      if (authHeader) {
-        if (typeof authHeader === 'string') {
-          headers['Authorization'] = authHeader;
-        } else if (typeof authHeader === 'object') {
-          Object.assign(headers, authHeader);
-        }
-      }
 
-      const response = await fetch(url, {
-        method: 'DELETE',
-        headers: headers
-      });
+  /* ======= INTERCEPTORS ======= */
 
-      if (!response.ok) {
-        let errorDetails = `HTTP ${response.status}: ${response.statusText}`;
-        
-        try {
-          const contentType = response.headers.get('content-type');
-          if (contentType && contentType.includes('application/json')) {
-            const errorData = await response.json();
-            errorDetails += ` - ${JSON.stringify(errorData)}`;
-          } else {
-            const errorText = await response.text();
-            if (errorText) {
-              errorDetails += ` - ${errorText}`;
-            }
-          }
-        } catch (e) {
-          console.warn('Could not read error response body:', e);
-        }
-        
-        console.error(`Delete failed for ${cleanEndpoint}:`, errorDetails);
-        throw new Error(errorDetails);
-      }
+  // Registers a function that receives and may modify every request config
+  // Returns a function that removes the interceptor
+  static addRequestInterceptor(interceptor) {
+    this.requestInterceptors.push(interceptor);
+    return () => {
+      this.requestInterceptors = this.requestInterceptors.filter(item => item !== interceptor);
+    };
+  }
 
-      return { success: true };
-    } catch (error) {
-      console.error(`Error deleting data from ${endpoint} :`, error);
-      throw error;
-    }
+  // Registers handlers for successful results and failures
+  // onRejected may return a value to recover from the error or throw to propagate it
+  static addResponseInterceptor(onFulfilled = null, onRejected = null) {
+    const interceptor = { onFulfilled, onRejected };
+    this.responseInterceptors.push(interceptor);
+    return () => {
+      this.responseInterceptors = this.responseInterceptors.filter(item => item !== interceptor);
+    };
+  }
+
+  /* ======= QUERIES ======= */
+
+  // Starts a JSON:API query for a collection endpoint
+  static query(resource) {
+    return new QueryBuilder(resource);
   }
-  
+
+  // Returns the included resources of a given type from a compound document
+  static getIncluded(response, type) {
+    const included = response?.included || [];
+    return included.filter(resource => resource.type?.toLowerCase() === type.toLowerCase());
+  }
+
   /* ======= UTILITIES ======= */
-  
-  // Get the base API URL
+
+  // Get the base API URL from the runtime configuration
   static getBaseUrl() {
-    return API_BASE_URL;
+    return AppConfig.get('apiBaseUrl');
+  }
+
+  // Get the enum API URL from the runtime configuration
+  static getEnumUrl() {
+    return AppConfig.get('apiEnumUrl');
+  }
+
+  // Exponential backoff with jitter, capped at maxDelay
+  static getRetryDelay(attempt) {
+    const { baseDelay, maxDelay } = this.retryConfig;
+    const delay = baseDelay * Math.pow(2, attempt);
+    const jitter = Math.random() * baseDelay;
+    return Math.min(delay + jitter, maxDelay);
+  }
+
+  // Resolves after the given delay, rejecting early if the signal aborts
+  static wait(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      const abortError = () => ApiError.fromNetworkError(new DOMException('Aborted', 'AbortError'), {
+        endpoint: '',
+        method: ''
+      });
+
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+
+      // The listener is removed once the delay passes so long-lived page signals don't collect them
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
-export default ApiService;
\ No newline at end of file
+export { ApiError, QueryBuilder, EntityStore };
+export default ApiService;
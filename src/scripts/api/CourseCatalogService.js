@@ -0,0 +1,144 @@
+// CourseCatalogService - Course catalog behind the course picker
+// Courses come from the enum endpoint when it provides them (enums.courses), otherwise from the
+// catalog file at AppConfig courseCatalogUrl - a JSON array or a CSV with a
+// department,number,title header. Each course gets a canonical id such as "COP3502".
+
+import ApiService from './ApiService.js';
+import UserService from './UserService.js';
+import AppConfig from '../config/AppConfig.js';
+
+class CourseCatalogService {
+  // Promise of the normalized course list, shared by every picker
+  static catalog = null;
+
+  /* ======= LOADING ======= */
+
+  // Loads the catalog once; a failed load is not cached so the next picker can retry
+  static load() {
+    if (!this.catalog) {
+      this.catalog = this.fetchCourses()
+        .then(courses => this.normalizeCourses(courses))
+        .catch(error => {
+          this.catalog = null;
+          throw error;
+        });
+    }
+
+    return this.catalog;
+  }
+
+  static async fetchCourses() {
+    try {
+      const response = await ApiService.getEnumData('enums/', UserService.getAuthHeader());
+      const courses = response.data?.enums?.courses || [];
+      if (courses.length > 0) return courses;
+    } catch (error) {
+      console.warn('Course enums unavailable, using the catalog file:', error);
+    }
+
+    return await this.fetchCatalogFile(AppConfig.get('courseCatalogUrl'));
+  }
+
+  static async fetchCatalogFile(url) {
+    const response = await fetch(url, { headers: { 'Accept': 'application/json, text/csv' } });
+    if (!response.ok) {
+      throw new Error(`Unable to load course catalog (${response.status})`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('csv') || url.toLowerCase().endsWith('.csv')) {
+      return this.parseCsv(await response.text());
+    }
+
+    return await response.json();
+  }
+
+  // Parses a header row plus one course per line; quoted fields may contain commas
+  static parseCsv(text) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim());
+    if (rows.length === 0) return [];
+
+    const splitRow = (line) => (line.match(/("([^"]|"")*"|[^,]*)(,|$)/g) || [])
+      .slice(0, -1)
+      .map(field => field.replace(/,$/, '').trim().replace(/^"|"$/g, '').replace(/""/g, '"'));
+
+    const headers = splitRow(rows[0]).map(header => header.toLowerCase());
+    return rows.slice(1).map(line => {
+      const values = splitRow(line);
+      return Object.fromEntries(headers.map((header, index) => [header, values[index] || '']));
+    });
+  }
+
+  // Drops incomplete rows and duplicate ids, and sorts by course code
+  static normalizeCourses(rawCourses = []) {
+    const coursesById = new Map();
+
+    rawCourses.forEach(raw => {
+      const department = (raw.department || raw.dept || '').toString().trim().toUpperCase();
+      const number = (raw.number || raw.course_number || raw.class_number || '').toString().trim().toUpperCase();
+      if (!department || !number) return;
+
+      const id = raw.id?.toString().trim().toUpperCase() || this.createCourseId(department, number);
+      if (!coursesById.has(id)) {
+        coursesById.set(id, { id, department, number, title: (raw.title || raw.name || '').toString().trim() });
+      }
+    });
+
+    return [...coursesById.values()].sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /* ======= LOOKUPS ======= */
+
+  static async findById(courseId) {
+    if (!courseId) return null;
+    const courses = await this.load();
+    return courses.find(course => course.id === courseId.toString().toUpperCase()) || null;
+  }
+
+  // Finds the course stored on a group - by course_id, or by department and class number for older groups
+  static async findForGroup(group) {
+    const attributes = group?.attributes || {};
+    if (attributes.course_id) {
+      return await this.findById(attributes.course_id);
+    }
+
+    const courses = await this.load();
+    const department = (attributes.department || '').toUpperCase();
+    const number = (attributes.class_number ?? '').toString();
+    return courses.find(course => course.department === department && parseInt(course.number, 10).toString() === number) || null;
+  }
+
+  // Resolves picker text ("COP 3502 – Programming Fundamentals", "cop3502" or an exact title) to a course
+  static async resolve(text) {
+    const value = (text || '').trim();
+    if (!value) return null;
+
+    const courses = await this.load();
+    const code = this.createCourseId(value.split(/\s+[-–]\s+/)[0]);
+
+    return courses.find(course => course.id === code || this.formatCourse(course) === value) ||
+      courses.find(course => course.title && course.title.toLowerCase() === value.toLowerCase()) ||
+      null;
+  }
+
+  static async getDepartments() {
+    const courses = await this.load();
+    return [...new Set(courses.map(course => course.department))];
+  }
+
+  /* ======= FORMATTING ======= */
+
+  // "COP 3502 – Programming Fundamentals"
+  static formatCourse(course) {
+    if (!course) return '';
+    const code = `${course.department} ${course.number}`;
+    return course.title ? `${code} – ${course.title}` : code;
+  }
+
+  // Canonical course id - department and number without spaces, uppercased
+  static createCourseId(department = '', number = '') {
+    return `${department}${number}`.replace(/\s+/g, '').toUpperCase();
+  }
+}
+
+export default CourseCatalogService;
@@ -0,0 +1,144 @@
+// EntityStore - Normalized client-side cache for JSON:API resources
+// Keeps every resource seen in a response keyed by type + id, caches GET documents
+// with a TTL, shares in-flight GETs for the same URL, and drops cached queries for
+// a resource type whenever ApiService mutates that type.
+
+class EntityStore {
+  // 'Type:id' -> JSON:API resource object
+  static records = new Map();
+  // url -> { document, resource, expiresAt }
+  static queries = new Map();
+  // url -> Promise of the in-flight GET
+  static inflight = new Map();
+  // endpoint resource segment ('members') -> JSON:API type ('Member')
+  static resourceTypes = new Map();
+
+  // Default time-to-live for cached GET documents in milliseconds
+  static ttl = 30 * 1000;
+
+  /* ======= READS ======= */
+
+  // Returns a cached document for the URL, or runs fetcher once and caches its result
+  // Concurrent reads of the same URL share the same in-flight request
+  static async read(url, endpoint, fetcher, { ttl = this.ttl } = {}) {
+    const cached = this.queries.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.document;
+    }
+
+    if (this.inflight.has(url)) {
+      return this.inflight.get(url);
+    }
+
+    const resource = this.getResourceSegment(endpoint);
+    const request = fetcher()
+      .then(document => {
+        this.ingest(document, resource);
+        if (ttl > 0) {
+          this.queries.set(url, { document, resource, expiresAt: Date.now() + ttl });
+        }
+        return document;
+      })
+      .finally(() => {
+        this.inflight.delete(url);
+      });
+
+    this.inflight.set(url, request);
+    return request;
+  }
+
+  // Returns a single resource by type and id
+  static find(type, id) {
+    if (id === undefined || id === null) return null;
+    return this.records.get(this.getKey(type, id)) || null;
+  }
+
+  // Returns every stored resource of a type
+  static findAll(type) {
+    const prefix = `${type.toLowerCase()}:`;
+    return [...this.records.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([, resource]) => resource);
+  }
+
+  // Resolves a relationship of a resource to the stored related resource(s)
+  static resolve(resource, relationship) {
+    const linkage = resource?.relationships?.[relationship]?.data;
+    if (!linkage) return null;
+
+    if (Array.isArray(linkage)) {
+      return linkage.map(item => this.find(item.type, item.id)).filter(Boolean);
+    }
+    return this.find(linkage.type, linkage.id);
+  }
+
+  /* ======= WRITES ======= */
+
+  // Stores every resource in a document's data and included members
+  static ingest(document, resource = null) {
+    if (!document || typeof document !== 'object') return;
+
+    const primary = Array.isArray(document.data) ? document.data : [document.data];
+    const included = Array.isArray(document.included) ? document.included : [];
+
+    [...primary, ...included].forEach(item => {
+      if (item?.type && item.id !== undefined) {
+        this.records.set(this.getKey(item.type, item.id), item);
+      }
+    });
+
+    // Remember which JSON:API type an endpoint serves, for deletes and invalidation
+    const primaryType = primary.find(item => item?.type)?.type;
+    if (resource && primaryType) {
+      this.resourceTypes.set(resource, primaryType);
+    }
+  }
+
+  // Updates the store after a successful POST/PUT/PATCH/DELETE
+  static handleMutation(endpoint, method, document, invalidates = []) {
+    const resource = this.getResourceSegment(endpoint);
+
+    if (method === 'DELETE') {
+      const id = endpoint.split('?')[0].split('/').filter(Boolean)[1];
+      const type = this.resourceTypes.get(resource);
+      if (id && type) {
+        this.records.delete(this.getKey(type, id));
+      }
+    } else {
+      this.ingest(document, resource);
+    }
+
+    this.invalidate(resource, ...invalidates);
+  }
+
+  // Drops cached queries for the given endpoint resources ('members', 'groups', ...)
+  static invalidate(...resources) {
+    const targets = resources.filter(Boolean);
+
+    [...this.queries.entries()].forEach(([url, entry]) => {
+      if (targets.includes(entry.resource)) {
+        this.queries.delete(url);
+      }
+    });
+  }
+
+  // Empties the store (e.g. on logout, so the next user never sees stale data)
+  static clear() {
+    this.records.clear();
+    this.queries.clear();
+    this.inflight.clear();
+  }
+
+  /* ======= HELPERS ======= */
+
+  static getKey(type, id) {
+    return `${type.toLowerCase()}:${id}`;
+  }
+
+  // 'members/12/?include=user' -> 'members'
+  static getResourceSegment(endpoint) {
+    return String(endpoint).replace(/^\/+/, '').split('?')[0].split('/')[0];
+  }
+}
+
+export default EntityStore;
@@ -3,14 +3,15 @@
 import ApiService from './ApiService.js';
 import UserService from './UserService.js';
 import BaseService from './BaseService.js';
+import Slugs from '../utils/Slugs.js';
 
 class MeetingDetailService extends BaseService {
 
   // Fetch meetings with auth
-  static async fetchMeetings() {
+  static async fetchMeetings(options = {}) {
     try {
       const authHeader = UserService.getAuthHeader();
-      const meetingData = await ApiService.getData('meetings/', authHeader);
+      const meetingData = await ApiService.getData('meetings/', authHeader, options);
       return meetingData;
     } catch (error) {
       console.error('Failed to fetch meetings:', error);
@@ -20,17 +21,38 @@ class MeetingDetailService extends BaseService {
   
   // Convert meeting name to slug (shared utility)
   static createMeetingSlug(meetingName) {
-    return meetingName
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '')
-      .replace(/-+/g, '-');
+    return Slugs.create(meetingName);
+  }
+  
+  // Builds the canonical detail path for a meeting: /meetings/17-weekly-review
+  static createMeetingPath(meeting) {
+    return Slugs.createPath('/meetings', meeting);
+  }
+  
+  // Fetches a specific meeting by id
+  static async getMeetingById(meetingId, options = {}) {
+    try {
+      const authHeader = UserService.getAuthHeader();
+      const response = await ApiService.getData(`meetings/${meetingId}/`, authHeader, options);
+      
+      return {
+        meetingData: response?.data || null,
+      };
+    } catch (error) {
+      // A missing meeting is not an error for callers - they show "not found"
+      if (error.status === 404) {
+        return { meetingData: null };
+      }
+      console.error('Failed to get meeting by id:', error);
+      throw error;
+    }
   }
   
   // Fetches a specific meeting by slug
-  static async getMeetingBySlug(slug) {
+  // Only used to redirect legacy slug-only URLs - names are not unique
+  static async getMeetingBySlug(slug, options = {}) {
     try {
-      const response = await this.fetchMeetings();
+      const response = await this.fetchMeetings(options);
       const allMeetings = response.data || [];
       
       // Find meeting by matching slug
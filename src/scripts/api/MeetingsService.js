@@ -1,17 +1,28 @@
 // MeetingService - manages meeting data and UI rendering
 
 import ApiService from './ApiService.js';
+import PageController from '../controllers/PageController.js';
 import UserService from './UserService.js';
 import BaseService from './BaseService.js';
 import MeetingDetailService from './MeetingDetailService.js';
+import Recurrence from '../utils/Recurrence.js';
+import ICalendar from '../utils/ICalendar.js';
+
+// Which occurrences of a recurring meeting an edit or cancellation applies to
+export const SERIES_SCOPES = {
+  OCCURRENCE: 'occurrence',
+  FOLLOWING: 'following',
+  SERIES: 'series',
+};
 
 class MeetingsService extends BaseService {
 
   // Fetches all meetings for the current user
-  static async getUpcomingMeetings() {
+  // options are passed through to ApiService (e.g. { signal })
+  static async getUpcomingMeetings(options = {}) {
     try {
       const authHeader = UserService.getAuthHeader();
-      const meetingData = await ApiService.getData('meetings/', authHeader);
+      const meetingData = await ApiService.getData('meetings/', authHeader, options);
 
       return {
         meetingData: meetingData,
@@ -22,6 +33,397 @@ class MeetingsService extends BaseService {
     }
   }
 
+  // Fetches meetings belonging to the given groups, optionally starting from a date
+  static async getMeetingsForGroups(groupIds = [], { from = null, include = [], signal = null } = {}) {
+    if (groupIds.length === 0) {
+      return { meetingData: { data: [] } };
+    }
+    
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('meetings/')
+      .filter('group.in', groupIds)
+      .filter('start_time.gte', from)
+      .include(include)
+      .sort('start_time');
+    
+    const meetingData = await ApiService.getData(query, authHeader, { signal });
+    return { meetingData };
+  }
+
+  // Meetings of any group booked at a location between from and to (room availability)
+  static async getMeetingsAtLocation(locationId, { from = null, to = null, signal = null } = {}) {
+    if (!locationId) return [];
+
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('meetings/')
+      .filter('location', locationId)
+      .filter('end_time.gt', from)
+      .filter('start_time.lt', to)
+      .sort('start_time');
+
+    const response = await ApiService.getData(query, authHeader, { signal, cache: false });
+    return response.data || [];
+  }
+
+  // Builds the meetings/ payload from form values (local date, start time and duration in hours)
+  static buildMeetingPayload({ name, description, date, startTime, duration, group, location }) {
+    const startDateTime = new Date(`${date}T${startTime}`);
+    const endDateTime = new Date(startDateTime.getTime() + (duration * 60 * 60 * 1000));
+
+    return {
+      name,
+      description: description || '',
+      start_time: startDateTime.toISOString(),
+      end_time: endDateTime.toISOString(),
+      group: parseInt(group),
+      location: parseInt(location)
+    };
+  }
+
+  // Creates a single meeting, or a meeting_series plus one meeting per occurrence when rule repeats
+  // Returns { meetings, failedDates } so callers can report occurrences that couldn't be created
+  static async createMeetings(meetingData, rule = null) {
+    const authHeader = UserService.getAuthHeader();
+
+    if (!Recurrence.isRecurring(rule)) {
+      const response = await ApiService.postData('meetings/', this.buildMeetingPayload(meetingData), authHeader);
+      return { meetings: [response.data], failedDates: [] };
+    }
+
+    const seriesResponse = await ApiService.postData('meeting_series/', {
+      ...Recurrence.toAttributes(rule),
+      start_date: meetingData.date,
+      group: parseInt(meetingData.group)
+    }, authHeader);
+
+    return await this.createOccurrences(seriesResponse.data.id, meetingData, Recurrence.expand(rule, meetingData.date));
+  }
+
+  // Creates one meeting per date in the series - sequentially, so a long semester doesn't flood the API
+  static async createOccurrences(seriesId, meetingData, dates) {
+    const authHeader = UserService.getAuthHeader();
+    const meetings = [];
+    const failedDates = [];
+
+    for (const date of dates) {
+      try {
+        const payload = { ...this.buildMeetingPayload({ ...meetingData, date }), series: parseInt(seriesId) };
+        const response = await ApiService.postData('meetings/', payload, authHeader);
+        meetings.push(response.data);
+      } catch (error) {
+        console.error(`Failed to create meeting on ${date}:`, error);
+        failedDates.push(date);
+      }
+    }
+
+    return { meetings, failedDates };
+  }
+
+  // Id of the meeting_series a meeting was generated from, or null for one-off meetings
+  static getSeriesId(meeting) {
+    return meeting?.relationships?.series?.data?.id || meeting?.attributes?.series || null;
+  }
+
+  static async getSeries(seriesId, options = {}) {
+    const authHeader = UserService.getAuthHeader();
+    const response = await ApiService.getData(`meeting_series/${seriesId}/`, authHeader, options);
+    return response.data;
+  }
+
+  // The recurrence rule of a meeting's series, or null for one-off meetings
+  static async getRecurrence(meeting, options = {}) {
+    const seriesId = this.getSeriesId(meeting);
+    if (!seriesId) return null;
+
+    const series = await this.getSeries(seriesId, options);
+    return Recurrence.fromAttributes(series?.attributes);
+  }
+
+  // Meetings generated from a series, optionally only those starting at or after from
+  static async getSeriesMeetings(seriesId, { from = null, signal = null } = {}) {
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('meetings/')
+      .filter('series', seriesId)
+      .filter('start_time.gte', from)
+      .sort('start_time');
+
+    const response = await ApiService.getData(query, authHeader, { signal, cache: false });
+    return response.data || [];
+  }
+
+  // Updates a meeting, or the occurrences of its series selected by scope (a SERIES_SCOPES value)
+  // Moving the date shifts the whole rule. Occurrences still on the (shifted) rule keep their
+  // discussion and get the new details; dates the rule dropped are deleted and new ones created.
+  static async updateMeetings(meeting, meetingData, scope = SERIES_SCOPES.OCCURRENCE, rule = null) {
+    const authHeader = UserService.getAuthHeader();
+    const seriesId = this.getSeriesId(meeting);
+
+    if (!seriesId || scope === SERIES_SCOPES.OCCURRENCE) {
+      const payload = { ...this.buildMeetingPayload(meetingData), ...(seriesId ? { series: parseInt(seriesId) } : {}) };
+      const response = await ApiService.putData(`meetings/${meeting.id}/`, payload, authHeader);
+      return { meetings: [response.data], failedDates: [] };
+    }
+
+    const series = await this.getSeries(seriesId);
+    const currentRule = Recurrence.fromAttributes(series.attributes);
+    const occurrenceDate = Recurrence.toDateString(meeting.attributes?.start_time);
+    const dayOffset = Recurrence.daysBetween(occurrenceDate, meetingData.date);
+    const isFollowing = scope === SERIES_SCOPES.FOLLOWING;
+    const isSplit = isFollowing && occurrenceDate > series.attributes?.start_date;
+
+    const meetings = await this.getSeriesMeetings(seriesId, {
+      from: isFollowing ? meeting.attributes?.start_time : null
+    });
+    const startDate = isFollowing ? meetingData.date : Recurrence.addDays(series.attributes?.start_date, dayOffset);
+
+    const ruleChanged = rule && !Recurrence.isSameRule(rule, currentRule);
+    let targetRule = ruleChanged ? rule : Recurrence.shift(currentRule, dayOffset);
+
+    // "This and following" ends the original series the day before and continues in a new one
+    let targetSeriesId = seriesId;
+    if (isSplit) {
+      // The old count covered the whole series, so the new one runs until the old last meeting
+      if (!ruleChanged && targetRule.count) {
+        const lastDate = Recurrence.toDateString(meetings[meetings.length - 1]?.attributes?.start_time ?? meeting.attributes?.start_time);
+        targetRule = { ...targetRule, count: null, until: Recurrence.addDays(lastDate, dayOffset) };
+      }
+
+      await this.endSeriesBefore(series, occurrenceDate);
+      const splitResponse = await ApiService.postData('meeting_series/', {
+        ...Recurrence.toAttributes(targetRule),
+        start_date: startDate,
+        group: parseInt(meetingData.group)
+      }, authHeader);
+      targetSeriesId = splitResponse.data.id;
+    } else {
+      await ApiService.patchData(`meeting_series/${seriesId}/`, {
+        ...Recurrence.toAttributes(targetRule),
+        start_date: startDate
+      }, authHeader);
+    }
+
+    const expectedDates = new Set(Recurrence.expand(targetRule, startDate));
+    const currentDates = Recurrence.expand(currentRule, series.attributes?.start_date)
+      .filter(date => !isFollowing || date >= occurrenceDate);
+    const { onRuleDate, moved, unmatched } = this.matchRuleDates(meetings, currentDates);
+    const updated = [];
+    const removed = [];
+
+    const saveOccurrence = async (occurrence, date) => {
+      const payload = { ...this.buildMeetingPayload({ ...meetingData, date }), series: parseInt(targetSeriesId) };
+      const response = await ApiService.putData(`meetings/${occurrence.id}/`, payload, authHeader);
+      updated.push(response.data);
+    };
+    const shiftOwnDate = (occurrence) => Recurrence.addDays(Recurrence.toDateString(occurrence.attributes?.start_time), dayOffset);
+
+    // Meetings on a rule date follow the rule - a date the new rule drops loses its meeting
+    for (const [ruleDate, occurrence] of onRuleDate) {
+      const date = Recurrence.addDays(ruleDate, dayOffset);
+      if (expectedDates.delete(date)) {
+        await saveOccurrence(occurrence, date);
+      } else {
+        removed.push(occurrence);
+      }
+    }
+
+    // Meetings moved on their own stay on their own day (shifted with the series) and keep their
+    // id; their rule date doesn't get a second meeting
+    for (const { meeting: occurrence, date: ruleDate } of moved) {
+      expectedDates.delete(Recurrence.addDays(ruleDate, dayOffset));
+      await saveOccurrence(occurrence, shiftOwnDate(occurrence));
+    }
+    for (const occurrence of unmatched) {
+      await saveOccurrence(occurrence, shiftOwnDate(occurrence));
+    }
+
+    await this.deleteMeetingList(removed);
+    const created = await this.createOccurrences(targetSeriesId, meetingData, [...expectedDates]);
+
+    return { meetings: [...updated, ...created.meetings], failedDates: created.failedDates };
+  }
+
+  // Cancels a meeting, or the occurrences of its series selected by scope (a SERIES_SCOPES value)
+  static async cancelMeetings(meeting, scope = SERIES_SCOPES.OCCURRENCE) {
+    const authHeader = UserService.getAuthHeader();
+    const seriesId = this.getSeriesId(meeting);
+    const occurrenceDate = Recurrence.toDateString(meeting.attributes?.start_time);
+
+    if (!seriesId || scope === SERIES_SCOPES.OCCURRENCE) {
+      await ApiService.deleteData(`meetings/${meeting.id}/`, authHeader);
+
+      // Record the gap so the series' rule still describes its meetings
+      if (seriesId) {
+        const series = await this.getSeries(seriesId);
+        const skipDates = series.attributes?.skip_dates || [];
+        await ApiService.patchData(`meeting_series/${seriesId}/`, {
+          skip_dates: [...new Set([...skipDates, occurrenceDate])].sort()
+        }, authHeader);
+      }
+      return;
+    }
+
+    const series = await this.getSeries(seriesId);
+    const keepEarlier = scope === SERIES_SCOPES.FOLLOWING && occurrenceDate > series.attributes?.start_date;
+    const meetings = await this.getSeriesMeetings(seriesId, {
+      from: scope === SERIES_SCOPES.FOLLOWING ? meeting.attributes?.start_time : null
+    });
+
+    await this.deleteMeetingList(meetings);
+
+    if (keepEarlier) {
+      await this.endSeriesBefore(series, occurrenceDate);
+    } else {
+      await ApiService.deleteData(`meeting_series/${seriesId}/`, authHeader);
+    }
+  }
+
+  // Ends a series the day before date (count-based rules become date-based)
+  static async endSeriesBefore(series, date) {
+    const authHeader = UserService.getAuthHeader();
+    await ApiService.patchData(`meeting_series/${series.id}/`, {
+      until: Recurrence.addDays(date, -1),
+      count: null
+    }, authHeader);
+  }
+
+  static async deleteMeetingList(meetings) {
+    const authHeader = UserService.getAuthHeader();
+    for (const meeting of meetings) {
+      await ApiService.deleteData(`meetings/${meeting.id}/`, authHeader);
+    }
+  }
+
+  // iCalendar file with one event per meeting - groups and locations fill in names and rooms
+  static createCalendar(meetings = [], { groups = [], locations = [] } = {}) {
+    const findById = (items, id) => items.find(item => item.id?.toString() === id?.toString()) || null;
+
+    return ICalendar.createCalendar(meetings.map(meeting => this.createCalendarEvent(meeting, {
+      group: findById(groups, meeting.relationships?.group?.data?.id),
+      location: findById(locations, meeting.relationships?.location?.data?.id)
+    })));
+  }
+
+  // Event for ICalendar. With a series, the event covers the whole series: it starts on the
+  // series' first date at this meeting's time and repeats by the series rule.
+  static createCalendarEvent(meeting, { group = null, location = null, series = null } = {}) {
+    const attrs = meeting.attributes || {};
+    let start = new Date(attrs.start_time);
+    const duration = new Date(attrs.end_time || attrs.start_time) - start;
+    const rule = series ? Recurrence.fromAttributes(series.attributes) : null;
+
+    if (rule) {
+      // iCalendar counts DTSTART as an occurrence, so start on the first date the rule matches
+      const firstDate = Recurrence.expand({ ...rule, skipDates: [] }, series.attributes?.start_date)[0];
+      if (firstDate) {
+        start = new Date(`${firstDate}T${start.toTimeString().slice(0, 8)}`);
+      }
+    }
+
+    const description = [
+      attrs.description,
+      group?.attributes?.name ? `Study group: ${group.attributes.name}` : ''
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      uid: rule ? `meeting-series-${series.id}@${window.location.hostname}` : `meeting-${meeting.id}@${window.location.hostname}`,
+      start,
+      end: new Date(start.getTime() + duration),
+      summary: attrs.name || 'Untitled Meeting',
+      description,
+      location: location ? `${location.attributes?.building} - Room ${location.attributes?.room}` : '',
+      url: `${window.location.origin}${MeetingDetailService.createMeetingPath(meeting)}`,
+      rule
+    };
+  }
+
+  // Events for a whole series: the repeating event, built from the details most occurrences share,
+  // plus a RECURRENCE-ID override for each occurrence changed on its own. Rule dates with no
+  // meeting left are excluded, and meetings that don't map onto a rule date are exported separately.
+  static createSeriesCalendarEvents(series, occurrences = [], { group = null, locations = [] } = {}) {
+    const findLocation = (meeting) => locations.find(location =>
+      location.id?.toString() === meeting.relationships?.location?.data?.id?.toString()) || null;
+    const getSignature = (meeting) => {
+      const attrs = meeting.attributes || {};
+      const start = new Date(attrs.start_time);
+      return [
+        start.toTimeString().slice(0, 8),
+        new Date(attrs.end_time || attrs.start_time) - start,
+        attrs.name,
+        attrs.description,
+        meeting.relationships?.location?.data?.id
+      ].join('|');
+    };
+
+    // The most common details stand for the series
+    const signatureCounts = new Map();
+    occurrences.forEach(meeting => {
+      const signature = getSignature(meeting);
+      signatureCounts.set(signature, (signatureCounts.get(signature) || 0) + 1);
+    });
+    const baseSignature = [...signatureCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+    const base = occurrences.find(meeting => getSignature(meeting) === baseSignature);
+    if (!base) return [];
+
+    const seriesEvent = this.createCalendarEvent(base, { group, location: findLocation(base), series });
+    if (!Recurrence.isRecurring(seriesEvent.rule)) {
+      return occurrences.map(meeting => this.createCalendarEvent(meeting, { group, location: findLocation(meeting) }));
+    }
+
+    const ruleDates = Recurrence.expand(seriesEvent.rule, series.attributes?.start_date);
+    const baseTime = new Date(base.attributes.start_time).toTimeString().slice(0, 8);
+    const { onRuleDate, moved, unmatched, freeDates } = this.matchRuleDates(occurrences, ruleDates);
+
+    // Moved occurrences override the rule date they took over; the rest only when their details differ
+    const overrides = [...moved];
+    onRuleDate.forEach((meeting, date) => {
+      if (getSignature(meeting) !== baseSignature) overrides.push({ meeting, date });
+    });
+
+    // Rule dates nobody took over were removed from the series
+    seriesEvent.rule = {
+      ...seriesEvent.rule,
+      skipDates: [...(seriesEvent.rule.skipDates || []), ...freeDates].sort()
+    };
+
+    return [
+      seriesEvent,
+      ...overrides.map(({ meeting, date }) => ({
+        ...this.createCalendarEvent(meeting, { group, location: findLocation(meeting) }),
+        uid: seriesEvent.uid,
+        recurrenceId: new Date(`${date}T${baseTime}`)
+      })),
+      ...unmatched.map(meeting => this.createCalendarEvent(meeting, { group, location: findLocation(meeting) }))
+    ];
+  }
+
+  // Pairs a series' meetings with the rule dates they stand for. A meeting on a rule date keeps it;
+  // the others (occurrences moved to another day on their own) are matched in order to the rule
+  // dates left without a meeting. Returns { onRuleDate: Map of date -> meeting, moved: [{ meeting, date }],
+  // unmatched: meetings with no rule date left, freeDates: rule dates nothing stands for }
+  static matchRuleDates(meetings, ruleDates) {
+    const sorted = [...meetings].sort((a, b) => new Date(a.attributes?.start_time) - new Date(b.attributes?.start_time));
+    const onRuleDate = new Map();
+    const offRule = [];
+    sorted.forEach(meeting => {
+      const date = Recurrence.toDateString(meeting.attributes?.start_time);
+      if (ruleDates.includes(date) && !onRuleDate.has(date)) {
+        onRuleDate.set(date, meeting);
+      } else {
+        offRule.push(meeting);
+      }
+    });
+
+    const emptyDates = ruleDates.filter(date => !onRuleDate.has(date));
+    const moved = offRule.slice(0, emptyDates.length).map((meeting, index) => ({ meeting, date: emptyDates[index] }));
+
+    return {
+      onRuleDate,
+      moved,
+      unmatched: offRule.slice(moved.length),
+      freeDates: emptyDates.slice(moved.length)
+    };
+  }
+
   // Fetches and filters meetings to only include future meetings
   static async getUpcomingMeetingsFiltered() {
     try {
@@ -72,7 +474,8 @@ class MeetingsService extends BaseService {
   }
 
   // Creates a meeting card element without using templates
-  static createCard(meeting, index = 0) {
+  // context.canManage(meeting) adds edit and cancel buttons (handled by the page via event delegation)
+  static createCard(meeting, index = 0, context = {}) {
     const title = meeting.attributes?.name || 'Untitled Meeting';
     const startTime = new Date(meeting.attributes?.start_time);
     const description = startTime.toLocaleDateString() + ' at ' + startTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -87,6 +490,13 @@ class MeetingsService extends BaseService {
     titleElement.className = 'h5';
     titleElement.textContent = title;
 
+    if (this.getSeriesId(meeting)) {
+      const repeatIcon = document.createElement('span');
+      repeatIcon.className = 'fa-solid fa-repeat text-teal ms-2 fs-6';
+      repeatIcon.title = 'Recurring meeting';
+      titleElement.appendChild(repeatIcon);
+    }
+
     const descriptionElement = document.createElement('p');
     descriptionElement.className = 'text-muted mb-0';
     descriptionElement.textContent = description;
@@ -101,7 +511,26 @@ class MeetingsService extends BaseService {
     viewBtn.addEventListener('click', () => this.handleMeetingAction(meeting));
 
     cardDiv.appendChild(contentDiv);
-    cardDiv.appendChild(viewBtn);
+
+    if (context.canManage?.(meeting)) {
+      cardDiv.classList.add('meeting-card');
+      cardDiv.dataset.meetingId = meeting.id;
+
+      const actionsDiv = document.createElement('div');
+      actionsDiv.className = 'd-flex gap-2';
+      actionsDiv.innerHTML = `
+        <button type="button" class="btn btn-sm btn-outline-gator-accent edit-meeting" title="Edit meeting">
+          <span class="fa-solid fa-pen"></span>
+        </button>
+        <button type="button" class="btn btn-sm btn-outline-dark-gray cancel-meeting" title="Cancel meeting">
+          <span class="fa-solid fa-xmark"></span>
+        </button>
+      `;
+      actionsDiv.appendChild(viewBtn);
+      cardDiv.appendChild(actionsDiv);
+    } else {
+      cardDiv.appendChild(viewBtn);
+    }
 
     return cardDiv;
   }
@@ -190,21 +619,16 @@ class MeetingsService extends BaseService {
     }
 
     meetings.forEach((meeting, index) => {
-      const card = this.createCard(meeting, index);
+      const card = this.createCard(meeting, index, context);
       container.appendChild(card);
     });
   }
 
   // Handles meeting card interactions
   static handleMeetingAction(meeting) {
-    const meetingName = meeting.attributes?.name || '';
-
-    // Create URL-friendly slug from meeting name
-    const meetingSlug = MeetingDetailService.createMeetingSlug(meetingName);
-    
-    // Navigate to meeting detail page (same pattern as groups)
-    const meetingUrl = `/meetings/${meetingSlug}`;
-    window.location.href = meetingUrl;
+    // Navigate to meeting detail page (id + slug, same pattern as groups)
+    const meetingUrl = MeetingDetailService.createMeetingPath(meeting);
+    PageController.navigateTo(meetingUrl);
   }
 }
 
@@ -0,0 +1,119 @@
+// QueryBuilder - Fluent builder for JSON:API collection queries
+// Emits filter[...], include, fields[...], sort and page[...] parameters so pages
+// request only the records they render instead of filtering whole collections client-side.
+//
+// Usage:
+//   const query = new QueryBuilder('meetings/')
+//     .filter('group.in', groupIds)
+//     .include('location')
+//     .sort('start_time');
+//   const response = await ApiService.getData(query, authHeader);
+
+class QueryBuilder {
+  constructor(resource) {
+    this.resource = resource;
+    this.filters = {};
+    this.includes = [];
+    this.sparseFields = {};
+    this.sortFields = [];
+    this.pagination = {};
+    this.extraParams = {};
+  }
+
+  /* ======= PARAMETERS ======= */
+
+  // Adds filter[field]=value - arrays are joined with commas, empty values are skipped
+  filter(field, value) {
+    if (value === undefined || value === null || value === '') {
+      return this;
+    }
+
+    if (Array.isArray(value)) {
+      this.filters[field] = value.map(item => item.toString()).join(',');
+    } else if (value instanceof Date) {
+      this.filters[field] = value.toISOString();
+    } else {
+      this.filters[field] = value.toString();
+    }
+
+    return this;
+  }
+
+  // Adds relationships to include in the compound document
+  include(...relationships) {
+    relationships.flat().forEach(relationship => {
+      if (relationship && !this.includes.includes(relationship)) {
+        this.includes.push(relationship);
+      }
+    });
+    return this;
+  }
+
+  // Restricts attributes returned for a resource type (fields[Type]=a,b)
+  fields(type, fieldList) {
+    this.sparseFields[type] = Array.isArray(fieldList) ? fieldList.join(',') : fieldList;
+    return this;
+  }
+
+  // Adds sort fields - prefix with '-' for descending
+  sort(...fields) {
+    fields.flat().forEach(field => {
+      if (field) this.sortFields.push(field);
+    });
+    return this;
+  }
+
+  // Sets page[number] / page[size] (or any other page[...] key)
+  page(options = {}) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        this.pagination[key] = value;
+      }
+    });
+    return this;
+  }
+
+  // Adds an arbitrary query parameter
+  param(key, value) {
+    if (value !== undefined && value !== null) {
+      this.extraParams[key] = value;
+    }
+    return this;
+  }
+
+  /* ======= OUTPUT ======= */
+
+  // Returns the query string (without leading '?')
+  toQueryString() {
+    const params = [];
+    const add = (key, value) => params.push(`${key}=${encodeURIComponent(value)}`);
+
+    Object.entries(this.filters).forEach(([field, value]) => add(`filter[${field}]`, value));
+
+    if (this.includes.length > 0) {
+      add('include', this.includes.join(','));
+    }
+
+    Object.entries(this.sparseFields).forEach(([type, value]) => add(`fields[${type}]`, value));
+
+    if (this.sortFields.length > 0) {
+      add('sort', this.sortFields.join(','));
+    }
+
+    Object.entries(this.pagination).forEach(([key, value]) => add(`page[${key}]`, value));
+    Object.entries(this.extraParams).forEach(([key, value]) => add(key, value));
+
+    return params.join('&');
+  }
+
+  // Returns the endpoint with its query string, ready for ApiService
+  toString() {
+    const query = this.toQueryString();
+    if (!query) return this.resource;
+
+    const separator = this.resource.includes('?') ? '&' : '?';
+    return `${this.resource}${separator}${query}`;
+  }
+}
+
+export default QueryBuilder;
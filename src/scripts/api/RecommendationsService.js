@@ -0,0 +1,211 @@
+// RecommendationsService - Suggests study groups on the dashboard
+// Candidates come from the user's departments and from groups their co-members belong to.
+// Each one is scored on shared courses, department overlap, co-members and activity, and
+// dismissed or "not interested" groups are remembered per user in localStorage. Groups the user
+// already asked to join, and every group for a "not interested" course, are left out.
+
+import ApiService from './ApiService.js';
+import UserService from './UserService.js';
+import StudyGroupsService, { GROUP_VISIBILITY, JOIN_REQUEST_STATUS } from './StudyGroupsService.js';
+
+const DISMISSED_STORAGE_PREFIX = 'dismissedRecommendations:';
+
+// Feedback kinds - dismissed groups come back after a while, "not interested" is permanent
+export const RECOMMENDATION_FEEDBACK = {
+  DISMISSED: 'dismissed',
+  NOT_INTERESTED: 'not-interested',
+};
+
+const DISMISS_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// How much each signal contributes to a group's score
+const SCORE_WEIGHTS = {
+  sameCourse: 5,
+  department: 3,
+  coMember: 1.5,
+  upcomingMeeting: 0.5,
+};
+
+// Co-members and upcoming meetings stop adding to the score past these counts
+const MAX_COUNTED_CO_MEMBERS = 3;
+const MAX_COUNTED_MEETINGS = 4;
+
+// Top departments searched for candidates
+const MAX_DEPARTMENTS = 3;
+
+class RecommendationsService {
+  /* ======= RECOMMENDATIONS ======= */
+
+  // Returns up to limit { group, score, reason } suggestions, best first
+  // userGroups are the groups the user belongs to; departmentCounts comes from StatsService.calculateStats
+  static async getRecommendations({ userId, userGroups = [], departmentCounts = {} }, { limit = 3, signal = null } = {}) {
+    const userGroupIds = new Set(userGroups.map(group => group.id.toString()));
+    const topDepartments = Object.entries(departmentCounts)
+      .filter(([department]) => department !== 'Other')
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_DEPARTMENTS)
+      .map(([department]) => department);
+
+    const [departmentGroups, coMemberCounts, requestedGroupIds] = await Promise.all([
+      this.getDepartmentGroups(topDepartments, { signal }),
+      this.getCoMemberCounts(userId, [...userGroupIds], { signal }),
+      this.getRequestedGroupIds(userId, { signal })
+    ]);
+
+    // Co-member groups not already found through a department
+    const departmentGroupIds = new Set(departmentGroups.map(group => group.id.toString()));
+    const missingIds = [...coMemberCounts.keys()].filter(id => !departmentGroupIds.has(id) && !userGroupIds.has(id));
+    const coMemberGroupsResponse = await StudyGroupsService.getGroupsByIds(missingIds, { signal });
+
+    const feedback = this.getFeedback(userId);
+    const userCourses = new Set(userGroups.map(group => this.getCourseKey(group)));
+    const notInterestedCourses = new Set(
+      Object.values(feedback)
+        .filter(entry => entry.type === RECOMMENDATION_FEEDBACK.NOT_INTERESTED && entry.course)
+        .map(entry => entry.course)
+    );
+
+    return [...departmentGroups, ...(coMemberGroupsResponse.data || [])]
+      .filter(group => !userGroupIds.has(group.id.toString()))
+      .filter(group => !requestedGroupIds.has(group.id.toString()))
+      .filter(group => !feedback[group.id])
+      .filter(group => !notInterestedCourses.has(this.getCourseKey(group)))
+      .filter(group => StudyGroupsService.getVisibility(group) !== GROUP_VISIBILITY.INVITE)
+      .map(group => this.scoreGroup(group, {
+        userCourses,
+        departmentCounts,
+        totalGroups: userGroups.length,
+        coMembers: coMemberCounts.get(group.id.toString()) || 0
+      }))
+      .filter(recommendation => recommendation.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Scores one candidate and picks the strongest signal as the reason shown to the user
+  static scoreGroup(group, { userCourses, departmentCounts, totalGroups, coMembers }) {
+    const course = this.getCourseKey(group);
+    const department = group.attributes?.department;
+    const upcomingMeetings = parseInt(group.attributes?.upcoming_meeting_count, 10) || 0;
+
+    const signals = [
+      {
+        score: userCourses.has(course) ? SCORE_WEIGHTS.sameCourse : 0,
+        reason: `Another group for ${StudyGroupsService.getCourseLabel(group)}`
+      },
+      {
+        score: totalGroups > 0 ? SCORE_WEIGHTS.department * (departmentCounts[department] || 0) / totalGroups : 0,
+        reason: `Popular in ${department}, like your groups`
+      },
+      {
+        score: SCORE_WEIGHTS.coMember * Math.min(coMembers, MAX_COUNTED_CO_MEMBERS),
+        reason: `${coMembers} ${coMembers === 1 ? 'person' : 'people'} from your groups ${coMembers === 1 ? 'is' : 'are'} a member`
+      },
+      {
+        score: SCORE_WEIGHTS.upcomingMeeting * Math.min(upcomingMeetings, MAX_COUNTED_MEETINGS),
+        reason: `${upcomingMeetings} upcoming ${upcomingMeetings === 1 ? 'meeting' : 'meetings'}`
+      }
+    ];
+
+    const strongest = signals.reduce((best, signal) => (signal.score > best.score ? signal : best));
+
+    return {
+      group,
+      score: signals.reduce((sum, signal) => sum + signal.score, 0),
+      reason: strongest.reason
+    };
+  }
+
+  /* ======= CANDIDATES ======= */
+
+  static async getDepartmentGroups(departments, { signal = null } = {}) {
+    if (departments.length === 0) return [];
+
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('groups/').filter('department.in', departments);
+    const response = await ApiService.getData(query, authHeader, { signal });
+    return response.data || [];
+  }
+
+  // Map of group id -> number of people who share a group with the user and belong to it
+  static async getCoMemberCounts(userId, userGroupIds, { signal = null } = {}) {
+    const counts = new Map();
+    if (userGroupIds.length === 0) return counts;
+
+    const groupMembers = await StudyGroupsService.getMemberships({ groupIds: userGroupIds, signal });
+    const coMemberIds = [...new Set(
+      (groupMembers.data || [])
+        .map(member => member.relationships?.user?.data?.id?.toString())
+        .filter(id => id && id !== userId?.toString())
+    )];
+    if (coMemberIds.length === 0) return counts;
+
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('members/').filter('user.in', coMemberIds);
+    const response = await ApiService.getData(query, authHeader, { signal });
+
+    (response.data || []).forEach(member => {
+      const groupId = member.relationships?.group?.data?.id?.toString();
+      if (groupId) counts.set(groupId, (counts.get(groupId) || 0) + 1);
+    });
+
+    return counts;
+  }
+
+  // Ids of groups the user has a pending or waitlisted join request for
+  static async getRequestedGroupIds(userId, { signal = null } = {}) {
+    if (!userId) return new Set();
+
+    const response = await StudyGroupsService.getJoinRequests({
+      userId,
+      statuses: [JOIN_REQUEST_STATUS.PENDING, JOIN_REQUEST_STATUS.WAITLISTED],
+      signal
+    });
+
+    return new Set((response.data || [])
+      .map(request => request.relationships?.group?.data?.id?.toString())
+      .filter(Boolean));
+  }
+
+  /* ======= FEEDBACK ======= */
+
+  // Returns { groupId: { type, course, at } } for the user, dropping expired dismissals
+  static getFeedback(userId) {
+    if (!userId) return {};
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.getStorageKey(userId)) || '{}');
+      const now = Date.now();
+
+      return Object.fromEntries(Object.entries(stored).filter(([, entry]) =>
+        entry.type === RECOMMENDATION_FEEDBACK.NOT_INTERESTED || now - entry.at < DISMISS_DURATION_MS
+      ));
+    } catch (error) {
+      console.warn('Ignoring unreadable recommendation feedback:', error);
+      return {};
+    }
+  }
+
+  // Hides a recommended group for this user - type is a RECOMMENDATION_FEEDBACK value
+  static saveFeedback(userId, group, type = RECOMMENDATION_FEEDBACK.DISMISSED) {
+    if (!userId || !group) return;
+
+    const feedback = this.getFeedback(userId);
+    feedback[group.id] = { type, course: this.getCourseKey(group), at: Date.now() };
+    localStorage.setItem(this.getStorageKey(userId), JSON.stringify(feedback));
+  }
+
+  /* ======= HELPERS ======= */
+
+  static getStorageKey(userId) {
+    return `${DISMISSED_STORAGE_PREFIX}${userId}`;
+  }
+
+  // Catalog course id when the group has one, otherwise department + class number
+  static getCourseKey(group) {
+    const attributes = group?.attributes || {};
+    return (attributes.course_id || `${attributes.department || ''}${attributes.class_number || ''}`).toString().toUpperCase();
+  }
+}
+
+export default RecommendationsService;
@@ -4,7 +4,8 @@ import UserService from './UserService.js';
 class StatsService {
   
   // Calculates statistics from all groups and user's groups
-  static calculateStats(allGroups = [], userGroups = [], meetings = []) {
+  // totalGroups overrides allGroups.length when only a server-side count is available
+  static calculateStats(allGroups = [], userGroups = [], meetings = [], totalGroups = null) {
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const tomorrow = new Date(today);
@@ -31,7 +32,7 @@ class StatsService {
     
     return {
       myGroups: userGroups.length,
-      totalAvailableGroups: allGroups.length,
+      totalAvailableGroups: totalGroups ?? allGroups.length,
       todaysMeetings: todaysMeetings.length,
       upcomingMeetings: upcomingMeetings.length,
       departmentCounts: departmentCounts,
@@ -220,7 +221,8 @@ class StatsService {
       currentUserId = null,
       clickHandlers = {},
       clickableCards = [],
-      customStats = null
+      customStats = null,
+      totalGroups = null
     } = options;
     
     const container = document.getElementById(containerId);
@@ -236,7 +238,7 @@ class StatsService {
     }
     
     // Use custom stats if provided (for awards), otherwise calculate from groups/meetings
-    const stats = customStats || this.calculateStats(allGroups, finalUserGroups, meetings);
+    const stats = customStats || this.calculateStats(allGroups, finalUserGroups, meetings, totalGroups);
     const layouts = this.getLayouts();
     
     if (!layouts[layout]) {
@@ -3,16 +3,19 @@
 import ApiService from './ApiService.js';
 import UserService from './UserService.js';
 import BaseService from './BaseService.js';
+import StudyGroupsService from './StudyGroupsService.js';
+import Permissions, { ROLES } from '../utils/Permissions.js';
+import Slugs from '../utils/Slugs.js';
 
 class StudyGroupDetailService extends BaseService {
   
   /* ======= COMMON HELPERS ======= */
   
   // Fetch groups with auth
-  static async fetchGroups() {
+  static async fetchGroups(options = {}) {
     try {
       const authHeader = UserService.getAuthHeader();
-      const studyGroupData = await ApiService.getData('groups/', authHeader);
+      const studyGroupData = await ApiService.getData('groups/', authHeader, options);
       return studyGroupData;
     } catch (error) {
       console.error('Failed to fetch groups:', error);
@@ -22,19 +25,40 @@ class StudyGroupDetailService extends BaseService {
   
   // Convert group name to slug (shared utility)
   static createGroupSlug(groupName) {
-    return groupName
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '')
-    .replace(/-+/g, '-');
+    return Slugs.create(groupName);
+  }
+  
+  // Builds the canonical detail path for a group: /study-groups/42-calc-study
+  static createGroupPath(group) {
+    return Slugs.createPath('/study-groups', group);
   }
   
   /* ======= GETTERS ======= */
   
+  // Fetches a specific study group by id
+  static async getGroupById(groupId, options = {}) {
+    try {
+      const authHeader = UserService.getAuthHeader();
+      const response = await ApiService.getData(`groups/${groupId}/`, authHeader, options);
+      
+      return {
+        studyGroupData: response?.data || null,
+      };
+    } catch (error) {
+      // A missing group is not an error for callers - they show "not found"
+      if (error.status === 404) {
+        return { studyGroupData: null };
+      }
+      console.error('Failed to get study group by id:', error);
+      throw error;
+    }
+  }
+  
   // Fetches a specific study group by slug
-  static async getGroupBySlug(slug) {
+  // Only used to redirect legacy slug-only URLs - names are not unique
+  static async getGroupBySlug(slug, options = {}) {
     try {
-      const response = await this.fetchGroups();
+      const response = await this.fetchGroups(options);
       const allGroups = response.data || [];
       
       // Find group by matching slug
@@ -61,7 +85,10 @@ class StudyGroupDetailService extends BaseService {
       const authHeader = UserService.getAuthHeader();
       
       // First, find the membership record
-      const membersResponse = await ApiService.getData('members/', authHeader);
+      const query = ApiService.query('members/')
+        .filter('user', userId)
+        .filter('group', groupId);
+      const membersResponse = await ApiService.getData(query, authHeader);
       const membership = membersResponse.data.find(member => 
         member.relationships.user.data.id.toString() === userId.toString() &&
         member.relationships.group.data.id.toString() === groupId.toString()
@@ -71,16 +98,184 @@ class StudyGroupDetailService extends BaseService {
         throw new Error('Membership not found');
       }
       
-      // Delete the membership
+      // Delete the membership, then hand the freed spot to the waitlist
       await ApiService.deleteData(`members/${membership.id}`, authHeader);
+      const promoted = await this.fillOpenSpots(groupId);
       
-      return { success: true };
+      return { success: true, promoted };
     } catch (error) {
       console.error('Failed to leave group:', error);
       throw error;
     }
   }
   
+  /* ======= MEMBER ROLES ======= */
+  
+  // Updates a membership's role flags ({ creator, editor })
+  static async updateMemberRole(member, roleFlags) {
+    try {
+      const authHeader = UserService.getAuthHeader();
+      const payload = {
+        data: {
+          type: 'Member',
+          id: member.id.toString(),
+          attributes: roleFlags
+        }
+      };
+      
+      return await ApiService.patchData(`members/${member.id}/`, payload, authHeader);
+    } catch (error) {
+      console.error('Failed to update member role:', error);
+      throw error;
+    }
+  }
+  
+  // Removes a member from a group
+  static async removeMember(member) {
+    try {
+      const authHeader = UserService.getAuthHeader();
+      await ApiService.deleteData(`members/${member.id}`, authHeader);
+      const promoted = await this.fillOpenSpots(member.relationships?.group?.data?.id);
+      
+      return { success: true, promoted };
+    } catch (error) {
+      console.error('Failed to remove member:', error);
+      throw error;
+    }
+  }
+  
+  // Gives spots freed in a group to its longest-waiting users; returns how many were added
+  // Best-effort - the membership is already gone, so a failure is only logged. The group page
+  // fills anything left open the next time the creator opens it.
+  static async fillOpenSpots(groupId) {
+    if (!groupId) return 0;
+    
+    try {
+      return await StudyGroupsService.fillOpenSpots(groupId);
+    } catch (error) {
+      console.error('Failed to promote from waitlist:', error);
+      return 0;
+    }
+  }
+  
+  // Makes another member the group's creator; the previous creator stays on as an editor
+  // The new creator is promoted first so the group is never left without one
+  static async transferOwnership(currentOwner, newOwner) {
+    const previousRole = {
+      creator: !!newOwner.attributes?.creator,
+      editor: !!newOwner.attributes?.editor
+    };
+    
+    await this.updateMemberRole(newOwner, { creator: true, editor: true });
+    
+    // The two updates aren't atomic - undo the promotion so the group never ends up with two owners
+    try {
+      await this.updateMemberRole(currentOwner, { creator: false, editor: true });
+    } catch (error) {
+      await this.updateMemberRole(newOwner, previousRole).catch(rollbackError => {
+        console.error('Failed to roll back ownership transfer:', rollbackError);
+      });
+      throw error;
+    }
+    
+    return { success: true };
+  }
+  
+  /* ======= INVITES ======= */
+  
+  // Fetches a group's invites that are still usable
+  static async getActiveInvites(groupId, options = {}) {
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('invites/').filter('group', groupId).sort('-created_at');
+    const response = await ApiService.getData(query, authHeader, options);
+    
+    return (response.data || []).filter(invite => this.isInviteActive(invite));
+  }
+  
+  // Looks up an invite by its code, including the group it belongs to
+  static async getInviteByCode(code, options = {}) {
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('invites/').filter('code', code).include('group');
+    const response = await ApiService.getData(query, authHeader, options);
+    
+    const invite = (response.data || []).find(invite => invite.attributes?.code === code) || null;
+    return {
+      invite,
+      group: invite ? ApiService.getIncluded(response, 'Group')[0] || null : null
+    };
+  }
+  
+  // Creates an invite for a group - the server generates the code
+  static async createInvite(groupId, { expiresInDays = 7 } = {}) {
+    try {
+      const authHeader = UserService.getAuthHeader();
+      const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+      
+      const response = await ApiService.postData('invites/', {
+        group: parseInt(groupId, 10),
+        expires_at: expiresAt.toISOString()
+      }, authHeader);
+      
+      return response.data;
+    } catch (error) {
+      console.error('Failed to create invite:', error);
+      throw error;
+    }
+  }
+  
+  // Revokes an outstanding invite so its link stops working
+  static async revokeInvite(invite) {
+    try {
+      const authHeader = UserService.getAuthHeader();
+      await ApiService.deleteData(`invites/${invite.id}`, authHeader);
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to revoke invite:', error);
+      throw error;
+    }
+  }
+  
+  // Joins the invite's group as the current user (works for invite-only groups too)
+  // A full group puts the user on its waitlist instead - returns { waitlisted, data }
+  static async acceptInvite(invite, group = null) {
+    try {
+      const authHeader = UserService.getAuthHeader();
+      const currentUser = UserService.getCurrentUser();
+      const currentUserId = currentUser?.userData?.id || currentUser?.userData?.data?.id;
+      const groupId = invite.relationships.group.data.id.toString();
+      
+      const targetGroup = group || (await this.getGroupById(groupId)).studyGroupData;
+      const memberCounts = await StudyGroupsService.getMemberCounts([groupId]);
+      if (StudyGroupsService.isGroupFull(targetGroup, memberCounts.get(groupId) || 0)) {
+        const data = await StudyGroupsService.joinWaitlist(groupId);
+        return { waitlisted: true, data };
+      }
+      
+      const data = await ApiService.postData('members/', {
+        user: parseInt(currentUserId, 10),
+        group: parseInt(groupId, 10),
+        creator: false,
+        invite_code: invite.attributes.code
+      }, authHeader);
+      return { waitlisted: false, data };
+    } catch (error) {
+      console.error('Failed to accept invite:', error);
+      throw error;
+    }
+  }
+  
+  // Invites expire after their expires_at date
+  static isInviteActive(invite) {
+    const expiresAt = invite?.attributes?.expires_at;
+    return !!invite && (!expiresAt || new Date(expiresAt) > new Date());
+  }
+  
+  // Full shareable link for an invite code
+  static createInviteUrl(code) {
+    return `${window.location.origin}/join/${encodeURIComponent(code)}`;
+  }
+  
   // Delete a group (only for admins)
   static async deleteGroup(groupId) {
     try {
@@ -98,11 +293,8 @@ class StudyGroupDetailService extends BaseService {
   
   // Check if user is the creator of a group
   static isGroupCreator(groupMembers, userId) {
-    const userMembership = groupMembers.find(member => 
-      member.relationships.user.data.id.toString() === userId.toString()
-    );
-    
-    return userMembership?.attributes?.creator === true;
+    const groupId = groupMembers[0]?.relationships?.group?.data?.id;
+    return Permissions.getGroupRole({ id: userId }, groupId, groupMembers) === ROLES.OWNER;
   }
 }
 
@@ -1,19 +1,160 @@
 // StudyGroupsService - manages study groups data and UI
 
 import ApiService from './ApiService.js';
+import PageController from '../controllers/PageController.js';
 import UserService from './UserService.js';
 import BaseService from './BaseService.js';
-import { createGroupUrl } from '../controllers/StudyGroupDetailPage.js';
+import StudyGroupDetailService from './StudyGroupDetailService.js';
+import Markdown from '../utils/Markdown.js';
+
+// Who can join a group: instantly, by approved request, or only through an invite
+export const GROUP_VISIBILITY = {
+  PUBLIC: 'public',
+  REQUEST: 'request',
+  INVITE: 'invite',
+};
+
+// Join request states - waitlisted requests are approved in order when a full group frees a spot
+export const JOIN_REQUEST_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DENIED: 'denied',
+  WAITLISTED: 'waitlisted',
+};
+
+// Tags a group can be labelled with (value stored on the group -> display label)
+export const GROUP_TAGS = {
+  'exam-prep': 'Exam prep',
+  'homework': 'Homework',
+  'project': 'Project',
+};
+
+// Preferred meeting days, in display order
+export const MEETING_DAYS = {
+  mon: 'Mon',
+  tue: 'Tue',
+  wed: 'Wed',
+  thu: 'Thu',
+  fri: 'Fri',
+  sat: 'Sat',
+  sun: 'Sun',
+};
+
+// Group size facet -> member_count range
+export const GROUP_SIZES = {
+  small: { label: 'Small (up to 5)', max: 5 },
+  medium: { label: 'Medium (6-15)', min: 6, max: 15 },
+  large: { label: 'Large (16+)', min: 16 },
+};
+
+// Activity facet -> minimum number of upcoming meetings
+export const ACTIVITY_LEVELS = {
+  active: { label: 'Has upcoming meetings', minUpcomingMeetings: 1 },
+  'very-active': { label: 'Very active (3+ upcoming)', minUpcomingMeetings: 3 },
+};
+
+// Discovery sort option -> JSON:API sort fields
+// (member_count and next_meeting_at are annotated by the groups/ endpoint)
+export const GROUP_SORTS = {
+  relevance: [],
+  members: ['-member_count', 'name'],
+  'next-meeting': ['next_meeting_at', 'name'],
+  name: ['name'],
+};
+
+// Words that don't tell two group names apart
+const NAME_FILLER_WORDS = ['study', 'group', 'groups', 'the', 'a', 'for', 'and', 'of'];
+
+// Minimum name similarity for a group in a different course to count as a likely duplicate
+const SIMILAR_NAME_THRESHOLD = 0.6;
 
 class StudyGroupsService extends BaseService {
   
   /* ======= GETTERS ======= */
   
+  // Markdown description, or '' for groups without one
+  static getDescription(group) {
+    return group?.attributes?.description || '';
+  }
+  
+  // Known tags only, so stale or mistyped values don't render
+  static getTags(group) {
+    const tags = group?.attributes?.tags || [];
+    return tags.filter(tag => tag in GROUP_TAGS);
+  }
+  
+  // Preferred meeting days in week order
+  static getMeetingDays(group) {
+    const days = group?.attributes?.meeting_days || [];
+    return Object.keys(MEETING_DAYS).filter(day => days.includes(day));
+  }
+  
+  // "DEPT 1234" course label
+  static getCourseLabel(group) {
+    const department = group?.attributes?.department,
+    classNumber = group?.attributes?.class_number;
+    
+    if (department && classNumber) {
+      return `${department} ${classNumber}`;
+    } else if (department) {
+      return department;
+    } else if (classNumber) {
+      return `Class ${classNumber}`;
+    }
+    
+    return '';
+  }
+  
+  // Course, term, instructor and meeting days as one line, e.g. "CIS 4301 · Fall 2025 · Dr. Smith · Mon, Wed"
+  static formatGroupMeta(group) {
+    const days = this.getMeetingDays(group).map(day => MEETING_DAYS[day]).join(', ');
+    
+    return [
+      this.getCourseLabel(group),
+      group?.attributes?.term,
+      group?.attributes?.instructor,
+      days
+    ].filter(Boolean).join(' \u00b7 ');
+  }
+  
+  // Groups created before visibility settings existed are public
+  static getVisibility(group) {
+    return group?.attributes?.visibility || GROUP_VISIBILITY.PUBLIC;
+  }
+  
+  // Maximum number of members, or null for unlimited
+  static getCapacity(group) {
+    const maxMembers = parseInt(group?.attributes?.max_members, 10);
+    return maxMembers > 0 ? maxMembers : null;
+  }
+  
+  static isGroupFull(group, memberCount) {
+    const capacity = this.getCapacity(group);
+    return capacity !== null && memberCount >= capacity;
+  }
+  
+  // Counts members per group - returns a Map of group id -> member count
+  static async getMemberCounts(groupIds = [], options = {}) {
+    const counts = new Map(groupIds.map(id => [id.toString(), 0]));
+    if (groupIds.length === 0) return counts;
+    
+    const response = await this.getMemberships({ groupIds, signal: options.signal });
+    (response.data || []).forEach(member => {
+      const groupId = member.relationships?.group?.data?.id?.toString();
+      if (counts.has(groupId)) {
+        counts.set(groupId, counts.get(groupId) + 1);
+      }
+    });
+    
+    return counts;
+  }
+  
   // Fetches all study groups for the current user
-  static async getMyStudyGroups() {
+  // options are passed through to ApiService (e.g. { signal })
+  static async getMyStudyGroups(options = {}) {
     try {
       const authHeader = UserService.getAuthHeader();
-      const studyGroupsData = await ApiService.getData('groups/', authHeader);
+      const studyGroupsData = await ApiService.getData('groups/', authHeader, options);
       
       return {
         studyGroupsData: studyGroupsData,
@@ -24,16 +165,261 @@ class StudyGroupsService extends BaseService {
     }
   }
   
+  // Fetches only the groups with the given ids
+  static async getGroupsByIds(groupIds = [], options = {}) {
+    if (groupIds.length === 0) {
+      return { data: [] };
+    }
+    
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('groups/').filter('id.in', groupIds);
+    return await ApiService.getData(query, authHeader, options);
+  }
+  
+  // Fetches memberships filtered by user and/or groups, optionally including related resources
+  static async getMemberships({ userId = null, groupId = null, groupIds = null, include = [], signal = null } = {}) {
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('members/')
+      .filter('user', userId)
+      .filter('group', groupId)
+      .filter('group.in', groupIds)
+      .include(include);
+    
+    return await ApiService.getData(query, authHeader, { signal });
+  }
+  
+  // Returns the total number of groups without downloading the collection
+  static async getGroupCount(options = {}) {
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('groups/').page({ size: 1 });
+    const response = await ApiService.getData(query, authHeader, options);
+    
+    return response.meta?.pagination?.count ?? response.data?.length ?? 0;
+  }
+  
+  // Searches groups for the discovery view - every facet maps to a groups/ query parameter
+  // filter[search] does fuzzy (trigram) matching on names plus description, tags and instructor
+  static async searchGroups(facets = {}, options = {}) {
+    const {
+      search = '',
+      department = '',
+      courseNumber = '',
+      term = '',
+      tags = [],
+      size = '',
+      activity = '',
+      sort = 'relevance'
+    } = facets;
+    
+    const sizeRange = GROUP_SIZES[size] || {};
+    const activityLevel = ACTIVITY_LEVELS[activity] || {};
+    // Relevance ordering only exists for a search term - otherwise list alphabetically
+    const sortFields = sort === 'relevance' && !search.trim()
+      ? GROUP_SORTS.name
+      : (GROUP_SORTS[sort] || GROUP_SORTS.name);
+    
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('groups/')
+      .filter('search', search.trim())
+      .filter('department', department)
+      .filter('class_number', courseNumber.trim())
+      .filter('term.icontains', term.trim())
+      .filter('tags.overlap', tags.length > 0 ? tags : null)
+      .filter('member_count.gte', sizeRange.min)
+      .filter('member_count.lte', sizeRange.max)
+      .filter('upcoming_meeting_count.gte', activityLevel.minUpcomingMeetings)
+      .sort(sortFields);
+    
+    return await ApiService.getData(query, authHeader, options);
+  }
+  
+  // Finds existing groups a new group would likely duplicate: every group for the same course,
+  // plus groups elsewhere whose names are nearly identical. Most similar names come first.
+  static async findSimilarGroups({ courseId, department, courseNumber, name }, options = {}) {
+    const authHeader = UserService.getAuthHeader();
+    const sameCourseQuery = this.getSameCourseQuery({ courseId, department, courseNumber });
+    
+    const [sameCourseResponse, sameNameResponse] = await Promise.all([
+      sameCourseQuery ? ApiService.getData(sameCourseQuery, authHeader, options) : { data: [] },
+      ApiService.getData(ApiService.query('groups/').filter('search', name.trim()), authHeader, options)
+    ]);
+    
+    const candidates = new Map();
+    (sameCourseResponse.data || []).forEach(group => {
+      candidates.set(group.id, { group, similarity: this.getNameSimilarity(name, group.attributes?.name) });
+    });
+    (sameNameResponse.data || []).forEach(group => {
+      const similarity = this.getNameSimilarity(name, group.attributes?.name);
+      if (!candidates.has(group.id) && similarity >= SIMILAR_NAME_THRESHOLD) {
+        candidates.set(group.id, { group, similarity });
+      }
+    });
+    
+    // Invite-only groups can't be joined from a suggestion
+    return [...candidates.values()]
+      .filter(({ group }) => this.getVisibility(group) !== GROUP_VISIBILITY.INVITE)
+      .sort((a, b) => b.similarity - a.similarity)
+      .map(({ group }) => group);
+  }
+  
+  // Groups for the catalog course (course_id), or by department and class number when the course has
+  // no id. Returns null when neither identifies a course - a department alone matches too much
+  static getSameCourseQuery({ courseId, department, courseNumber }) {
+    if (courseId) {
+      return ApiService.query('groups/').filter('course_id', courseId);
+    }
+    
+    const classNumber = parseInt(courseNumber, 10);
+    if (!department || !classNumber) {
+      return null;
+    }
+    return ApiService.query('groups/')
+      .filter('department', department)
+      .filter('class_number', classNumber);
+  }
+  
+  // Dice coefficient of the names' words (0-1), ignoring case, punctuation and filler like "study group"
+  static getNameSimilarity(nameA = '', nameB = '') {
+    const toWords = (name) => new Set(
+      (name || '')
+        .toLowerCase()
+        // "COP 3502" and "cop3502" are the same course code
+        .replace(/([a-z]+)\s+(\d)/g, '$1$2')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !NAME_FILLER_WORDS.includes(word))
+    );
+    
+    const wordsA = toWords(nameA);
+    const wordsB = toWords(nameB);
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+    
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return (2 * shared) / (wordsA.size + wordsB.size);
+  }
+  
+  /* ======= MEMBERSHIP ======= */
+  
+  // Joins a public group as the current user
+  static async joinGroup(groupId) {
+    const authHeader = UserService.getAuthHeader();
+    const currentUser = UserService.getCurrentUser();
+    const currentUserId = currentUser?.userData?.id || currentUser?.id;
+    
+    const response = await ApiService.postData('members/', {
+      user: parseInt(currentUserId),
+      group: parseInt(groupId),
+      creator: false
+    }, authHeader);
+    
+    if (!response.data || !response.data.id) {
+      throw new Error('Failed to join group - membership not created');
+    }
+    
+    return response;
+  }
+  
+  /* ======= JOIN REQUESTS ======= */
+  
+  // Fetches join requests filtered by user, group and/or status (see JOIN_REQUEST_STATUS)
+  // statuses matches any of several states; results are oldest first, so waitlists keep their order
+  static async getJoinRequests({ userId = null, groupId = null, status = null, statuses = null, include = [], signal = null } = {}) {
+    const authHeader = UserService.getAuthHeader();
+    const query = ApiService.query('join_requests/')
+      .filter('user', userId)
+      .filter('group', groupId)
+      .filter('status', status)
+      .filter('status.in', statuses)
+      .include(include)
+      .sort('created_at');
+    
+    return await ApiService.getData(query, authHeader, { signal });
+  }
+  
+  // Asks to join a group as the current user - a pending request for request-to-join groups,
+  // or a waitlisted one for full groups
+  static async requestToJoin(groupId, status = JOIN_REQUEST_STATUS.PENDING) {
+    try {
+      const authHeader = UserService.getAuthHeader();
+      const currentUser = UserService.getCurrentUser();
+      const currentUserId = currentUser?.userData?.id || currentUser?.userData?.data?.id;
+      
+      return await ApiService.postData('join_requests/', {
+        user: parseInt(currentUserId, 10),
+        group: parseInt(groupId, 10),
+        status
+      }, authHeader);
+    } catch (error) {
+      console.error('Failed to send join request:', error);
+      throw error;
+    }
+  }
+  
+  // Approves or denies a join request
+  // Approving creates the membership server-side, so cached member lists are dropped too
+  static async reviewJoinRequest(joinRequest, status) {
+    try {
+      const authHeader = UserService.getAuthHeader();
+      const payload = {
+        data: {
+          type: 'JoinRequest',
+          id: joinRequest.id.toString(),
+          attributes: { status }
+        }
+      };
+      
+      return await ApiService.patchData(`join_requests/${joinRequest.id}/`, payload, authHeader, {
+        invalidates: status === JOIN_REQUEST_STATUS.APPROVED ? ['members'] : []
+      });
+    } catch (error) {
+      console.error('Failed to review join request:', error);
+      throw error;
+    }
+  }
+  
+  // Adds the current user to a full group's waitlist
+  static async joinWaitlist(groupId) {
+    return this.requestToJoin(groupId, JOIN_REQUEST_STATUS.WAITLISTED);
+  }
+  
+  // Fetches a group's waitlist in order
+  static async getWaitlist(groupId, { include = [], signal = null } = {}) {
+    return await this.getJoinRequests({ groupId, status: JOIN_REQUEST_STATUS.WAITLISTED, include, signal });
+  }
+  
+  // Approves the longest-waiting users for a group's open spots; returns how many were added
+  static async fillOpenSpots(groupId, { signal = null } = {}) {
+    const authHeader = UserService.getAuthHeader();
+    const [groupResponse, counts, waitlistResponse] = await Promise.all([
+      ApiService.getData(`groups/${groupId}/`, authHeader, { signal }),
+      this.getMemberCounts([groupId], { signal }),
+      this.getWaitlist(groupId, { signal })
+    ]);
+    
+    // Without a capacity (e.g. the limit was removed) everyone waiting fits
+    const waitlist = waitlistResponse.data || [];
+    const capacity = this.getCapacity(groupResponse.data);
+    const openSpots = capacity === null ? waitlist.length : capacity - counts.get(groupId.toString());
+    
+    let promoted = 0;
+    for (const entry of waitlist.slice(0, Math.max(openSpots, 0))) {
+      await this.reviewJoinRequest(entry, JOIN_REQUEST_STATUS.APPROVED);
+      promoted++;
+    }
+    
+    return promoted;
+  }
+  
   /* ======= ABSTRACT METHOD IMPLEMENTATIONS ======= */
   
   // Creates dashboard-style cards (simple horizontal layout)
   static createDashboardCard(group, index = 0, membersData = []) {
     const title = group.attributes?.name || 'Untitled Group';
-    const description = this.formatGroupDescription(group);
+    const description = this.formatGroupMeta(group) || 'Study Group';
     
     const cardDiv = document.createElement('div');
     cardDiv.className = 'd-flex align-items-center justify-content-between mt-4';
     cardDiv.id = `group-${group.id || index}`;
+    cardDiv.setAttribute('data-group-id', group.id || '');
     cardDiv.setAttribute('data-group-name', title);
     
     const contentDiv = document.createElement('div');
@@ -50,10 +436,13 @@ class StudyGroupsService extends BaseService {
     contentDiv.appendChild(descriptionElement);
     
     const viewBtn = document.createElement('a');
-    viewBtn.href = '#';
+    viewBtn.href = StudyGroupDetailService.createGroupPath(group);
     viewBtn.className = 'btn btn-gator-accent text-white btn-sm ms-auto';
     viewBtn.textContent = 'View';
-    viewBtn.addEventListener('click', () => this.handleGroupAction(group));
+    viewBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.handleGroupAction(group);
+    });
     
     cardDiv.appendChild(contentDiv);
     cardDiv.appendChild(viewBtn);
@@ -64,7 +453,8 @@ class StudyGroupsService extends BaseService {
   // Creates template-style cards (full layout with avatars)
   static createGroupCard(group, index = 0, membersData = []) {
     const title = group.attributes?.name || 'Untitled Group';
-    const description = this.formatGroupDescription(group);
+    const meta = this.formatGroupMeta(group) || 'Study Group';
+    const description = this.getDescription(group) ? this.formatGroupDescription(group) : '';
     
     // Create the main column wrapper
     const colDiv = document.createElement('div');
@@ -73,6 +463,7 @@ class StudyGroupsService extends BaseService {
     // Create the card wrapper
     const cardDiv = document.createElement('div');
     cardDiv.className = 'bg-white p-4 mb-3 h-100 rounded-4';
+    cardDiv.setAttribute('data-group-id', group.id || '');
     cardDiv.setAttribute('data-group-name', title);
     
     // Create the inner content container
@@ -84,11 +475,20 @@ class StudyGroupsService extends BaseService {
     titleElement.className = 'h5 groups-title';
     titleElement.textContent = title;
     
+    // Create course, term and meeting cadence line
+    const metaElement = document.createElement('p');
+    metaElement.className = 'smaller text-muted mb-2';
+    metaElement.textContent = meta;
+    
     // Create description
     const descriptionElement = document.createElement('p');
     descriptionElement.className = 'groups-description';
     descriptionElement.textContent = description;
     
+    // Create tags
+    const tagsElement = this.createTagBadges(group);
+    tagsElement.classList.add('mb-3');
+    
     // Create member avatars section
     const avatarSection = document.createElement('div');
     avatarSection.className = 'd-flex align-items-center justify-content-between mb-3';
@@ -104,14 +504,16 @@ class StudyGroupsService extends BaseService {
     
     // Create view group link
     const viewLink = document.createElement('a');
-    viewLink.href = createGroupUrl(title);
+    viewLink.href = StudyGroupDetailService.createGroupPath(group);
     viewLink.className = 'small mt-auto';
     viewLink.textContent = 'VIEW GROUP';
     viewLink.id = 'group-url';
     
     // Assemble the card
     contentDiv.appendChild(titleElement);
-    contentDiv.appendChild(descriptionElement);
+    contentDiv.appendChild(metaElement);
+    if (description) contentDiv.appendChild(descriptionElement);
+    if (tagsElement.children.length > 0) contentDiv.appendChild(tagsElement);
     contentDiv.appendChild(avatarSection);
     contentDiv.appendChild(viewLink);
     
@@ -239,20 +641,29 @@ class StudyGroupsService extends BaseService {
   
   /* ======= DISPLAY/RENDERING ======= */
   
-  // Formats group description from department and class number
-  static formatGroupDescription(group) {
-    const department = group.attributes?.department,
-    classNumber = group.attributes?.class_number;
-    
-    if (department && classNumber) {
-      return `${department} ${classNumber}`;
-    } else if (department) {
-      return department;
-    } else if (classNumber) {
-      return `Class ${classNumber}`;
+  // Short plain-text description for cards, falling back to the course label
+  static formatGroupDescription(group, maxLength = 120) {
+    const description = this.getDescription(group);
+    if (description) {
+      return Markdown.excerpt(description, maxLength);
     }
     
-    return 'Study Group';
+    return this.getCourseLabel(group) || 'Study Group';
+  }
+  
+  // Tag badges shown on cards and the group detail page
+  static createTagBadges(group) {
+    const container = document.createElement('div');
+    container.className = 'd-flex flex-wrap gap-1';
+    
+    this.getTags(group).forEach(tag => {
+      const badge = document.createElement('span');
+      badge.className = 'badge rounded-pill bg-secondary';
+      badge.textContent = GROUP_TAGS[tag];
+      container.appendChild(badge);
+    });
+    
+    return container;
   }
   
   // Populate member avatars
@@ -264,21 +675,15 @@ class StudyGroupsService extends BaseService {
     const membersToShow = members.slice(0, maxVisibleMembers);
     
     try {
-      // Get user details for each member
-      const authHeader = UserService.getAuthHeader();
-      const userPromises = membersToShow.map(member => {
-        const userId = member.relationships.user.data.id;
-        return UserService.makeAuthenticatedRequest(`users/${userId}`);
-      });
-      
-      const userResponses = await Promise.all(userPromises);
+      // Resolve users from the entity store (missing ones are fetched in one batched request)
+      const userIds = membersToShow.map(member => member.relationships.user.data.id);
+      const users = await UserService.getUsersByIds(userIds);
       
-      userResponses.forEach((userResponse, index) => {
+      users.forEach(userData => {
         const memberDiv = document.createElement('div');
         memberDiv.className = 'member-avatar rounded-circle text-white';
         
-        // Get member initials from user response
-        const userData = userResponse.data;
+        // Get member initials from user record
         const firstName = userData.attributes?.first_name || '';
         const lastName = userData.attributes?.last_name || '';
         
@@ -310,10 +715,8 @@ class StudyGroupsService extends BaseService {
   
   // Navigates to group detail page when group card is clicked
   static handleGroupAction(group) {
-    const groupName = group.attributes?.name || 'Untitled Group';
-    
-    const groupUrl = createGroupUrl(groupName);
-    window.location.href = groupUrl;
+    const groupUrl = StudyGroupDetailService.createGroupPath(group);
+    PageController.navigateTo(groupUrl);
   }
   
   /* ======= CREATORS ======= */
@@ -332,16 +735,20 @@ class StudyGroupsService extends BaseService {
       const payload = {
         name: groupData.name,
         department: groupData.department,
-        class_number: parseInt(groupData.courseNumber, 10) || 0
+        class_number: parseInt(groupData.courseNumber, 10) || 0,
+        course_id: groupData.courseId || null,
+        visibility: groupData.visibility || GROUP_VISIBILITY.PUBLIC,
+        max_members: parseInt(groupData.maxMembers, 10) || null
       };
       
-      const groupResponse = await ApiService.postData('groups/', payload, authHeader);
+      // Creating a group also creates the creator's membership server-side
+      const groupResponse = await ApiService.postData('groups/', payload, authHeader, { invalidates: ['members'] });
       
       if (groupResponse && groupResponse.data && groupResponse.data.id) {
         const groupId = groupResponse.data.id;
         
         // Check existing memberships
-        const membersResponse = await ApiService.getData('members/', authHeader);
+        const membersResponse = await this.getMemberships({ userId: currentUserId, groupId });
         const existingMembership = membersResponse.data?.find(member => 
           member.relationships?.user?.data?.id == currentUserId && 
           member.relationships?.group?.data?.id == groupId
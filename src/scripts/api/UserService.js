@@ -1,9 +1,24 @@
 import ApiService from './ApiService.js';
+import EntityStore from './EntityStore.js';
+
+// Token endpoints (relative to the API base URL)
+const TOKEN_ENDPOINT = 'token/';
+const TOKEN_REFRESH_ENDPOINT = 'token/refresh/';
+const TOKEN_REVOKE_ENDPOINT = 'token/blacklist/';
+
+const SESSION_STORAGE_KEY = 'session';
+
+// Access tokens are refreshed this long before they expire
+const REFRESH_MARGIN_MS = 60 * 1000;
 
 class UserService {
-  static username = null;
-  static password = null;
+  // Current session: { username, accessToken, refreshToken, accessExpiresAt }
+  static session = null;
   static currentUserData = null;
+  static refreshPromise = null;
+  static removeAuthInterceptor = null;
+  static pendingUserIds = new Set();
+  static pendingUserBatch = null;
 
   /* ======= GETTERS ======= */
 
@@ -12,11 +27,15 @@ class UserService {
     return this.currentUserData;
   }
 
-  // Generates Basic Auth header for API requests
+  // Returns the current session object (null when logged out)
+  static getSession() {
+    return this.session;
+  }
+
+  // Generates Bearer auth header for API requests
   static getAuthHeader() {
-    if (this.username && this.password) {
-      const authHeader = `Basic ${btoa(`${this.username}:${this.password}`)}`;
-      return authHeader;
+    if (this.session?.accessToken) {
+      return `Bearer ${this.session.accessToken}`;
     }
     return null;
   }
@@ -24,7 +43,7 @@ class UserService {
   // Returns complete user info including login status
   static getCurrentUser() {
     return {
-      username: this.username,
+      username: this.session?.username || null,
       userData: this.currentUserData,
       isLoggedIn: this.isLoggedIn()
     };
@@ -32,15 +51,48 @@ class UserService {
 
   // Returns just the current username
   static getCurrentUsername() {
-    return this.username;
+    return this.session?.username || null;
+  }
+
+  // Returns user records by id from the entity store, batching lookups for missing users
+  // into a single users/?filter[id.in]= request per tick
+  static async getUsersByIds(userIds = []) {
+    const ids = userIds.map(id => id.toString());
+    const missingIds = ids.filter(id => !EntityStore.find('User', id));
+
+    if (missingIds.length > 0) {
+      await this.loadUsersBatched(missingIds);
+    }
+
+    return ids.map(id => EntityStore.find('User', id)).filter(Boolean);
+  }
+
+  // Collects ids requested in the same tick and fetches them together
+  static loadUsersBatched(userIds) {
+    userIds.forEach(id => this.pendingUserIds.add(id));
+
+    if (!this.pendingUserBatch) {
+      this.pendingUserBatch = Promise.resolve().then(() => {
+        const batch = [...this.pendingUserIds];
+        this.pendingUserIds.clear();
+        this.pendingUserBatch = null;
+
+        const query = ApiService.query('users/').filter('id.in', batch);
+        return ApiService.getData(query, this.getAuthHeader());
+      });
+    }
+
+    return this.pendingUserBatch;
   }
 
   /* ======= SETTERS ======= */
 
-  // Sets credentials in memory only
-  static setCredentials(username, password) {
-    this.username = username;
-    this.password = password;
+  // Sets the session in memory and persists it (tokens only, never the password)
+  static setSession(session) {
+    this.session = session;
+    if (session) {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    }
   }
 
   // Sets user data and persists to localStorage
@@ -51,15 +103,23 @@ class UserService {
 
   /* ======= AUTHENTICATION ======= */
 
-  // Authenticates user and stores credentials on success
+  // Exchanges username and password for an access/refresh token pair
   static async login(username, password) {
-    this.setCredentials(username, password);
-
     try {
-      const authHeader = this.getAuthHeader();
-      const response = await ApiService.getData('', authHeader);
+      const response = await ApiService.postData(
+        TOKEN_ENDPOINT,
+        { username, password },
+        null,
+        { accept: 'application/json', meta: { skipAuthRefresh: true } }
+      );
+
+      const session = this.createSession(username, response);
+      if (!session.accessToken) {
+        throw new Error('Login response did not include an access token');
+      }
 
-      this.storeCredentials(username, password);
+      this.setSession(session);
+      window.dispatchEvent(new CustomEvent('userLoggedIn', { detail: { username } }));
 
       return response;
     } catch (error) {
@@ -68,12 +128,148 @@ class UserService {
     }
   }
 
+  // Exchanges the refresh token for a new access token
+  // Concurrent callers share the same in-flight refresh
+  static async refreshSession() {
+    if (!this.session?.refreshToken) {
+      throw new Error('No refresh token available');
+    }
+
+    if (!this.refreshPromise) {
+      const { username, refreshToken } = this.session;
+
+      this.refreshPromise = ApiService.postData(
+        TOKEN_REFRESH_ENDPOINT,
+        { refresh: refreshToken },
+        null,
+        { accept: 'application/json', meta: { skipAuthRefresh: true } }
+      )
+        .then(response => {
+          const session = this.createSession(username, response, refreshToken);
+          this.setSession(session);
+          return session;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  // True when the access token is missing or about to expire and a refresh token can replace it
+  static needsRefresh() {
+    if (!this.session?.refreshToken) return false;
+    if (!this.session.accessToken) return true;
+    return !!this.session.accessExpiresAt && this.session.accessExpiresAt - Date.now() < REFRESH_MARGIN_MS;
+  }
+
+  // Refreshes the session ahead of a request when needed
+  // Returns the usable session, or null once a failed refresh has ended it
+  static async ensureFreshSession() {
+    if (!this.needsRefresh()) return this.session;
+
+    try {
+      return await this.refreshSession();
+    } catch (error) {
+      console.error('Session refresh failed:', error);
+      this.expireSession();
+      return null;
+    }
+  }
+
+  // Logs out after a failed refresh - only the first of several failing requests does so
+  static expireSession() {
+    if (this.session) {
+      this.logout('expired');
+    }
+  }
+
+  // Registers the ApiService interceptors that refresh the session before the access token
+  // expires, and on 401 (replaying the request)
+  static installAuthInterceptor() {
+    if (this.removeAuthInterceptor) return;
+
+    const removeRequestInterceptor = ApiService.addRequestInterceptor(async (config) => {
+      const usesAccessToken = typeof config.authHeader === 'string' && config.authHeader.startsWith('Bearer ');
+      if (!usesAccessToken || config.meta.skipAuthRefresh || !this.needsRefresh()) {
+        return config;
+      }
+
+      if (!(await this.ensureFreshSession())) {
+        return config;
+      }
+
+      const authHeader = this.getAuthHeader();
+      return {
+        ...config,
+        authHeader,
+        headers: { ...config.headers, Authorization: authHeader },
+        options: { ...config.options, authHeader }
+      };
+    });
+
+    const removeResponseInterceptor = ApiService.addResponseInterceptor(null, async (error, config) => {
+      const shouldRefresh = error?.status === 401 &&
+        config.authHeader &&
+        !config.meta.skipAuthRefresh &&
+        !config.meta.authRetried;
+
+      if (!shouldRefresh || !this.session?.refreshToken) {
+        throw error;
+      }
+
+      try {
+        await this.refreshSession();
+      } catch (refreshError) {
+        console.error('Session refresh failed:', refreshError);
+        this.expireSession();
+        throw error;
+      }
+
+      // Replay the original request with the new access token
+      // (bypassing the cache - the original read is still in flight and will cache the result)
+      return ApiService.request(config.endpoint, {
+        ...config.options,
+        cache: false,
+        authHeader: this.getAuthHeader(),
+        meta: { ...config.meta, authRetried: true }
+      });
+    });
+
+    this.removeAuthInterceptor = () => {
+      removeRequestInterceptor();
+      removeResponseInterceptor();
+    };
+  }
+
   /* ======= SESSION MANAGEMENT ======= */
 
-  // Stores credentials in localStorage
-  static storeCredentials(username, password) {
-    localStorage.setItem('username', username);
-    localStorage.setItem('password', password);
+  // Builds a session from a token response (supports SimpleJWT and OAuth-style field names)
+  static createSession(username, response, fallbackRefreshToken = null) {
+    const accessToken = response?.access || response?.access_token || null;
+    const refreshToken = response?.refresh || response?.refresh_token || fallbackRefreshToken;
+
+    return {
+      username,
+      accessToken,
+      refreshToken,
+      accessExpiresAt: this.getTokenExpiry(accessToken, response?.expires_in)
+    };
+  }
+
+  // Reads the expiry from a JWT's exp claim, or from expires_in seconds
+  static getTokenExpiry(token, expiresIn = null) {
+    if (expiresIn) {
+      return Date.now() + expiresIn * 1000;
+    }
+
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return payload.exp ? payload.exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
   }
 
   // Loads stored user data from localStorage
@@ -92,59 +288,76 @@ class UserService {
     return null;
   }
 
-  // Clears credentials from memory only
+  // Clears session from memory only
   static clearCredentials() {
-    this.username = null;
-    this.password = null;
+    this.session = null;
     this.currentUserData = null;
   }
 
-  // Loads stored credentials from localStorage and restores session
+  // Loads stored session from localStorage and restores it
   static loadStoredCredentials() {
-    const username = localStorage.getItem('username');
-    const password = localStorage.getItem('password');
-    if (username && password) {
-      this.setCredentials(username, password);
+    // Remove credentials persisted by the old Basic-auth flow
+    localStorage.removeItem('username');
+    localStorage.removeItem('password');
+
+    const storedSession = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!storedSession) {
+      return false;
+    }
+
+    try {
+      const session = JSON.parse(storedSession);
+      if (!session?.accessToken && !session?.refreshToken) {
+        return false;
+      }
+
+      this.session = session;
       this.loadStoredUserData();
       return true;
+    } catch (error) {
+      console.error('Failed to parse stored session:', error);
+      this.clearStoredCredentials();
+      return false;
     }
-    return false;
   }
 
   /* ======= STATE MANAGEMENT ======= */
 
   // Removes all stored data from localStorage
   static clearStoredCredentials() {
-    localStorage.removeItem('username');
-    localStorage.removeItem('password');
+    localStorage.removeItem(SESSION_STORAGE_KEY);
     localStorage.removeItem('currentUserData');
   }
 
   // Checks if user is logged in
   static isLoggedIn() {
-    const hasMemoryCredentials = this.username !== null && this.password !== null;
-
-    if (!hasMemoryCredentials) {
-      const storedUsername = localStorage.getItem('username');
-      const storedPassword = localStorage.getItem('password');
-
-      if (storedUsername && storedPassword) {
-        this.setCredentials(storedUsername, storedPassword);
-        return true;
-      }
+    if (!this.session) {
+      this.loadStoredCredentials();
     }
 
-    return hasMemoryCredentials;
+    return !!(this.session?.accessToken || this.session?.refreshToken);
   }
 
   /* ======= LIFECYCLE ======= */
 
-  // Logs out user and clears all data
-  static logout() {
+  // Logs out user, revokes the refresh token and clears all data
+  // reason is 'user', 'inactivity' or 'expired'
+  static logout(reason = 'user') {
+    const refreshToken = this.session?.refreshToken;
+
     this.clearCredentials();
     this.clearStoredCredentials();
+    EntityStore.clear();
+
+    // Best-effort server-side revocation - the local session is already gone
+    if (refreshToken && reason !== 'expired') {
+      ApiService.postData(TOKEN_REVOKE_ENDPOINT, { refresh: refreshToken }, null, {
+        accept: 'application/json',
+        meta: { skipAuthRefresh: true }
+      }).catch(() => {});
+    }
 
-    window.dispatchEvent(new CustomEvent('userLoggedOut'));
+    window.dispatchEvent(new CustomEvent('userLoggedOut', { detail: { reason } }));
 
     return true;
   }
@@ -152,16 +365,18 @@ class UserService {
   /* ======= HELPERS ======= */
 
   // Makes authenticated GET request
-  static async makeAuthenticatedRequest(endpoint) {
+  static async makeAuthenticatedRequest(endpoint, options = {}) {
+    await this.ensureFreshSession();
     const authHeader = this.getAuthHeader();
     if (!authHeader) {
       throw new Error('No authentication credentials available');
     }
-    return await ApiService.getData(endpoint, authHeader);
+    return await ApiService.getData(endpoint, authHeader, options);
   }
 
   // Makes authenticated POST request
   static async makeAuthenticatedPostRequest(endpoint, data) {
+    await this.ensureFreshSession();
     const authHeader = this.getAuthHeader();
     if (!authHeader) {
       throw new Error('No authentication credentials available');
@@ -171,6 +386,7 @@ class UserService {
 
   // Makes authenticated PUT request
   static async makeAuthenticatedPutRequest(endpoint, data) {
+    await this.ensureFreshSession();
     const authHeader = this.getAuthHeader();
     if (!authHeader) {
       throw new Error('No authentication credentials available');
@@ -180,6 +396,7 @@ class UserService {
 
   // Makes authenticated Patch request
   static async makeAuthenticatedPatchRequest(endpoint, data) {
+    await this.ensureFreshSession();
     const authHeader = this.getAuthHeader();
     if (!authHeader) {
       throw new Error('No authentication credentials available');
@@ -188,4 +405,4 @@ class UserService {
   }
 }
 
-export default UserService;
\ No newline at end of file
+export default UserService;
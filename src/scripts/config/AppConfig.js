@@ -0,0 +1,89 @@
+// AppConfig - Runtime configuration for the application
+// Values are resolved in order of precedence (later wins):
+//   1. Build-time defaults injected by webpack DefinePlugin (process.env.*)
+//   2. /config.json fetched at boot (templated by the Docker image at container start)
+//   3. window.__STUDY_SWAMP_CONFIG__ set by the hosting page
+
+const DEFAULT_CONFIG = {
+  apiBaseUrl: process.env.API_BASE_URL,
+  apiEnumUrl: process.env.API_ENUM_URL,
+  courseCatalogUrl: process.env.COURSE_CATALOG_URL,
+};
+
+const CONFIG_URL = '/config.json';
+
+class AppConfig {
+  static values = { ...DEFAULT_CONFIG };
+  static loaded = false;
+
+  /* ======= LOADING ======= */
+
+  // Fetches config.json and applies window overrides - call once before the app starts
+  static async load() {
+    if (this.loaded) return this.values;
+
+    const fileConfig = await this.fetchConfigFile();
+    const windowConfig = window.__STUDY_SWAMP_CONFIG__ || {};
+
+    this.values = {
+      ...DEFAULT_CONFIG,
+      ...this.clean(fileConfig),
+      ...this.clean(windowConfig),
+    };
+
+    this.loaded = true;
+    return this.values;
+  }
+
+  // Fetches the optional runtime config file, ignoring it when missing or invalid
+  static async fetchConfigFile() {
+    try {
+      const response = await fetch(CONFIG_URL, {
+        headers: { 'Accept': 'application/json' },
+        cache: 'no-store'
+      });
+
+      const contentType = response.headers.get('content-type') || '';
+      if (!response.ok || !contentType.includes('application/json')) {
+        return {};
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.warn('Could not load runtime config, using build defaults:', error);
+      return {};
+    }
+  }
+
+  /* ======= GETTERS ======= */
+
+  // Returns a single config value
+  static get(key) {
+    return this.values[key];
+  }
+
+  // Returns a copy of all config values
+  static getAll() {
+    return { ...this.values };
+  }
+
+  /* ======= HELPERS ======= */
+
+  // Drops empty values so unset container env vars don't override build defaults
+  // and strips trailing slashes from URLs
+  static clean(config) {
+    if (!config || typeof config !== 'object') return {};
+
+    return Object.entries(config).reduce((acc, [key, value]) => {
+      if (value === undefined || value === null || value === '') {
+        return acc;
+      }
+      acc[key] = typeof value === 'string' && key.endsWith('Url')
+        ? value.replace(/\/+$/, '')
+        : value;
+      return acc;
+    }, {});
+  }
+}
+
+export default AppConfig;
@@ -1,11 +1,12 @@
 import UserService from '../api/UserService.js';
 import StatsService from '../api/StatsService.js';
 import ApiService from '../api/ApiService.js';
+import BasePage from './BasePage.js';
 
-class AwardsPage {
+class AwardsPage extends BasePage {
   constructor() {
+    super();
     this.pageName = 'Awards';
-    this.isInitialized = false;
     this.userAwards = [];
     this.allAwards = {};
     this.badgeTypeEnums = [];
@@ -16,6 +17,7 @@ class AwardsPage {
     if (this.isInitialized) return;
     
     this.initAsync().catch(error => {
+      if (this.isAbortError(error)) return;
       console.error('Failed to initialize awards page:', error);
       this.renderError();
     });
@@ -33,7 +35,7 @@ class AwardsPage {
     try {
       // Load badge type enums using the existing getEnumData method
       const authHeader = UserService.getAuthHeader();
-      const enumsResponse = await ApiService.getEnumData('enums/', authHeader);
+      const enumsResponse = await ApiService.getEnumData('enums/', authHeader, { signal: this.signal });
       
       // Access badge_types from the correct path
       this.badgeTypeEnums = enumsResponse.data?.enums?.badge_types || [];
@@ -45,6 +47,7 @@ class AwardsPage {
       await this.loadUserAwards();
 
     } catch (error) {
+      if (this.isAbortError(error)) return;
       console.error('❌ Failed to load enums and awards:', error);
       this.renderError();
     }
@@ -122,7 +125,7 @@ class AwardsPage {
       }
       
       // Get all awards from API
-      const response = await UserService.makeAuthenticatedRequest('awards/');
+      const response = await UserService.makeAuthenticatedRequest('awards/', { signal: this.signal });
       const allAwards = response.data || [];
       
       // Filter awards for current user and map to our format
@@ -147,6 +150,7 @@ class AwardsPage {
       
       this.renderAwards();
     } catch (error) {
+      if (this.isAbortError(error)) return;
       console.error('Failed to load awards:', error);
       this.renderError();
     }
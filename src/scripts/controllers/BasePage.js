@@ -0,0 +1,122 @@
+// BasePage - Base class for page controllers
+// Defines the page lifecycle used by PageController:
+//   mount(route)               - page template is rendered; load data and bind handlers (calls init)
+//   unmount()                  - user navigated away; cancel requests and release everything the page created
+//   onRouteParamsChange(route) - same page, new params (e.g. one group to another)
+// Every page gets an AbortSignal that cancels its in-flight ApiService requests on unmount,
+// and listeners/timers registered through listen()/setTimeout()/setInterval() are disposed automatically.
+
+import { Modal } from 'bootstrap';
+
+export default class BasePage {
+  constructor() {
+    this.isInitialized = false;
+    this.isMounted = false;
+    this.route = null;
+
+    // Listeners registered through PageController.addEventListener
+    this.eventListeners = [];
+    this.timers = new Set();
+    this.modalElements = [];
+    this.abortController = new AbortController();
+  }
+
+  // Aborted when the page unmounts - pass as { signal } to ApiService and services
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  // Abstract method - must be implemented by child classes
+  async init(route) {
+    throw new Error('init method must be implemented by child class');
+  }
+
+  // ===== LIFECYCLE =====
+
+  async mount(route) {
+    this.route = route;
+    this.isMounted = true;
+
+    // Remember this page's modals so they can be disposed after the template is replaced
+    this.modalElements = [...document.querySelectorAll('#app .modal')];
+
+    try {
+      await this.init(route);
+    } catch (error) {
+      if (!this.isAbortError(error)) throw error;
+    }
+  }
+
+  unmount() {
+    this.isMounted = false;
+    this.isInitialized = false;
+    this.abortController.abort();
+
+    this.timers.forEach(({ id, repeat }) => (repeat ? clearInterval(id) : clearTimeout(id)));
+    this.timers.clear();
+
+    this.eventListeners.forEach(({ element, event, handler }) => {
+      if (element) {
+        element.removeEventListener(event, handler);
+      }
+    });
+    this.eventListeners = [];
+
+    this.disposeModals();
+  }
+
+  // Default behaviour re-runs the page from scratch with a fresh signal
+  async onRouteParamsChange(route) {
+    this.unmount();
+    this.abortController = new AbortController();
+    await this.mount(route);
+  }
+
+  // ===== TRACKED RESOURCES =====
+
+  // Adds an event listener that is removed when the page unmounts
+  listen(target, event, handler, options = {}) {
+    if (!target) return;
+    target.addEventListener(event, handler, { ...options, signal: this.signal });
+  }
+
+  // setTimeout that is cleared when the page unmounts
+  setTimeout(callback, delay) {
+    const timer = { repeat: false };
+    timer.id = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+    return timer.id;
+  }
+
+  // setInterval that is cleared when the page unmounts
+  setInterval(callback, delay) {
+    const timer = { repeat: true };
+    timer.id = setInterval(callback, delay);
+    this.timers.add(timer);
+    return timer.id;
+  }
+
+  // True for failures caused by this page being unmounted - callers should stay silent
+  isAbortError(error) {
+    return this.signal.aborted || error?.isAbort === true;
+  }
+
+  // Hides and disposes Bootstrap modals left over from this page
+  disposeModals() {
+    this.modalElements.forEach(element => {
+      Modal.getInstance(element)?.dispose();
+    });
+    this.modalElements = [];
+
+    // A modal open during navigation leaves its backdrop and body lock behind
+    if (!document.querySelector('.modal.show')) {
+      document.querySelectorAll('.modal-backdrop').forEach(backdrop => backdrop.remove());
+      document.body.classList.remove('modal-open');
+      document.body.style.removeProperty('overflow');
+      document.body.style.removeProperty('padding-right');
+    }
+  }
+}
@@ -3,18 +3,28 @@ import UserService from '../api/UserService.js';
 import MeetingsService from '../api/MeetingsService.js';
 import StudyGroupsService from '../api/StudyGroupsService.js';
 import StatsService from '../api/StatsService.js';
+import StudyGroupDetailService from '../api/StudyGroupDetailService.js';
+import RecommendationsService, { RECOMMENDATION_FEEDBACK } from '../api/RecommendationsService.js';
 import PageController from './PageController.js';
+import BasePage from './BasePage.js';
 import { ModalUtility } from '../utils/ModalUtility.js';
+import Permissions, { ACTIONS } from '../utils/Permissions.js';
 
-class DashboardPage {
+// Number of recommended groups shown at once
+const MAX_RECOMMENDATIONS = 3;
+
+class DashboardPage extends BasePage {
   constructor() {
-    this.isInitialized = false;
+    super();
     this.currentUser = null;
     this.meetings = [];
     this.groups = [];
     this.allGroups = [];
     this.allMeetings = [];
     this.members = [];
+    this.totalGroups = 0;
+    this.recommendations = [];
+    this.recommendationMemberCounts = new Map();
   }
   
   // ===== INITIALIZATION =====
@@ -45,57 +55,70 @@ class DashboardPage {
         throw new Error('No authentication header available');
       }
       
-      // Load all data in parallel
-      const [meetingsResponse, groupsResponse, membersResponse] = await Promise.all([
-        MeetingsService.getUpcomingMeetings(),
-        StudyGroupsService.getMyStudyGroups(),
-        UserService.makeAuthenticatedRequest('members/')
-      ]);
+      const currentUserId = this.getCurrentUserId();
+      if (!currentUserId) {
+        throw new Error('Unable to determine current user ID. Please try logging in again.');
+      }
       
-      // Store all data
-      this.allMeetings = meetingsResponse.meetingData?.data || [];
-      this.allGroups = groupsResponse.studyGroupsData?.data || [];
-      this.members = membersResponse.data || [];
+      if (Permissions.isAdmin(this.currentUser)) {
+        await this.loadAllData();
+      } else {
+        await this.loadUserData(currentUserId);
+      }
       
-      this.filterDataForCurrentUser();
-      this.renderDashboard();
+      await this.renderDashboard();
+      await this.loadRecommendations();
       
     } catch (error) {
+      if (this.isAbortError(error)) return;
       console.error('Dashboard data loading failed:', error);
       this.handleLoadError();
     }
   }
   
-  // Filter meetings and groups based on user permissions
-  filterDataForCurrentUser() {
-    const currentUserData = UserService.getCurrentUserData();
-    const currentUserId = currentUserData?.data?.id?.toString() || currentUserData?.id?.toString();
+  // Admin users see all groups and meetings
+  async loadAllData() {
+    const [meetingsResponse, groupsResponse] = await Promise.all([
+      MeetingsService.getUpcomingMeetings({ signal: this.signal }),
+      StudyGroupsService.getMyStudyGroups({ signal: this.signal })
+    ]);
     
-    if (!currentUserId) {
-      throw new Error('Unable to determine current user ID. Please try logging in again.');
-    }
+    this.allMeetings = meetingsResponse.meetingData?.data || [];
+    this.allGroups = groupsResponse.studyGroupsData?.data || [];
+    this.totalGroups = this.allGroups.length;
+    this.groups = this.allGroups;
+    this.meetings = this.allMeetings;
+  }
+  
+  // Regular users only load their memberships, their groups and those groups' meetings from today on
+  async loadUserData(currentUserId) {
+    const membersResponse = await StudyGroupsService.getMemberships({ userId: currentUserId, signal: this.signal });
+    this.members = membersResponse.data || [];
     
-    const isAdmin = this.currentUser?.username?.includes('admin') || false;
+    const userGroupIds = this.members
+      .filter(member => member.relationships?.user?.data?.id?.toString() === currentUserId)
+      .map(member => member.relationships.group.data.id.toString());
     
-    if (isAdmin) {
-      // Admin users see all groups and meetings
-      this.groups = this.allGroups;
-      this.meetings = this.allMeetings;
-    } else {
-      // Regular users see only their joined groups and related meetings
-      const userGroupIds = this.members
-        .filter(member => {
-          const memberUserId = member.relationships?.user?.data?.id?.toString();
-          return memberUserId === currentUserId;
-        })
-        .map(member => member.relationships.group.data.id.toString());
-      
-      this.groups = this.allGroups.filter(group => userGroupIds.includes(group.id.toString()));
-      this.meetings = this.allMeetings.filter(meeting => {
-        const meetingGroupId = meeting.relationships?.group?.data?.id?.toString();
-        return userGroupIds.includes(meetingGroupId);
-      });
-    }
+    const now = new Date();
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    
+    const [groupsResponse, meetingsResponse, totalGroups] = await Promise.all([
+      StudyGroupsService.getGroupsByIds(userGroupIds, { signal: this.signal }),
+      MeetingsService.getMeetingsForGroups(userGroupIds, { from: startOfToday, signal: this.signal }),
+      StudyGroupsService.getGroupCount({ signal: this.signal })
+    ]);
+    
+    this.groups = groupsResponse.data || [];
+    this.meetings = meetingsResponse.meetingData?.data || [];
+    this.allGroups = this.groups;
+    this.allMeetings = this.meetings;
+    this.totalGroups = totalGroups;
+  }
+  
+  // Current user's id as a string
+  getCurrentUserId() {
+    const currentUserData = UserService.getCurrentUserData();
+    return currentUserData?.data?.id?.toString() || currentUserData?.id?.toString();
   }
   
   // ===== RENDERING =====
@@ -105,6 +128,7 @@ class DashboardPage {
       await this.renderStats();
       this.renderMeetingsAndGroups();
     } catch (error) {
+      if (this.isAbortError(error)) throw error;
       console.error('Failed to calculate award points for dashboard:', error);
       this.renderFallbackStats();
     }
@@ -124,6 +148,7 @@ class DashboardPage {
     StatsService.renderStats(this.allGroups, {
       userGroups: this.groups,
       meetings: this.meetings,
+      totalGroups: this.totalGroups,
       layout: 'dashboard',
       containerId: 'stats-container',
       cardClass: 'col-sm-6 col-lg-3',
@@ -143,8 +168,8 @@ class DashboardPage {
   // Calculate user's total award points
   async calculateAwardPoints(userId) {
     const [enumsResponse, awardsResponse] = await Promise.all([
-      ApiService.getEnumData('enums/', UserService.getAuthHeader()),
-      UserService.makeAuthenticatedRequest('awards/')
+      ApiService.getEnumData('enums/', UserService.getAuthHeader(), { signal: this.signal }),
+      UserService.makeAuthenticatedRequest(ApiService.query('awards/').filter('user', userId), { signal: this.signal })
     ]);
 
     const awardDetails = {
@@ -198,6 +223,7 @@ class DashboardPage {
     StatsService.renderStats(this.allGroups, {
       userGroups: this.groups,
       meetings: this.meetings,
+      totalGroups: this.totalGroups,
       layout: 'dashboard',
       containerId: 'stats-container',
       cardClass: 'col-md-3',
@@ -210,6 +236,131 @@ class DashboardPage {
     });
   }
   
+  // ===== RECOMMENDATIONS =====
+  
+  // Suggests groups the user hasn't joined - a failure only leaves the panel hidden
+  async loadRecommendations() {
+    // Admins see every group already and can't join any
+    if (Permissions.isAdmin(this.currentUser)) return;
+    
+    try {
+      const { departmentCounts } = StatsService.calculateStats(this.allGroups, this.groups, this.meetings, this.totalGroups);
+      
+      this.recommendations = await RecommendationsService.getRecommendations({
+        userId: this.getCurrentUserId(),
+        userGroups: this.groups,
+        departmentCounts
+      }, { limit: MAX_RECOMMENDATIONS, signal: this.signal });
+      
+      const cappedGroupIds = this.recommendations
+        .map(({ group }) => group)
+        .filter(group => StudyGroupsService.getCapacity(group) !== null)
+        .map(group => group.id);
+      this.recommendationMemberCounts = await StudyGroupsService.getMemberCounts(cappedGroupIds, { signal: this.signal });
+      
+      this.renderRecommendations();
+    } catch (error) {
+      if (this.isAbortError(error)) return;
+      console.error('Failed to load group recommendations:', error);
+    }
+  }
+  
+  renderRecommendations() {
+    const section = document.getElementById('recommendations-section');
+    const container = document.getElementById('recommendations-container');
+    if (!section || !container) return;
+    
+    container.replaceChildren(...this.recommendations.map(recommendation => this.createRecommendationCard(recommendation)));
+    section.classList.toggle('d-none', this.recommendations.length === 0);
+  }
+  
+  // Card with the group, why it was suggested, a join action and dismiss options
+  createRecommendationCard({ group, reason }) {
+    const colDiv = document.createElement('div');
+    colDiv.className = 'col-md-4 mt-4';
+    
+    const card = document.createElement('div');
+    card.className = 'border rounded-4 p-3 h-100 d-flex flex-column';
+    card.innerHTML = `
+      <div class="d-flex align-items-start justify-content-between">
+        <h3 class="h5 mb-1 recommendation-title"></h3>
+        <div class="dropdown">
+          <button class="btn btn-sm btn-link text-muted p-0 ms-2" type="button" data-bs-toggle="dropdown" aria-expanded="false">
+            <span class="fa-solid fa-ellipsis-vertical"></span>
+            <span class="visually-hidden">Recommendation options</span>
+          </button>
+          <ul class="dropdown-menu dropdown-menu-end">
+            <li><button class="dropdown-item" type="button" data-feedback="${RECOMMENDATION_FEEDBACK.DISMISSED}">Dismiss</button></li>
+            <li><button class="dropdown-item" type="button" data-feedback="${RECOMMENDATION_FEEDBACK.NOT_INTERESTED}">Not interested in this course</button></li>
+          </ul>
+        </div>
+      </div>
+      <p class="smaller text-muted mb-2 recommendation-meta"></p>
+      <p class="small mb-3"><span class="fa-solid fa-lightbulb text-teal me-2"></span><span class="recommendation-reason"></span></p>
+      <div class="d-flex align-items-center gap-2 mt-auto">
+        <span class="recommendation-action">${this.createRecommendationAction(group)}</span>
+        <a href="${StudyGroupDetailService.createGroupPath(group)}" class="small ms-auto">VIEW GROUP</a>
+      </div>
+    `;
+    
+    card.querySelector('.recommendation-title').textContent = group.attributes?.name || 'Untitled Group';
+    card.querySelector('.recommendation-meta').textContent = StudyGroupsService.formatGroupMeta(group);
+    card.querySelector('.recommendation-reason').textContent = reason;
+    
+    card.querySelectorAll('[data-feedback]').forEach(button => {
+      button.addEventListener('click', () => this.handleRecommendationFeedback(group, button.dataset.feedback));
+    });
+    
+    const actionButton = card.querySelector('.recommendation-action button');
+    if (actionButton) {
+      actionButton.addEventListener('click', () => this.handleRecommendationAction(group, actionButton));
+    }
+    
+    colDiv.appendChild(card);
+    return colDiv;
+  }
+  
+  createRecommendationAction(group) {
+    return ModalUtility.createJoinAction(group, {
+      canJoin: Permissions.can(this.currentUser, ACTIONS.JOIN, group),
+      canRequest: Permissions.can(this.currentUser, ACTIONS.REQUEST_JOIN, group),
+      requestStatus: null,
+      isFull: StudyGroupsService.isGroupFull(group, this.recommendationMemberCounts.get(group.id) || 0)
+    });
+  }
+  
+  // Joins, requests to join or joins the waitlist, depending on the button createJoinAction rendered
+  async handleRecommendationAction(group, button) {
+    try {
+      button.disabled = true;
+      
+      if (button.classList.contains('join-group-btn')) {
+        await StudyGroupsService.joinGroup(group.id);
+        await this.refreshDashboard();
+      } else if (button.classList.contains('request-group-btn')) {
+        await StudyGroupsService.requestToJoin(group.id);
+        button.outerHTML = ModalUtility.getRequestSentHtml();
+      } else if (button.classList.contains('waitlist-group-btn')) {
+        await StudyGroupsService.joinWaitlist(group.id);
+        button.outerHTML = ModalUtility.getOnWaitlistHtml();
+      }
+    } catch (error) {
+      console.error('Failed to join recommended group:', error);
+      button.disabled = false;
+      alert('Unable to join this group. Please try again.');
+    }
+  }
+  
+  // Remembers the feedback for this user and replaces the card with the next best suggestion
+  async handleRecommendationFeedback(group, feedbackType) {
+    RecommendationsService.saveFeedback(this.getCurrentUserId(), group, feedbackType);
+    
+    this.recommendations = this.recommendations.filter(recommendation => recommendation.group.id !== group.id);
+    this.renderRecommendations();
+    
+    await this.loadRecommendations();
+  }
+  
   // ===== UI HELPERS =====
   
   setupWelcomeMessage() {
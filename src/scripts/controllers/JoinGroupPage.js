@@ -0,0 +1,191 @@
+// JoinGroupPage - Landing page for /join/:code invite links
+// Previews the invited group and joins it. Signed-out visitors are sent to login with a
+// returnTo that brings them back here with ?accept=1, so the join completes right after login.
+
+import PageController from './PageController.js';
+import BasePage from './BasePage.js';
+import UserService from '../api/UserService.js';
+import StudyGroupsService from '../api/StudyGroupsService.js';
+import StudyGroupDetailService from '../api/StudyGroupDetailService.js';
+import Permissions from '../utils/Permissions.js';
+
+class JoinGroupPage extends BasePage {
+  constructor() {
+    super();
+    this.pageName = 'Join Group';
+    this.currentUser = null;
+    this.invite = null;
+    this.group = null;
+  }
+
+  // route.params.code comes from the router's /join/:code route
+  async init(route = { params: {}, query: new URLSearchParams() }) {
+    if (this.isInitialized) return;
+
+    this.code = route.params.code || '';
+    this.acceptOnLoad = route.query.get('accept') === '1';
+
+    if (UserService.isLoggedIn()) {
+      this.currentUser = UserService.getCurrentUser();
+      await this.loadInvite();
+    } else {
+      await this.loadSignedOutPreview();
+    }
+
+    this.isInitialized = true;
+  }
+
+  // ===== DATA LOADING =====
+
+  async loadInvite() {
+    try {
+      const found = await this.fetchInvite();
+      if (!found) return;
+
+      const membersResponse = await StudyGroupsService.getMemberships({
+        userId: Permissions.getUserId(this.currentUser),
+        groupId: this.group.id,
+        signal: this.signal
+      });
+      const membership = Permissions.findMembership(this.currentUser, this.group.id, membersResponse.data || []);
+
+      if (membership) {
+        this.renderAlreadyMember();
+      } else if (this.acceptOnLoad) {
+        await this.handleAcceptInvite();
+      } else {
+        this.renderJoinPrompt();
+      }
+    } catch (error) {
+      if (this.isAbortError(error)) return;
+      console.error('Failed to load invite:', error);
+      this.renderInvalidInvite();
+    }
+  }
+
+  // Invite lookups may require a session - fall back to a generic preview when they do
+  async loadSignedOutPreview() {
+    try {
+      const found = await this.fetchInvite();
+      if (!found) return;
+    } catch (error) {
+      if (this.isAbortError(error)) return;
+    }
+
+    this.renderLoginPrompt();
+  }
+
+  // Loads the invite and its group; renders the invalid state and returns false if unusable
+  async fetchInvite() {
+    const { invite, group } = await StudyGroupDetailService.getInviteByCode(this.code, { signal: this.signal });
+
+    if (!invite || !StudyGroupDetailService.isInviteActive(invite)) {
+      this.renderInvalidInvite();
+      return false;
+    }
+
+    this.invite = invite;
+    this.group = group;
+
+    // Older API versions don't support including the group on invites
+    if (!this.group) {
+      const groupId = invite.relationships?.group?.data?.id;
+      const response = await StudyGroupDetailService.getGroupById(groupId, { signal: this.signal });
+      this.group = response.studyGroupData;
+    }
+
+    if (!this.group) {
+      this.renderInvalidInvite();
+      return false;
+    }
+
+    this.renderGroupPreview();
+    return true;
+  }
+
+  // ===== ACTIONS =====
+
+  async handleAcceptInvite(button = null) {
+    try {
+      if (button) button.disabled = true;
+      this.renderMessage('Joining group...');
+
+      const result = await StudyGroupDetailService.acceptInvite(this.invite, this.group);
+      if (result.waitlisted) {
+        this.renderMessage('This group is full, so you have been added to its waitlist. You will join when a spot opens up.');
+        this.renderActions('<a href="/study-groups" class="btn btn-outline-teal">MY STUDY GROUPS</a>');
+        return;
+      }
+
+      PageController.navigateTo(StudyGroupDetailService.createGroupPath(this.group));
+    } catch (error) {
+      if (this.isAbortError(error)) return;
+      console.error('Failed to join group from invite:', error);
+      if (button) button.disabled = false;
+      this.renderJoinPrompt('Unable to join this group. The invite may have just expired - please try again.');
+    }
+  }
+
+  // ===== RENDERING =====
+
+  renderGroupPreview() {
+    const name = document.getElementById('invite-group-name');
+    const course = document.getElementById('invite-group-course');
+
+    if (name) name.textContent = this.group.attributes?.name || 'a study group';
+    if (course) {
+      const deptCode = this.group.attributes?.department || '';
+      const classNum = this.group.attributes?.class_number || '';
+      course.textContent = `${deptCode} ${classNum}`.trim();
+    }
+  }
+
+  renderJoinPrompt(message = 'Join the group to see its members, meetings and discussion.') {
+    this.renderMessage(message);
+    this.renderActions(`
+      <button id="accept-invite-btn" class="btn btn-teal">
+        <span class="fa-solid fa-user-plus me-2"></span>JOIN GROUP
+      </button>
+    `);
+
+    const acceptBtn = document.getElementById('accept-invite-btn');
+    this.listen(acceptBtn, 'click', () => this.handleAcceptInvite(acceptBtn));
+  }
+
+  // The accept flag in returnTo finishes the join as soon as the user is back from login
+  renderLoginPrompt() {
+    const returnTo = `/join/${encodeURIComponent(this.code)}?accept=1`;
+
+    this.renderMessage('Log in to join this group. New to Study Swamp? Sign up first, then open this link again.');
+    this.renderActions(`
+      <a href="/login?returnTo=${encodeURIComponent(returnTo)}" class="btn btn-teal me-2">LOG IN TO JOIN</a>
+      <a href="/signup" class="btn btn-outline-teal">SIGN UP</a>
+    `);
+  }
+
+  renderAlreadyMember() {
+    this.renderMessage("You're already a member of this group.");
+    this.renderActions(`
+      <a href="${StudyGroupDetailService.createGroupPath(this.group)}" class="btn btn-teal">GO TO GROUP</a>
+    `);
+  }
+
+  renderInvalidInvite() {
+    this.renderMessage('This invite link is invalid, has expired or was revoked. Ask the group creator for a new one.');
+    this.renderActions(`
+      <a href="/" class="btn btn-teal" data-page="dashboard">BACK TO DASHBOARD</a>
+    `);
+  }
+
+  renderMessage(message) {
+    const messageEl = document.getElementById('invite-message');
+    if (messageEl) messageEl.textContent = message;
+  }
+
+  renderActions(html) {
+    const actions = document.getElementById('invite-actions');
+    if (actions) actions.innerHTML = html;
+  }
+}
+
+export default JoinGroupPage;
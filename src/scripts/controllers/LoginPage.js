@@ -2,24 +2,29 @@
  * LoginPage - Handles user authentication for the application
  * 
  * Manages the login form, validates user credentials, and handles the authentication flow.
- * Integrates with UserService for credential management and session persistence.
- * Redirects users to dashboard upon successful authentication.
+ * Integrates with UserService to exchange credentials for a token session (the password is never stored).
+ * Redirects users to the page they originally requested (returnTo), or the dashboard, upon successful authentication.
  */
 
 import PageController from './PageController.js';
+import BasePage from './BasePage.js';
 import UserService from '../api/UserService.js';
+import ApiService from '../api/ApiService.js';
 
-class LoginPage {
+class LoginPage extends BasePage {
   constructor() {
+    super();
     this.pageName = 'Login';
-    this.eventListeners = [];
-    this.isInitialized = false;
+    this.returnTo = null;
   }
 
   // Initialize login form event listeners
-  init() {
+  // route.query may carry a returnTo path set by the router's auth guard
+  init(route = { query: new URLSearchParams() }) {
     if (this.isInitialized) return;
     
+    this.returnTo = this.getSafeReturnTo(route.query.get('returnTo'));
+    
     const loginForm = document.getElementById('loginForm');
     
     if (loginForm) {
@@ -38,13 +43,15 @@ class LoginPage {
     
     if (username && password) {
       try {
-        // Use UserService for authentication
-        const loginResponse = await UserService.login(username, password);
+        // Exchange credentials for an access/refresh token session
+        await UserService.login(username, password);
         
-        // Get the user data and find current user
-        const usersData = await UserService.makeAuthenticatedRequest('users/');
-
-        const currentUser = this.findCurrentUser(usersData, username);
+        // Clear the password from the form now that the session exists
+        const passwordField = document.getElementById('password');
+        if (passwordField) passwordField.value = '';
+        
+        // Look up only the signed-in user's record
+        const currentUser = await this.loadCurrentUser(username);
         
         if (currentUser) {
           UserService.setCurrentUserData(currentUser);
@@ -52,20 +59,43 @@ class LoginPage {
         
         PageController.showSuccess('Login successful!', e.target);
         
-        // Navigate to dashboard after successful login
-        setTimeout(() => {
-          PageController.navigateTo('dashboard');
+        // Navigate back to the requested page (or dashboard) after successful login
+        this.setTimeout(() => {
+          PageController.navigateTo(this.returnTo || 'dashboard');
         }, 1000);
         
       } catch (error) {
         console.error('Login error:', error);
-        PageController.showError('Login failed. Please check your credentials.', e.target);
+        const message = error.status === 0
+          ? 'Unable to reach the server. Please try again later.'
+          : 'Login failed. Please check your credentials.';
+        PageController.showError(message, e.target);
       }
     } else {
       PageController.showError('Please fill in all fields', e.target);
     }
   }
   
+  // Only allow same-origin app paths, so returnTo can't redirect off-site or back to login
+  getSafeReturnTo(returnTo) {
+    if (!returnTo || !returnTo.startsWith('/') || returnTo.startsWith('//')) {
+      return null;
+    }
+    if (returnTo.startsWith('/login')) {
+      return null;
+    }
+    return returnTo;
+  }
+  
+  // Fetches the user record matching the login name (users may sign in with their email too)
+  async loadCurrentUser(username) {
+    const field = username.includes('@') ? 'email' : 'username';
+    const query = ApiService.query('users/').filter(field, username);
+    const usersData = await UserService.makeAuthenticatedRequest(query);
+
+    return this.findCurrentUser(usersData, username);
+  }
+
   // Find current user in the users list by matching username/email/id
   findCurrentUser(usersResponse, username) {
     if (!usersResponse?.data) {
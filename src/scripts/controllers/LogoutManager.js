@@ -22,9 +22,15 @@ class LogoutManager {
     this.initialized = true;
   }
   static performLogout() {
+    // Session already gone (e.g. expired in another tab) - just go to login
+    if (!UserService.getSession()) {
+      this.handleLogout();
+      return;
+    }
+    
     const confirmed = confirm('Are you sure you want to logout?');
     if (confirmed) {
-      UserService.logout();
+      UserService.logout('user');
       this.handleLogout();
     }
   }
@@ -1,29 +1,31 @@
 import PageController from './PageController.js';
+import BasePage from './BasePage.js';
 import UserService from '../api/UserService.js';
 import MeetingDetailService from '../api/MeetingDetailService.js';
+import MeetingsService, { SERIES_SCOPES } from '../api/MeetingsService.js';
 import ApiService from '../api/ApiService.js';
+import StudyGroupsService from '../api/StudyGroupsService.js';
+import Permissions, { ACTIONS } from '../utils/Permissions.js';
+import SeriesScopeDialog from '../utils/SeriesScopeDialog.js';
+import ICalendar from '../utils/ICalendar.js';
+import Slugs from '../utils/Slugs.js';
 
 // Convert meeting name to URL-friendly slug
 export function createMeetingSlug(meetingName) {
   return MeetingDetailService.createMeetingSlug(meetingName);
 }
 
-// Extract meeting slug from current URL
-export function getMeetingSlugFromUrl() {
-  const path = window.location.pathname;
-  const matches = path.match(/^\/meetings\/([^\/]+)$/);
-  return matches ? matches[1] : null;
+// Create full URL from a meeting resource (id + slug, e.g. /meetings/17-weekly-review)
+export function createMeetingUrl(meeting) {
+  return MeetingDetailService.createMeetingPath(meeting);
 }
 
-class MeetingDetailPage {
-  constructor() {
-    this.isInitialized = false;
-  }
-  
-  async init(meetingSlug) {
+class MeetingDetailPage extends BasePage {
+  // route.params.slug comes from the router's /meetings/:slug route ('17-weekly-review')
+  async init(route = { params: {} }) {
     if (this.isInitialized) return;
 
-    this.meetingSlug = meetingSlug;
+    this.meetingParam = route.params.slug || null;
     
     // Redirect to login if user is not authenticated
     if (!UserService.isLoggedIn()) {
@@ -42,14 +44,7 @@ class MeetingDetailPage {
 
   async loadMeeting() {
     try {
-      // Get the meeting slug from URL
-      const meetingSlug = getMeetingSlugFromUrl();
-      if (!meetingSlug) {
-        throw new Error('No meeting slug found in URL');
-      }
-
-      // Fetch the specific meeting by slug
-      const meetingResponse = await MeetingDetailService.getMeetingBySlug(meetingSlug);
+      const meetingResponse = await this.fetchMeeting(this.meetingParam);
       
       // Try different ways to access the meeting data
       this.currentMeeting = meetingResponse.meetingData || {};
@@ -59,44 +54,95 @@ class MeetingDetailPage {
         throw new Error('Meeting not found or invalid structure');
       }
       
-      // Load related data in parallel
+      // Redirect legacy slug-only or renamed URLs to the canonical id-based form
+      PageController.replaceUrl(createMeetingUrl(this.currentMeeting));
+      
+      // Load only this meeting's group, location and comments (with their authors),
+      // plus the current user's membership in the group for permission checks
       const authHeader = UserService.getAuthHeader();
-      const [groupsResponse, usersResponse, locationsResponse, commentsResponse] = await Promise.all([
-        ApiService.getData('groups/', authHeader),
-        ApiService.getData('users/', authHeader),
-        ApiService.getData('locations/', authHeader),
-        ApiService.getData('meeting_comments/', authHeader)
+      const meetingId = this.currentMeeting.id?.toString();
+      const groupId = this.currentMeeting.relationships?.group?.data?.id;
+      const locationId = this.currentMeeting.relationships?.location?.data?.id;
+      const currentUserId = Permissions.getUserId(this.currentUser);
+      
+      const [groupResponse, locationResponse, commentsResponse, membershipResponse] = await Promise.all([
+        groupId ? ApiService.getData(`groups/${groupId}/`, authHeader, { signal: this.signal }) : null,
+        locationId ? ApiService.getData(`locations/${locationId}/`, authHeader, { signal: this.signal }) : null,
+        ApiService.getData(this.getCommentsQuery(meetingId), authHeader, { signal: this.signal }),
+        groupId && currentUserId
+          ? StudyGroupsService.getMemberships({ userId: currentUserId, groupId, signal: this.signal })
+          : null
       ]);
       
-      // Filter data for this specific meeting
-      const meetingId = this.currentMeeting.id?.toString();
+      this.memberships = membershipResponse?.data || [];
       
       this.meetingComments = commentsResponse.data?.filter(comment => {
         const commentMeetingId = comment.relationships?.meeting?.data?.id?.toString();
         return commentMeetingId === meetingId;
       }) || [];
       
-      this.allGroups = groupsResponse.data || [];
-      this.allUsers = usersResponse.data || [];
-      this.allLocations = locationsResponse.data || [];
+      this.allGroups = groupResponse?.data ? [groupResponse.data] : [];
+      this.allLocations = locationResponse?.data ? [locationResponse.data] : [];
+      this.allUsers = await this.loadCommentAuthors(ApiService.getIncluded(commentsResponse, 'User'));
       
       // Render all the meeting information
       this.renderMeetingDetails();
       this.renderComments();
       this.setupCommentForm();
 
-      setTimeout(() => {
+      this.setTimeout(() => {
         this.setupDeleteButton();
+        this.setupCalendarButton();
         this.renderMeetingActions();
       }, 100);
       
     } catch (error) {
+      if (this.isAbortError(error)) return;
       console.error('Failed to load meeting:', error);
       console.error('Error details:', error.message);
       PageController.showError('Unable to load meeting. Please try refreshing the page.');
     }
   }
   
+  // Fetches the meeting by the id embedded in the URL
+  // Legacy slug-only URLs fall back to matching the meeting name
+  async fetchMeeting(meetingParam) {
+    if (!meetingParam) {
+      throw new Error('No meeting found in URL');
+    }
+
+    const meeting = await Slugs.resolve(meetingParam, {
+      getById: async id => (await MeetingDetailService.getMeetingById(id, { signal: this.signal })).meetingData,
+      getBySlug: async slug => (await MeetingDetailService.getMeetingBySlug(slug, { signal: this.signal })).meetingData
+    });
+    return { meetingData: meeting };
+  }
+
+  // Comments for this meeting, newest first, with their authors included
+  getCommentsQuery(meetingId) {
+    return ApiService.query('meeting_comments/')
+      .filter('meeting', meetingId)
+      .include('user')
+      .sort('-created_at');
+  }
+  
+  // Returns comment authors, fetching any the server did not include
+  async loadCommentAuthors(includedUsers = []) {
+    const usersById = new Map(includedUsers.map(user => [user.id, user]));
+    const missingIds = [...new Set(this.meetingComments
+      .map(comment => comment.relationships?.user?.data?.id)
+      .filter(id => id && !usersById.has(id)))];
+    
+    if (missingIds.length > 0) {
+      const authHeader = UserService.getAuthHeader();
+      const query = ApiService.query('users/').filter('id.in', missingIds);
+      const response = await ApiService.getData(query, authHeader, { signal: this.signal });
+      (response.data || []).forEach(user => usersById.set(user.id, user));
+    }
+    
+    return [...usersById.values()];
+  }
+  
   renderMeetingDetails() {
     const title = document.getElementById('meeting-title');
     if (title) {
@@ -263,11 +309,50 @@ class MeetingDetailPage {
     if (!deleteBtn) return;
     
     // Add event listener for delete
-    deleteBtn.addEventListener('click', () => {
+    this.listen(deleteBtn, 'click', () => {
       this.handleDeleteMeeting(this.currentMeeting.id);
     });
   }
 
+  setupCalendarButton() {
+    const calendarBtn = document.getElementById('add-to-calendar-btn');
+    if (!calendarBtn) return;
+    
+    this.listen(calendarBtn, 'click', () => this.handleAddToCalendar());
+  }
+
+  // Download the meeting (or its whole series, when recurring) as an .ics file
+  async handleAddToCalendar() {
+    try {
+      const seriesId = MeetingsService.getSeriesId(this.currentMeeting);
+      const [series, occurrences] = seriesId
+        ? await Promise.all([
+          MeetingsService.getSeries(seriesId, { signal: this.signal }),
+          MeetingsService.getSeriesMeetings(seriesId, { signal: this.signal })
+        ])
+        : [null, []];
+      
+      const groupId = this.currentMeeting.relationships?.group?.data?.id;
+      const locationId = this.currentMeeting.relationships?.location?.data?.id;
+      const group = this.allGroups?.find(group => group.id === groupId) || null;
+      
+      // Occurrences edited on their own are exported as overrides of the series
+      const events = series && occurrences.length > 0
+        ? MeetingsService.createSeriesCalendarEvents(series, occurrences, { group, locations: this.allLocations || [] })
+        : [MeetingsService.createCalendarEvent(this.currentMeeting, {
+          group,
+          location: this.allLocations?.find(location => location.id === locationId) || null
+        })];
+      
+      const filename = MeetingDetailService.createMeetingSlug(this.currentMeeting.attributes?.name || '') || 'meeting';
+      ICalendar.download(filename, ICalendar.createCalendar(events));
+    } catch (error) {
+      if (this.isAbortError(error)) return;
+      console.error('Error exporting meeting:', error);
+      alert('Failed to create the calendar file. Please try again.');
+    }
+  }
+
   setupCommentForm() {
     const commentForm = document.getElementById('comment-textarea');
     const postButton = document.getElementById('post-comment-btn');
@@ -278,13 +363,13 @@ class MeetingDetailPage {
     this.updateCommentFormAvatar();
     
     // Add click handler for post button
-    postButton.addEventListener('click', async (e) => {
+    this.listen(postButton, 'click', async (e) => {
       e.preventDefault();
       await this.postComment(commentForm);
     });
     
     // Add Enter+Ctrl shortcut for posting
-    commentForm.addEventListener('keydown', async (e) => {
+    this.listen(commentForm, 'keydown', async (e) => {
       if (e.ctrlKey && e.key === 'Enter') {
         e.preventDefault();
         await this.postComment(commentForm);
@@ -363,13 +448,16 @@ class MeetingDetailPage {
     try {
       // Fetch updated comments
       const authHeader = UserService.getAuthHeader();
-      const commentsResponse = await ApiService.getData('meeting_comments/', authHeader);
-      
-      // Filter for this meeting
       const meetingId = this.currentMeeting.id;
+      const commentsResponse = await ApiService.getData(this.getCommentsQuery(meetingId), authHeader);
+      
       this.meetingComments = commentsResponse.data?.filter(comment =>
         comment.relationships?.meeting?.data?.id?.toString() === meetingId.toString()
       ) || [];
+      this.allUsers = await this.loadCommentAuthors([
+        ...this.allUsers,
+        ...ApiService.getIncluded(commentsResponse, 'User')
+      ]);
       
       // Re-render comments
       this.renderComments();
@@ -385,22 +473,30 @@ class MeetingDetailPage {
       return;
     }
 
-    // Show confirmation dialog
-    const meetingName = this.currentMeeting.attributes?.name || 'this meeting';
-    const confirmed = confirm(`Are you sure you want to delete "${meetingName}"? This action cannot be undone.`);
-    
-    if (!confirmed) {
-      return;
+    // Recurring meetings ask which occurrences to delete, others ask for confirmation
+    let scope = SERIES_SCOPES.OCCURRENCE;
+    if (MeetingsService.getSeriesId(this.currentMeeting)) {
+      scope = await SeriesScopeDialog.choose('cancel');
+      if (!scope) {
+        return;
+      }
+    } else {
+      const meetingName = this.currentMeeting.attributes?.name || 'this meeting';
+      const confirmed = confirm(`Are you sure you want to delete "${meetingName}"? This action cannot be undone.`);
+      
+      if (!confirmed) {
+        return;
+      }
     }
 
     try {
-      // Delete the meeting via API
+      // Delete the meeting (or the chosen part of its series) via API
       const authHeader = UserService.getAuthHeader();
       if (!authHeader) {
         throw new Error('No authentication available');
       }
 
-      await ApiService.deleteData(`meetings/${meetingId}/`, authHeader);
+      await MeetingsService.cancelMeetings(this.currentMeeting, scope);
       
       // Navigate back to meetings page after successful deletion
       alert('Meeting deleted successfully!');
@@ -412,31 +508,13 @@ class MeetingDetailPage {
     }
   }
 
-  // Add this method to show/hide admin-only delete buttons
+  // Shows the delete button to users who may delete this meeting
   renderMeetingActions() {
-    // Try to find the button with different methods
     const deleteBtn = document.getElementById('delete-meeting-btn');
-    const deleteBtnQuery = document.querySelector('#delete-meeting-btn');
-    const deleteBtnClass = document.querySelector('.btn.btn-sm.btn-gator-accent');
-    
-    // Check if the meeting-title element exists (to confirm template loaded)
-    const titleElement = document.getElementById('meeting-title');
-    
-    if (!deleteBtn) {
-      const elementsWithIds = document.querySelectorAll('[id]');
-      elementsWithIds.forEach(el => console.log('- ID:', el.id));
-      return;
-    }
-    
-    // Rest of your existing code...
-    const isAdmin = this.currentUser?.userData?.attributes?.is_superuser || 
-                    this.currentUser?.username?.includes('admin');
+    if (!deleteBtn) return;
     
-    if (isAdmin) {
-      deleteBtn.style.display = 'inline-flex';
-    } else {
-      deleteBtn.style.display = 'none';
-    }
+    const canDelete = Permissions.can(this.currentUser, ACTIONS.DELETE, this.currentMeeting, this.memberships);
+    deleteBtn.style.display = canDelete ? 'inline-flex' : 'none';
   }
 }
 
@@ -1,12 +1,24 @@
 import PageController from './PageController.js';
+import BasePage from './BasePage.js';
 import UserService from '../api/UserService.js';
-import MeetingsService from '../api/MeetingsService.js';
+import MeetingsService, { SERIES_SCOPES } from '../api/MeetingsService.js';
 import StudyGroupsService from '../api/StudyGroupsService.js';
+import Permissions, { ACTIONS } from '../utils/Permissions.js';
+import Recurrence from '../utils/Recurrence.js';
+import RecurrenceForm from '../utils/RecurrenceForm.js';
+import SeriesScopeDialog from '../utils/SeriesScopeDialog.js';
+import MeetingCalendar, { CALENDAR_VIEWS } from '../utils/MeetingCalendar.js';
+import ICalendar from '../utils/ICalendar.js';
+import MeetingImportModal from '../utils/MeetingImportModal.js';
+import MeetingConflicts from '../utils/MeetingConflicts.js';
 import { Modal } from 'bootstrap';
 
-class MeetingsPage {
+// The last list/calendar view is remembered between visits
+const VIEW_STORAGE_KEY = 'meetingsView';
+
+class MeetingsPage extends BasePage {
   constructor() {
-    this.isInitialized = false;
+    super();
     this.currentUser = null;
     this.meetings = [];
     this.allMeetings = [];
@@ -14,6 +26,12 @@ class MeetingsPage {
     this.members = [];
     this.currentFilter = 'all';
     this.currentSort = 'date-asc';
+    this.currentView = localStorage.getItem(VIEW_STORAGE_KEY) || CALENDAR_VIEWS.LIST;
+    this.calendarDate = new Date();
+    // Date/time to fill in once the schedule modal has reset itself (set by clicking a calendar slot)
+    this.pendingSlot = null;
+    // Form values the user already saw conflicts for - submitting them again schedules anyway
+    this.acknowledgedConflicts = null;
   }
   
   async init() {
@@ -46,14 +64,14 @@ class MeetingsPage {
         if (template && template.tagName === 'TEMPLATE' && template.content) {
           resolve();
         } else {
-          setTimeout(checkTemplate, 100);
+          this.setTimeout(checkTemplate, 100);
         }
       };
       checkTemplate();
     });
   }
   
-  // Load and filter all meetings data
+  // Load the current user's groups and meetings (admins load everything)
   async loadMeetingsData() {
     try {
       const authHeader = UserService.getAuthHeader();
@@ -61,62 +79,56 @@ class MeetingsPage {
         throw new Error('No authentication header available');
       }
 
-      // Load all data in parallel
-      const [meetingsResponse, groupsResponse, membersResponse, locationsResponse] = await Promise.all([
-        MeetingsService.getUpcomingMeetings(),
-        StudyGroupsService.getMyStudyGroups(),
-        UserService.makeAuthenticatedRequest('members/'),
-        UserService.makeAuthenticatedRequest('locations/')
-      ]);
-
-      // Store all data
-      this.allMeetings = meetingsResponse.meetingData?.data || [];
-      this.allGroups = groupsResponse.studyGroupsData?.data || [];
-      this.members = membersResponse.data || [];
-      this.locations = locationsResponse.data || [];
+      // Locations are a small reference list needed for the schedule form
+      const locationsPromise = UserService.makeAuthenticatedRequest('locations/', { signal: this.signal });
 
-      // Get current user ID for filtering
-      const currentUserId = this.currentUser?.userData?.id?.toString() || this.currentUser?.id?.toString();
+      if (Permissions.isAdmin(this.currentUser)) {
+        // Admin users see all groups and meetings
+        const [meetingsResponse, groupsResponse] = await Promise.all([
+          MeetingsService.getUpcomingMeetings({ signal: this.signal }),
+          StudyGroupsService.getMyStudyGroups({ signal: this.signal })
+        ]);
 
-      // Filter meetings for current user
-      this.filterMeetingsForCurrentUser();
+        this.allMeetings = meetingsResponse.meetingData?.data || [];
+        this.allGroups = groupsResponse.studyGroupsData?.data || [];
+        this.groups = this.allGroups;
+        this.meetings = this.allMeetings;
+      } else {
+        await this.loadUserMeetings();
+      }
+
+      const locationsResponse = await locationsPromise;
+      this.locations = locationsResponse.data || [];
 
       this.renderMeetingsPage();
 
     } catch (error) {
+      if (this.isAbortError(error)) return;
       console.error('Meetings data loading failed:', error);
       this.handleLoadError();
     }
   }
   
-  // Filter meetings and groups for the current user
-  filterMeetingsForCurrentUser() {
+  // Load memberships for the current user, then only their groups and meetings
+  async loadUserMeetings() {
     const currentUserId = this.currentUser?.userData?.id?.toString() || this.currentUser?.id?.toString();
-    
-    // Check if current user is admin
-    const isAdmin = this.currentUser?.username?.includes('admin') || false;
-    
-    if (isAdmin) {
-      // Admin users see all groups and meetings
-      this.groups = this.allGroups;
-      this.meetings = this.allMeetings;
-    } else {
-      // Find groups where user is a member
-      const userGroupIds = this.members
-        .filter(member => member.relationships.user.data.id === currentUserId)
-        .map(member => member.relationships.group.data.id);
-        
-      // Filter to user's groups only
-      this.groups = this.allGroups.filter(group => userGroupIds.includes(group.id));
 
-      // Filter to user's meetings only
-      this.meetings = this.allMeetings.filter(meeting => {
-        const meetingGroupId = meeting.relationships?.group?.data?.id;
-        const isIncluded = userGroupIds.includes(meetingGroupId);
+    const membersResponse = await StudyGroupsService.getMemberships({ userId: currentUserId, signal: this.signal });
+    this.members = membersResponse.data || [];
 
-        return isIncluded;
-      });
-    }
+    const userGroupIds = this.members
+      .filter(member => member.relationships.user.data.id === currentUserId)
+      .map(member => member.relationships.group.data.id);
+
+    const [groupsResponse, meetingsResponse] = await Promise.all([
+      StudyGroupsService.getGroupsByIds(userGroupIds, { signal: this.signal }),
+      MeetingsService.getMeetingsForGroups(userGroupIds, { signal: this.signal })
+    ]);
+
+    this.groups = groupsResponse.data || [];
+    this.meetings = meetingsResponse.meetingData?.data || [];
+    this.allGroups = this.groups;
+    this.allMeetings = this.meetings;
   }
   
   // Render all meetings page components
@@ -168,7 +180,7 @@ class MeetingsPage {
     // Filter buttons
     const filterButtons = document.querySelectorAll('.filter-btn');
     filterButtons.forEach(btn => {
-      btn.addEventListener('click', (e) => {
+      this.listen(btn, 'click', (e) => {
         // Update active filter button
         filterButtons.forEach(b => {
           b.classList.remove('btn-gator-accent', 'active');
@@ -186,7 +198,7 @@ class MeetingsPage {
     // Sort dropdown
     const sortSelect = document.getElementById('sort-meetings');
     if (sortSelect) {
-      sortSelect.addEventListener('change', (e) => {
+      this.listen(sortSelect, 'change', (e) => {
         this.currentSort = e.target.value;
         this.applyFiltersAndRender();
       });
@@ -197,6 +209,63 @@ class MeetingsPage {
 
     // Meeting card action buttons (using event delegation)
     this.setupMeetingCardActions();
+
+    // List/calendar view switcher and calendar navigation
+    this.setupCalendarControls();
+
+    // Export to .ics
+    const exportButton = document.getElementById('export-meetings-btn');
+    if (exportButton) {
+      this.listen(exportButton, 'click', () => this.handleExportMeetings());
+    }
+  }
+  
+  // Setup the view buttons and the calendar's previous/today/next buttons
+  setupCalendarControls() {
+    document.querySelectorAll('.view-btn').forEach(btn => {
+      this.listen(btn, 'click', () => this.setView(btn.dataset.view));
+    });
+
+    const navigate = (direction) => {
+      this.calendarDate = direction === 0
+        ? new Date()
+        : MeetingCalendar.shiftDate(this.currentView, this.calendarDate, direction);
+      this.renderCalendar();
+    };
+
+    const prevButton = document.getElementById('calendar-prev');
+    const todayButton = document.getElementById('calendar-today');
+    const nextButton = document.getElementById('calendar-next');
+    if (prevButton) this.listen(prevButton, 'click', () => navigate(-1));
+    if (todayButton) this.listen(todayButton, 'click', () => navigate(0));
+    if (nextButton) this.listen(nextButton, 'click', () => navigate(1));
+
+    this.updateViewControls();
+  }
+  
+  // Switch between the card list and the month, week and agenda calendars
+  setView(view) {
+    if (!Object.values(CALENDAR_VIEWS).includes(view)) return;
+
+    this.currentView = view;
+    localStorage.setItem(VIEW_STORAGE_KEY, view);
+    this.updateViewControls();
+    this.applyFiltersAndRender();
+  }
+  
+  // Highlight the active view button and show the list or calendar controls
+  updateViewControls() {
+    document.querySelectorAll('.view-btn').forEach(btn => {
+      const isActive = btn.dataset.view === this.currentView;
+      btn.classList.toggle('btn-gator-accent', isActive);
+      btn.classList.toggle('active', isActive);
+      btn.classList.toggle('btn-outline-gator-accent', !isActive);
+    });
+
+    const isList = this.currentView === CALENDAR_VIEWS.LIST;
+    document.getElementById('list-controls')?.classList.toggle('d-none', !isList);
+    document.getElementById('meetings-container')?.classList.toggle('d-none', !isList);
+    document.getElementById('calendar-controls')?.classList.toggle('d-none', isList);
   }
   
   // Setup the schedule meeting modal functionality
@@ -208,10 +277,12 @@ class MeetingsPage {
     
     if (!modal || !form) return;
 
+    RecurrenceForm.attach();
+
     // Add click handlers to "Schedule New Meeting" buttons to clear editing state
     const scheduleButtons = document.querySelectorAll('[data-bs-target="#scheduleMeetingModal"]');
     scheduleButtons.forEach(button => {
-      button.addEventListener('click', () => {
+      this.listen(button, 'click', () => {
         // Clear any existing editing meeting ID immediately
         delete modal.dataset.editingMeetingId;
         // Pre-clear the form immediately
@@ -220,23 +291,31 @@ class MeetingsPage {
     });
     
     // Populate study groups dropdown when modal opens
-    modal.addEventListener('show.bs.modal', () => {
+    this.listen(modal, 'show.bs.modal', () => {
       
       // If no editing meeting ID is set, this is a "create new" operation
       if (!modal.dataset.editingMeetingId) {
         this.resetModalToCreateMode();
       }
       
+      this.acknowledgedConflicts = null;
       this.populateGroupsDropdown();
       this.populateLocationsDropdown();
       this.clearModalMessages();
     });
 
     // Handle form submission
-    form.addEventListener('submit', (e) => {
+    this.listen(form, 'submit', (e) => {
       e.preventDefault();
       this.handleScheduleMeeting(e);
     });
+
+    // Bulk import from an .ics file, opened from the schedule modal
+    MeetingImportModal.setup({
+      getGroups: () => this.getSchedulableGroups(),
+      getLocations: () => this.locations,
+      onImported: () => this.loadMeetingsData()
+    });
   }  
   
   // Setup event handlers for meeting card actions (edit, cancel)
@@ -245,7 +324,7 @@ class MeetingsPage {
     if (!meetingsContainer) return;
 
     // Use event delegation to handle dynamically created meeting cards
-    meetingsContainer.addEventListener('click', (e) => {
+    this.listen(meetingsContainer, 'click', (e) => {
       if (e.target.closest('.edit-meeting')) {
         e.preventDefault();
         const meetingCard = e.target.closest('.meeting-card');
@@ -272,14 +351,19 @@ class MeetingsPage {
     // Clear existing options except the first one
     groupSelect.innerHTML = '<option value="">Select study group...</option>';
     
-    // Add user's groups
-    this.groups.forEach(group => {
+    // Add the groups the user may schedule meetings for
+    this.getSchedulableGroups().forEach(group => {
       const option = document.createElement('option');
       option.value = group.id;
       option.textContent = group.attributes.name;
       groupSelect.appendChild(option);
     });
   }
+
+  // Groups the current user may schedule meetings for
+  getSchedulableGroups() {
+    return this.groups.filter(group => Permissions.can(this.currentUser, ACTIONS.SCHEDULE, group, this.members));
+  }
   
   // Populate the locations dropdown with actual database locations
   populateLocationsDropdown() {
@@ -319,6 +403,7 @@ class MeetingsPage {
       const modal = document.getElementById('scheduleMeetingModal');
       const editingMeetingId = modal?.dataset.editingMeetingId;
       const isEditMode = !!(editingMeetingId);
+      const editScope = modal?.dataset.editScope || SERIES_SCOPES.OCCURRENCE;
       
       // Get form elements first and check they exist
       const nameEl = document.getElementById('meeting-name');
@@ -353,13 +438,30 @@ class MeetingsPage {
         return;
       }
       
+      // Repeat rule - only used when creating, or when editing more than one occurrence
+      const rule = !isEditMode || editScope !== SERIES_SCOPES.OCCURRENCE ? RecurrenceForm.getRule() : null;
+      const ruleError = rule ? Recurrence.validate(rule, meetingData.date) : null;
+      if (ruleError) {
+        this.showModalError(ruleError);
+        return;
+      }
+      
+      // Warn about overlapping meetings, a booked room or odd hours before saving
+      const hasConflicts = await this.checkConflicts(meetingData, rule, editingMeetingId, editScope);
+      if (hasConflicts) {
+        return;
+      }
+      
       // Create or update meeting via API
       const result = isEditMode 
-        ? await this.updateMeeting(editingMeetingId, meetingData)
-        : await this.createMeeting(meetingData);
+        ? await this.updateMeeting(editingMeetingId, meetingData, editScope, rule)
+        : await this.createMeeting(meetingData, rule);
         
       if (result.success) {
-        const successMessage = isEditMode ? 'Meeting updated successfully!' : 'Meeting scheduled successfully!';
+        const count = result.data?.meetings?.length || 0;
+        const successMessage = isEditMode
+          ? 'Meeting updated successfully!'
+          : (count > 1 ? `${count} meetings scheduled successfully!` : 'Meeting scheduled successfully!');
         this.showModalSuccess(successMessage);
         
         // Reset form and close modal immediately
@@ -377,6 +479,12 @@ class MeetingsPage {
         
         // Refresh meetings data immediately
         await this.loadMeetingsData();
+        
+        // Occurrences the API rejected are reported once the rest are on the page
+        const failedDates = result.data?.failedDates || [];
+        if (failedDates.length > 0) {
+          alert(`These meetings could not be scheduled:\n\n${failedDates.map(date => MeetingsService.formatDate(`${date}T00:00`)).join('\n')}`);
+        }
       } else {
         this.showModalError(result.error || 'Failed to schedule meeting. Please try again.');
       }
@@ -387,30 +495,15 @@ class MeetingsPage {
     }
   }
   
-  // Create a new meeting via API
-  async createMeeting(meetingData) {
+  // Create a new meeting via API - a repeating rule creates the whole series
+  async createMeeting(meetingData, rule = null) {
     try {
       const authHeader = UserService.getAuthHeader();
       if (!authHeader) {
         throw new Error('No authentication available');
       }
       
-      // Calculate end time based on start time and duration
-      const startDateTime = new Date(`${meetingData.date}T${meetingData.startTime}`);
-      const endDateTime = new Date(startDateTime.getTime() + (meetingData.duration * 60 * 60 * 1000));
-      
-      // Prepare API payload (using flat format like StudyGroupDetailPage)
-      const payload = {
-        name: meetingData.name,
-        description: meetingData.description || '',
-        start_time: startDateTime.toISOString(),
-        end_time: endDateTime.toISOString(),
-        group: parseInt(meetingData.group),
-        location: parseInt(meetingData.location)
-      };
-      
-      // Make API request
-      const response = await UserService.makeAuthenticatedPostRequest('meetings/', payload);
+      const response = await MeetingsService.createMeetings(meetingData, rule);
       return { success: true, data: response };
       
     } catch (error) {
@@ -419,31 +512,20 @@ class MeetingsPage {
     }
   }
 
-  // Update an existing meeting via API
-  async updateMeeting(meetingId, meetingData) {
+  // Update an existing meeting via API - scope picks which occurrences of a series change
+  async updateMeeting(meetingId, meetingData, scope = SERIES_SCOPES.OCCURRENCE, rule = null) {
     try {
       const authHeader = UserService.getAuthHeader();
       if (!authHeader) {
         throw new Error('No authentication available');
       }
       
-      // Calculate end time based on start time and duration
-      const startDateTime = new Date(`${meetingData.date}T${meetingData.startTime}`);
-      const endDateTime = new Date(startDateTime.getTime() + (meetingData.duration * 60 * 60 * 1000));
-      
-      // Prepare API payload (same format as create)
-      const payload = {
-        name: meetingData.name,
-        description: meetingData.description || '',
-        start_time: startDateTime.toISOString(),
-        end_time: endDateTime.toISOString(),
-        group: parseInt(meetingData.group),
-        location: parseInt(meetingData.location)
-      };
-      
-      // Make API PUT request
-      const response = await ApiService.putData(`meetings/${meetingId}/`, payload, authHeader);
+      const meeting = this.allMeetings.find(m => m.id === meetingId);
+      if (!meeting) {
+        throw new Error('Meeting not found');
+      }
       
+      const response = await MeetingsService.updateMeetings(meeting, meetingData, scope, rule);
       return { success: true, data: response };
       
     } catch (error) {
@@ -467,11 +549,18 @@ class MeetingsPage {
       submitButton.textContent = 'Schedule Meeting';
     }
 
-    // Clear the editing meeting ID from modal dataset
+    // Clear the editing meeting ID and series scope from modal dataset
     const modal = document.getElementById('scheduleMeetingModal');
     if (modal && modal.dataset.editingMeetingId) {
       delete modal.dataset.editingMeetingId;
     }
+    if (modal) {
+      delete modal.dataset.editScope;
+    }
+    
+    // Back to "Does not repeat"
+    RecurrenceForm.reset();
+    document.getElementById('open-import-btn')?.classList.remove('d-none');
 
     // Clear all form fields - use correct form ID
     const form = document.getElementById('meeting-form');
@@ -480,7 +569,9 @@ class MeetingsPage {
     }
     
     // Use setTimeout to ensure DOM is ready and force clear specific problematic fields
-    setTimeout(() => {
+    this.setTimeout(() => {
+      const slot = this.pendingSlot;
+      this.pendingSlot = null;
       
       // Manually clear all fields to ensure they're empty
       const fields = [
@@ -511,11 +602,36 @@ class MeetingsPage {
           field.dispatchEvent(new Event('change', { bubbles: true }));
         }
       });
+      
+      // Fill in the calendar slot that opened the modal
+      if (slot) {
+        const dateField = document.getElementById('meeting-date');
+        const timeField = document.getElementById('meeting-start-time');
+        if (dateField) dateField.value = slot.date;
+        if (timeField && slot.time) timeField.value = slot.time;
+        dateField?.dispatchEvent(new Event('change', { bubbles: true }));
+      }
     }, 50); // Small delay to ensure DOM operations complete
   }
 
   // Apply current filters and sort, then render meetings
   applyFiltersAndRender() {
+    // Calendars show every meeting in their date range instead
+    if (this.currentView !== CALENDAR_VIEWS.LIST) {
+      this.renderCalendar();
+      return;
+    }
+    
+    // Render filtered and sorted meetings
+    MeetingsService.renderMeetings(this.getFilteredMeetings(), 'meetings-container', {
+      locations: this.locations,
+      groups: this.allGroups,
+      canManage: (meeting) => this.canManageMeeting(meeting)
+    });
+  }
+  
+  // The meetings matching the current filter, in the current sort order
+  getFilteredMeetings() {
     let filteredMeetings = [...this.meetings];
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
@@ -568,13 +684,149 @@ class MeetingsPage {
         break;
     }
     
-    // Render filtered and sorted meetings
-    MeetingsService.renderMeetings(filteredMeetings, 'meetings-container', {
+    return filteredMeetings;
+  }
+  
+  // Download the meetings currently shown - the filtered list, or the calendar's date range
+  handleExportMeetings() {
+    let meetings = this.getFilteredMeetings();
+    if (this.currentView !== CALENDAR_VIEWS.LIST) {
+      const { start, end } = MeetingCalendar.getRange(this.currentView, this.calendarDate);
+      const rangeEnd = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+      meetings = this.meetings.filter(meeting => {
+        const startTime = new Date(meeting.attributes?.start_time);
+        return startTime >= start && startTime < rangeEnd;
+      });
+    }
+    
+    if (meetings.length === 0) {
+      alert('There are no meetings to export.');
+      return;
+    }
+    
+    const calendar = MeetingsService.createCalendar(meetings, {
+      groups: this.allGroups,
+      locations: this.locations
+    });
+    ICalendar.download('study-swamp-meetings.ics', calendar);
+  }
+  
+  // Render the month, week or agenda calendar for the current date
+  renderCalendar() {
+    const title = document.getElementById('calendar-title');
+    if (title) {
+      title.textContent = MeetingCalendar.getTitle(this.currentView, this.calendarDate);
+    }
+    
+    MeetingCalendar.renderLegend(document.getElementById('calendar-legend'), this.allGroups, this.meetings);
+    MeetingCalendar.render(document.getElementById('meetings-calendar'), this.meetings, {
+      view: this.currentView,
+      date: this.calendarDate,
+      groups: this.allGroups,
       locations: this.locations,
-      groups: this.allGroups
+      canMove: (meeting) => this.canManageMeeting(meeting),
+      onSelectMeeting: (meeting) => MeetingsService.handleMeetingAction(meeting),
+      onSelectSlot: (date, time) => this.openScheduleModalAt(date, time),
+      onMoveMeeting: (meeting, newStart) => this.handleMoveMeeting(meeting, newStart),
+      onShowDay: (date) => this.showCalendarDay(date)
     });
   }
   
+  // "+N more" in the month view opens that day's week, where every meeting has room
+  showCalendarDay(date) {
+    this.calendarDate = date;
+    this.setView(CALENDAR_VIEWS.WEEK);
+  }
+  
+  canManageMeeting(meeting) {
+    return Permissions.can(this.currentUser, ACTIONS.EDIT, meeting, this.members);
+  }
+  
+  // Open the schedule modal for an empty calendar day (time is null in the month view)
+  openScheduleModalAt(date, time = null) {
+    const modal = document.getElementById('scheduleMeetingModal');
+    if (!modal) return;
+    
+    delete modal.dataset.editingMeetingId;
+    this.pendingSlot = { date, time };
+    Modal.getOrCreateInstance(modal).show();
+  }
+  
+  // Reschedule a meeting dropped on another day or hour of the calendar
+  async handleMoveMeeting(meeting, newStart) {
+    let scope = SERIES_SCOPES.OCCURRENCE;
+    if (MeetingsService.getSeriesId(meeting)) {
+      scope = await SeriesScopeDialog.choose('edit');
+      if (!scope) {
+        return;
+      }
+    }
+    
+    // A move is an edit too, so it gets the same conflict check - there's no form here, so ask instead
+    const meetingData = this.getMeetingFormData(meeting, newStart);
+    let found;
+    try {
+      found = await MeetingConflicts.check(meetingData, null, {
+        meetings: this.allMeetings,
+        ignoreIds: this.getReplacedMeetingIds(meeting.id, scope),
+        occurrences: this.getMovedOccurrences(meeting, meetingData, scope),
+        signal: this.signal
+      });
+    } catch (error) {
+      if (this.isAbortError(error)) return;
+      throw error;
+    }
+    if (found) {
+      // Suggestions only cover the dragged meeting, not the rest of a moved series
+      const message = MeetingConflicts.formatMessage({
+        conflicts: found.conflicts,
+        suggestions: scope === SERIES_SCOPES.OCCURRENCE ? found.suggestions : []
+      }, this.groups);
+      if (!confirm(`${message}\n\nMove the meeting anyway?`)) {
+        return;
+      }
+    }
+    
+    const result = await this.updateMeeting(meeting.id, meetingData, scope);
+    if (result.success) {
+      await this.loadMeetingsData();
+    } else {
+      alert(result.error || 'Failed to reschedule meeting. Please try again.');
+    }
+  }
+  
+  // { start, end } of the loaded meetings a move applies to, at their new times - as in
+  // MeetingsService.updateMeetings, each moves by the same number of days to the new start time
+  getMovedOccurrences(meeting, meetingData, scope) {
+    const dayOffset = Recurrence.daysBetween(Recurrence.toDateString(meeting.attributes?.start_time), meetingData.date);
+    
+    return this.getReplacedMeetingIds(meeting.id, scope)
+      .map(id => this.allMeetings.find(m => m.id === id))
+      .filter(Boolean)
+      .flatMap(m => MeetingConflicts.getOccurrences({
+        ...meetingData,
+        date: Recurrence.addDays(Recurrence.toDateString(m.attributes?.start_time), dayOffset)
+      }));
+  }
+  
+  // Form values of an existing meeting, optionally moved to a new start (duration is kept)
+  getMeetingFormData(meeting, start = null) {
+    const attrs = meeting.attributes || {};
+    const originalStart = new Date(attrs.start_time);
+    const newStart = start || originalStart;
+    const durationMs = new Date(attrs.end_time || attrs.start_time) - originalStart;
+    
+    return {
+      name: attrs.name || '',
+      description: attrs.description || '',
+      date: Recurrence.toDateString(newStart),
+      startTime: newStart.toTimeString().slice(0, 5),
+      duration: durationMs / (60 * 60 * 1000),
+      location: meeting.relationships?.location?.data?.id,
+      group: meeting.relationships?.group?.data?.id
+    };
+  }
+  
   // Refresh all meetings data and UI
   async refreshMeetings() {
     this.meetings = [];
@@ -634,6 +886,60 @@ class MeetingsPage {
   clearModalMessages() {
     this.hideErrorMessage();
     this.hideSuccessMessage();
+    this.hideConflicts();
+  }
+
+  // Shows conflicts for the submitted form and returns true if there are any the user hasn't seen yet
+  // Submitting the same values again goes ahead anyway
+  async checkConflicts(meetingData, rule, editingMeetingId = null, editScope = SERIES_SCOPES.OCCURRENCE) {
+    const signature = JSON.stringify({ ...meetingData, rule, editingMeetingId, editScope });
+    if (this.acknowledgedConflicts === signature) {
+      return false;
+    }
+
+    const result = await MeetingConflicts.check(meetingData, rule, {
+      meetings: this.allMeetings,
+      ignoreIds: this.getReplacedMeetingIds(editingMeetingId, editScope),
+      signal: this.signal
+    });
+    if (!result) {
+      return false;
+    }
+
+    this.showConflicts(result);
+    this.acknowledgedConflicts = signature;
+    return true;
+  }
+
+  // Meetings the edit moves, which can't conflict with their new times
+  getReplacedMeetingIds(editingMeetingId, editScope) {
+    if (!editingMeetingId) return [];
+
+    const meeting = this.allMeetings.find(m => m.id === editingMeetingId);
+    const seriesId = meeting && MeetingsService.getSeriesId(meeting);
+    if (!seriesId || editScope === SERIES_SCOPES.OCCURRENCE) {
+      return [editingMeetingId];
+    }
+
+    const from = new Date(meeting.attributes?.start_time);
+    return this.allMeetings
+      .filter(m => MeetingsService.getSeriesId(m) === seriesId)
+      .filter(m => editScope === SERIES_SCOPES.SERIES || new Date(m.attributes?.start_time) >= from)
+      .map(m => m.id);
+  }
+
+  showConflicts(result) {
+    MeetingConflicts.showPanel(document.getElementById('meeting-conflicts'), result, {
+      groups: this.groups,
+      onSelect: suggestion => {
+        MeetingConflicts.applySuggestion(suggestion);
+        this.hideConflicts();
+      }
+    });
+  }
+
+  hideConflicts() {
+    MeetingConflicts.hidePanel(document.getElementById('meeting-conflicts'));
   }
 
   // Handle editing a meeting
@@ -655,24 +961,47 @@ class MeetingsPage {
       return;
     }
 
+    // Recurring meetings first ask which occurrences the edit applies to
+    const isRecurring = !!MeetingsService.getSeriesId(meeting);
+    const scope = isRecurring ? await SeriesScopeDialog.choose('edit') : SERIES_SCOPES.OCCURRENCE;
+    if (!scope) {
+      return;
+    }
+    const editsSeries = scope !== SERIES_SCOPES.OCCURRENCE;
+
     // Change modal to edit mode
-    modalTitle.innerHTML = '<span class="fa-solid fa-edit text-teal me-3"></span>Edit Meeting';
-    submitButton.innerHTML = '<span class="fa-solid fa-save me-2"></span>Update Meeting';
+    modalTitle.innerHTML = `<span class="fa-solid fa-edit text-teal me-3"></span>${editsSeries ? 'Edit Recurring Meeting' : 'Edit Meeting'}`;
+    submitButton.innerHTML = `<span class="fa-solid fa-save me-2"></span>${editsSeries ? 'Update Meetings' : 'Update Meeting'}`;
     
-    // Store the meeting ID for later update
+    // Store the meeting ID and scope for later update
     modal.dataset.editingMeetingId = meetingId;
+    modal.dataset.editScope = scope;
+    
+    // The repeat rule can only change when editing more than one occurrence
+    RecurrenceForm.setEnabled(editsSeries);
+    document.getElementById('open-import-btn')?.classList.add('d-none');
     
     // Populate dropdowns first, then populate form with existing meeting data
     this.populateGroupsDropdown();
     this.populateLocationsDropdown();
     
     // Show the modal first
-    const bootstrapModal = new Modal(modal);
+    const bootstrapModal = Modal.getOrCreateInstance(modal);
     bootstrapModal.show();
     
     // Wait for modal to be fully shown, then populate form
-    modal.addEventListener('shown.bs.modal', () => {
+    this.listen(modal, 'shown.bs.modal', async () => {
       this.populateEditForm(meeting);
+      
+      if (editsSeries) {
+        try {
+          RecurrenceForm.setRule(await MeetingsService.getRecurrence(meeting, { signal: this.signal }));
+        } catch (error) {
+          if (this.isAbortError(error)) return;
+          console.error('Failed to load meeting series:', error);
+          this.showModalError('Unable to load the repeat settings for this meeting.');
+        }
+      }
     }, { once: true }); // Use once: true so the listener is removed after firing
   }
 
@@ -686,22 +1015,30 @@ class MeetingsPage {
       return;
     }
 
-    // Show confirmation dialog
-    const meetingName = meeting.attributes?.name || 'this meeting';
-    const confirmed = confirm(`Are you sure you want to cancel "${meetingName}"?\n\nThis action cannot be undone.`);
-    
-    if (!confirmed) {
-      return;
+    // Recurring meetings ask which occurrences to cancel, others ask for confirmation
+    let scope = SERIES_SCOPES.OCCURRENCE;
+    if (MeetingsService.getSeriesId(meeting)) {
+      scope = await SeriesScopeDialog.choose('cancel');
+      if (!scope) {
+        return;
+      }
+    } else {
+      const meetingName = meeting.attributes?.name || 'this meeting';
+      const confirmed = confirm(`Are you sure you want to cancel "${meetingName}"?\n\nThis action cannot be undone.`);
+      
+      if (!confirmed) {
+        return;
+      }
     }
 
     try {
-      // Delete the meeting via API
+      // Delete the meeting (or the chosen part of its series) via API
       const authHeader = UserService.getAuthHeader();
       if (!authHeader) {
         throw new Error('No authentication available');
       }
 
-      await ApiService.deleteData(`meetings/${meetingId}/`, authHeader);
+      await MeetingsService.cancelMeetings(meeting, scope);
       
       // Refresh the meetings list
       await this.loadMeetingsData();
@@ -751,8 +1088,8 @@ class MeetingsPage {
       const startDate = new Date(attrs.start_time);
       const endDate = new Date(attrs.end_time);
       
-      // Format date (YYYY-MM-DD)
-      const dateStr = startDate.toISOString().split('T')[0];
+      // Format date (YYYY-MM-DD) in local time, matching the time field below
+      const dateStr = Recurrence.toDateString(startDate);
       document.getElementById('meeting-date').value = dateStr;
       
       // Format time (HH:MM)
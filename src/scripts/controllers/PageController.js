@@ -1,96 +1,60 @@
-import LoginPage from './LoginPage.js';
-import SignUpPage from './SignUpPage.js';
-import DashboardPage from './DashboardPage.js';
-import StudyGroupsPage from './StudyGroupsPage.js';
-import StudyGroupDetailPage from './StudyGroupDetailPage.js';
-import MeetingsPage from './MeetingsPage.js';
-import MeetingDetailPage from './MeetingDetailPage.js';
-import ProfilePage from './ProfilePage.js';
-import AwardsPage from './AwardsPage.js';
+import PageLoader from '../router/PageLoader.js';
 
 class PageController {
   constructor() {
     this.currentPage = null;
+    this.currentPageId = null;
+    
     this.init();
   }
 
   init() {
     // Listen for page load events from router
     window.addEventListener('pageLoaded', (e) => {
-      this.initPageFunctionality(e.detail.page);
+      this.initPageFunctionality(e.detail.page, e.detail);
     });
   }
 
-  initPageFunctionality(page) {
+  // route carries the matched { page, params, query, path } from the router
+  initPageFunctionality(page, route = { params: {}, query: new URLSearchParams() }) {
+    // Same page with new params (e.g. one group to another) - let the page decide how to react
+    if (this.currentPage && this.currentPageId === page) {
+      this.runLifecycle(() => this.currentPage.onRouteParamsChange(route), page);
+      return;
+    }
+    
     // Clean up previous page
     this.cleanup();
     
-    // Initialize current page
-    switch(page) {
-      case 'login':
-        this.currentPage = new LoginPage();
-        this.currentPage.init();
-        break;
-      case 'signup':
-        this.currentPage = new SignUpPage();
-        this.currentPage.init();
-        break;
-      case 'dashboard':
-        this.currentPage = new DashboardPage();
-        this.currentPage.init();
-        break;
-      case 'study-groups':
-        this.currentPage = new StudyGroupsPage();
-        this.currentPage.init();
-        break;
-      case 'group':
-        // Extract the group slug from the URL
-        const groupSlug = this.extractSlugFromPath('groups');
-        this.currentPage = new StudyGroupDetailPage();
-        this.currentPage.init(groupSlug);
-        break;
-      case 'meetings':
-        this.currentPage = new MeetingsPage();
-        this.currentPage.init();
-        break;
-      case 'meeting':
-        // Extract the meetings slug from the URL
-        const meetingSlug = this.extractSlugFromPath('meetings');
-        this.currentPage = new MeetingDetailPage();
-        this.currentPage.init(meetingSlug);
-        break;
-      case 'profile':
-        this.currentPage = new ProfilePage();
-        this.currentPage.init();
-        break;
-      case 'awards':
-        this.currentPage = new AwardsPage();
-        this.currentPage.init();
-        break;
-      default:
-        console.warn(`No page class found for: ${page}`);
+    // The router has already loaded the page chunk - static pages (e.g. not-found) have no controller
+    const PageClass = PageLoader.get(page)?.PageClass;
+    if (!PageClass) {
+      return;
     }
+    
+    this.currentPage = new PageClass();
+    this.currentPageId = page;
+    this.runLifecycle(() => this.currentPage.mount(route), page);
   }
-
+  
+  // Runs an async lifecycle hook, reporting failures instead of leaving them unhandled
+  runLifecycle(hook, page) {
+    Promise.resolve()
+      .then(hook)
+      .catch(error => console.error(`Failed to mount ${page} page:`, error));
+  }
+  
+  // Unmounts the current page - aborts its requests and disposes its listeners, timers and modals
   cleanup() {
     if (this.currentPage) {
-      
-      // Clean up event listeners
-      if (this.currentPage.eventListeners) {
-        this.currentPage.eventListeners.forEach(({ element, event, handler }) => {
-          if (element) {
-            element.removeEventListener(event, handler);
-          }
-        });
-      }
-      
-      // Reset page state
-      this.currentPage.isInitialized = false;
+      this.currentPage.unmount();
       this.currentPage = null;
+      this.currentPageId = null;
     }
   }
 
   // Helper methods that pages can use
+  // (listeners are removed when the page unmounts - see BasePage)
   static addEventListener(element, event, handler, listeners) {
     if (element) {
       element.addEventListener(event, handler);
@@ -104,6 +68,13 @@ class PageController {
     }));
   }
 
+  // Rewrites the current URL in place (e.g. to its canonical form) without reloading the page
+  static replaceUrl(path) {
+    if (window.location.pathname !== path) {
+      window.history.replaceState({ ...window.history.state, path }, '', path + window.location.search);
+    }
+  }
+
   static showError(message, container = null) {
     const errorDiv = document.createElement('div');
     errorDiv.className = 'alert alert-danger mt-3';
@@ -127,14 +98,6 @@ class PageController {
       setTimeout(() => successDiv.remove(), 3000);
     }
   }
-
-  // Helper method to extract slug from URL path
-  extractSlugFromPath(basePath) {
-    const path = window.location.pathname;
-    const regex = new RegExp(`^/${basePath}/([^/]+)$`);
-    const matches = path.match(regex);
-    return matches ? matches[1] : null;
-  }
 }
 
 export default PageController;
\ No newline at end of file
@@ -1,9 +1,10 @@
 import UserService from '../api/UserService.js';
+import BasePage from './BasePage.js';
 
-class Profile {
+class Profile extends BasePage {
   constructor() {
+    super();
     this.pageName = 'Profile';
-    this.isInitialized = false;
   }
 
   init() {
@@ -42,12 +43,10 @@ class Profile {
 
   setupFormHandling() {
     const form = document.getElementById('profileForm');
-    if (form) {
-      form.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        await this.handleFormSubmit(e);
-      });
-    }
+    this.listen(form, 'submit', async (e) => {
+      e.preventDefault();
+      await this.handleFormSubmit(e);
+    });
   }
 
   async handleFormSubmit(e) {
@@ -1,11 +1,11 @@
 import PageController from './PageController.js';
+import BasePage from './BasePage.js';
 import ApiService from '../api/ApiService.js';
 
-class SignUpPage {
+class SignUpPage extends BasePage {
   constructor() {
+    super();
     this.pageName = 'Sign Up';
-    this.eventListeners = [];
-    this.isInitialized = false;
   }
 
   init() {
@@ -72,7 +72,7 @@ class SignUpPage {
         e.target.reset();
         
         // Navigate to login page after successful signup
-        setTimeout(() => {
+        this.setTimeout(() => {
           PageController.navigateTo('login');
         }, 2000);
         
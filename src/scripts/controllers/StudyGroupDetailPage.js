@@ -1,35 +1,37 @@
 import PageController from './PageController.js';
+import BasePage from './BasePage.js';
 import UserService from '../api/UserService.js';
 import StudyGroupDetailService from '../api/StudyGroupDetailService.js';
+import StudyGroupsService, { JOIN_REQUEST_STATUS, MEETING_DAYS } from '../api/StudyGroupsService.js';
 import ApiService from '../api/ApiService.js';
 import ModalUtility from '../utils/ModalUtility.js';
+import Permissions, { ACTIONS, ROLES } from '../utils/Permissions.js';
+import Markdown from '../utils/Markdown.js';
+import CoursePicker from '../utils/CoursePicker.js';
+import CourseCatalogService from '../api/CourseCatalogService.js';
+import MeetingsService from '../api/MeetingsService.js';
+import Recurrence from '../utils/Recurrence.js';
+import RecurrenceForm from '../utils/RecurrenceForm.js';
+import MeetingConflicts from '../utils/MeetingConflicts.js';
+import Slugs from '../utils/Slugs.js';
 
 // Convert group name to URL-friendly slug
 export function createGroupSlug(groupName) {
   return StudyGroupDetailService.createGroupSlug(groupName);
 }
 
-// Create full URL
-export function createGroupUrl(groupName) {
-  const slug = createGroupSlug(groupName);
-  return `/study-groups/${slug}`;
+// Create full URL from a group resource (id + slug, e.g. /study-groups/42-calc-study)
+export function createGroupUrl(group) {
+  return StudyGroupDetailService.createGroupPath(group);
 }
 
-// Extract group slug from current URL
-export function getGroupSlugFromUrl() {
-  const path = window.location.pathname;
-  const matches = path.match(/^\/study-groups\/([^\/]+)$/);
-  return matches ? matches[1] : null;
-}
-
-class StudyGroupDetailPage {
-  constructor() {
-    this.isInitialized = false;
-  }
-  
-  async init() {
+class StudyGroupDetailPage extends BasePage {
+  // route.params.slug comes from the router's /study-groups/:slug route ('42-calc-study')
+  async init(route = { params: {} }) {
     if (this.isInitialized) return;
     
+    this.groupParam = route.params.slug || null;
+    
     // Redirect to login if user is not authenticated
     if (!UserService.isLoggedIn()) {
       PageController.navigateTo('login');
@@ -42,38 +44,37 @@ class StudyGroupDetailPage {
     // Load and render study group
     await this.loadStudyGroup();
     
+    // Form and modal handlers are bound once here - loadStudyGroup re-runs on every in-page reload
+    this.setupCommentForm();
+    this.setupMeetingModal();
+    this.setupEditGroupModal();
+    this.setupInviteControls();
+    
     this.isInitialized = true;
   }
 
   async loadStudyGroup() {
     try {
-      // Get the group slug from URL
-      const groupSlug = getGroupSlugFromUrl();
-      if (!groupSlug) {
-        throw new Error('No group slug found in URL');
-      }
-      
-      // Fetch the specific group by slug
-      const groupResponse = await StudyGroupDetailService.getGroupBySlug(groupSlug);
+      const groupResponse = await this.fetchGroup(this.groupParam);
       this.currentGroup = groupResponse.studyGroupData || {};
 
       if (!this.currentGroup.id) {
         throw new Error('Group not found');
       }
       
-      // Load related data in parallel
-      const authHeader = UserService.getAuthHeader();
-      const [membersResponse, meetingsResponse, usersResponse, commentsResponse, locationsResponse] = await Promise.all([
-        ApiService.getData('members/', authHeader),
-        ApiService.getData('meetings/', authHeader),
-        ApiService.getData('users/', authHeader),
-        ApiService.getData('group_comments/', authHeader),
-        ApiService.getData('locations/', authHeader)
-      ]);
+      // Redirect legacy slug-only or renamed URLs to the canonical id-based form
+      PageController.replaceUrl(createGroupUrl(this.currentGroup));
       
-      // Filter data for this specific group
+      // Load only this group's members, meetings and comments (with their users and locations)
+      const authHeader = UserService.getAuthHeader();
       const groupId = this.currentGroup.id?.toString();
       
+      const [membersResponse, meetingsResponse, commentsResponse] = await Promise.all([
+        StudyGroupsService.getMemberships({ groupId, include: ['user'], signal: this.signal }),
+        ApiService.getData(ApiService.query('meetings/').filter('group', groupId).include('location').sort('start_time'), authHeader, { signal: this.signal }),
+        ApiService.getData(ApiService.query('group_comments/').filter('group', groupId).include('user').sort('-created_at'), authHeader, { signal: this.signal })
+      ]);
+      
       this.groupMembers = membersResponse.data?.filter(member => {
         const memberGroupId = member.relationships?.group?.data?.id?.toString();
         return memberGroupId === groupId;
@@ -87,8 +88,15 @@ class StudyGroupDetailPage {
         comment.relationships?.group?.data?.id === groupId
       ) || [];
       
-      this.allUsers = usersResponse.data || [];
-      this.allLocations = locationsResponse.data || [];
+      const [locations, users] = await Promise.all([
+        this.loadRelated(this.groupMeetings, 'location', 'locations/', ApiService.getIncluded(meetingsResponse, 'Location')),
+        this.loadRelated([...this.groupMembers, ...this.groupComments], 'user', 'users/', [
+          ...ApiService.getIncluded(membersResponse, 'User'),
+          ...ApiService.getIncluded(commentsResponse, 'User')
+        ])
+      ]);
+      this.allLocations = locations;
+      this.allUsers = users;
       
       // Render all the group information
       this.renderGroupDetails();
@@ -96,16 +104,55 @@ class StudyGroupDetailPage {
       this.renderMembers();
       this.renderMeetings();
       this.renderComments();
-      this.setupCommentForm();
-      this.setupMeetingModal();
-      this.setupEditGroupModal();
+      
+      // Moderation panels load on their own - one failing (e.g. a 403) leaves the page usable
+      await this.loadPanel(() => this.loadJoinRequests(), 'join-requests-section', 'join requests');
+      await this.loadPanel(() => this.loadInvites(), 'invites-section', 'invites');
+      await this.loadPanel(() => this.loadWaitlist(), 'waitlist-section', 'waitlist');
+      
+      // Spots a leaving member's session couldn't fill go to the waitlist now
+      await this.fillOpenSpots();
       
     } catch (error) {
+      if (this.isAbortError(error)) return;
       console.error('Failed to load study group:', error);
       PageController.showError('Unable to load study group. Please try refreshing the page.');
     }
   }
   
+  // Fetches the group by the id embedded in the URL
+  // Legacy slug-only URLs fall back to matching the group name
+  async fetchGroup(groupParam) {
+    if (!groupParam) {
+      throw new Error('No group found in URL');
+    }
+    
+    const group = await Slugs.resolve(groupParam, {
+      getById: async id => (await StudyGroupDetailService.getGroupById(id, { signal: this.signal })).studyGroupData,
+      getBySlug: async slug => (await StudyGroupDetailService.getGroupBySlug(slug, { signal: this.signal })).studyGroupData
+    });
+    return { studyGroupData: group };
+  }
+  
+  // Returns the resources referenced through a relationship, fetching any the server did not include
+  async loadRelated(records, relationship, endpoint, included = []) {
+    const resourcesById = new Map(included.map(resource => [resource.id, resource]));
+    
+    const referencedIds = records
+      .map(record => record.relationships?.[relationship]?.data?.id)
+      .filter(Boolean);
+    const missingIds = [...new Set(referencedIds)].filter(id => !resourcesById.has(id));
+    
+    if (missingIds.length > 0) {
+      const authHeader = UserService.getAuthHeader();
+      const query = ApiService.query(endpoint).filter('id.in', missingIds);
+      const response = await ApiService.getData(query, authHeader, { signal: this.signal });
+      (response.data || []).forEach(resource => resourcesById.set(resource.id, resource));
+    }
+    
+    return [...resourcesById.values()];
+  }
+  
   renderGroupDetails() {
     const title = document.getElementById('group-title');
     title.textContent = this.currentGroup.attributes?.name || '';
@@ -116,50 +163,41 @@ class StudyGroupDetailPage {
 
     department.textContent = `${deptCode} ${classNum}`;
     
-    // Show/hide edit button based on user permissions
-    this.updateEditButtonVisibility();
-  }
-  
-  updateEditButtonVisibility() {
-    const editBtn = document.getElementById('edit-group-btn');
-    if (!editBtn) {
-      return;
-    }
-    
-    // Check if current user is a creator or editor of the group
-    const currentUserId = this.currentUser?.userData?.id;
-    const currentUsername = this.currentUser?.username;
+    // Upgrade to the catalog title ("COP 3502 – Programming Fundamentals") once the catalog loads
+    CourseCatalogService.findForGroup(this.currentGroup)
+      .then(course => {
+        if (course) department.textContent = CourseCatalogService.formatCourse(course);
+      })
+      .catch(() => {
+        // The course code is already shown
+      });
     
-    if (!currentUserId && !currentUsername) {
-      console.warn('No current user ID or username found');
-      editBtn.classList.add('d-none');
-      return;
+    // Term, instructor and preferred meeting days
+    const meta = document.getElementById('group-meta');
+    if (meta) {
+      const attributes = this.currentGroup.attributes || {};
+      const days = StudyGroupsService.getMeetingDays(this.currentGroup).map(day => MEETING_DAYS[day]).join(', ');
+      
+      meta.textContent = [
+        attributes.term,
+        attributes.instructor,
+        days ? `Meets ${days}` : ''
+      ].filter(Boolean).join(' \u00b7 ');
+      meta.classList.toggle('d-none', !meta.textContent);
     }
     
-    // Find user's membership in the group
-    const userMembership = this.groupMembers.find(member => {
-      const memberUserId = member.relationships?.user?.data?.id;
-      return (
-        (currentUserId && memberUserId == currentUserId) || 
-        (currentUsername && currentUsername.includes('admin'))
-      );
-    });
-    
-    // For admins, show the button
-    if (currentUsername && currentUsername.includes('admin')) {
-      editBtn.classList.remove('d-none');
-      return;
+    const tags = document.getElementById('group-tags');
+    if (tags) {
+      tags.replaceChildren(...StudyGroupsService.createTagBadges(this.currentGroup).children);
     }
     
-    // Show edit button if user is creator or editor
-    if (userMembership) {
-      if (userMembership.attributes?.creator || userMembership.attributes?.editor) {
-        editBtn.classList.remove('d-none');
-      } else {
-        editBtn.classList.add('d-none');
-      }
-    } else {
-      editBtn.classList.add('d-none');
+    // Markdown.render escapes the description before adding its own markup
+    const descriptionSection = document.getElementById('group-description-section');
+    const description = document.getElementById('group-description');
+    const descriptionText = StudyGroupsService.getDescription(this.currentGroup);
+    if (descriptionSection && description) {
+      description.innerHTML = Markdown.render(descriptionText);
+      descriptionSection.classList.toggle('d-none', !descriptionText);
     }
   }
   
@@ -185,6 +223,7 @@ class StudyGroupDetailPage {
     }
     
     membersList.innerHTML = '';
+    this.renderCapacity();
     
     this.groupMembers.forEach((member, index) => {
       
@@ -202,6 +241,20 @@ class StudyGroupDetailPage {
     });
   }
   
+  // Shows "members / maximum" next to the heading for groups with a capacity limit
+  renderCapacity() {
+    const badge = document.getElementById('member-capacity');
+    if (!badge) return;
+    
+    const capacity = StudyGroupsService.getCapacity(this.currentGroup);
+    badge.classList.toggle('d-none', capacity === null);
+    
+    if (capacity !== null) {
+      const isFull = StudyGroupsService.isGroupFull(this.currentGroup, this.groupMembers.length);
+      badge.textContent = `${this.groupMembers.length} / ${capacity}${isFull ? ' - Full' : ''}`;
+    }
+  }
+  
   createMemberCard(member, user) {
     const div = document.createElement('div');
     div.className = 'd-flex align-items-center justify-content-between mt-4';
@@ -230,12 +283,507 @@ class StudyGroupDetailPage {
           <p class="smaller text-muted mb-0">${email}</p>
         </div>
       </div>
-      <div>${roleHtml}</div>
+      <div class="d-flex align-items-center">
+        <div>${roleHtml}</div>
+        ${this.createMemberActionsMenu(member)}
+      </div>
+    `;
+    
+    div.querySelectorAll('[data-member-action]').forEach(button => {
+      this.listen(button, 'click', () => {
+        this.handleMemberAction(button.dataset.memberAction, member, `${firstName} ${lastName}`.trim());
+      });
+    });
+    
+    return div;
+  }
+  
+  // Runs a secondary panel's loader, hiding the panel if it fails
+  async loadPanel(load, sectionId, label) {
+    try {
+      await load();
+    } catch (error) {
+      if (this.isAbortError(error)) throw error;
+      console.error(`Failed to load ${label}:`, error);
+      document.getElementById(sectionId)?.classList.add('d-none');
+    }
+  }
+  
+  /* ====== JOIN REQUESTS ====== */
+  
+  // Loads pending join requests for creators and editors
+  async loadJoinRequests() {
+    const section = document.getElementById('join-requests-section');
+    this.joinRequests = [];
+    
+    if (!section || !this.can(ACTIONS.MODERATE)) {
+      section?.classList.add('d-none');
+      return;
+    }
+    
+    const response = await StudyGroupsService.getJoinRequests({
+      groupId: this.currentGroup.id,
+      status: JOIN_REQUEST_STATUS.PENDING,
+      include: ['user'],
+      signal: this.signal
+    });
+    
+    this.joinRequests = response.data || [];
+    this.allUsers = await this.loadRelated(this.joinRequests, 'user', 'users/', [
+      ...this.allUsers,
+      ...ApiService.getIncluded(response, 'User')
+    ]);
+    
+    this.renderJoinRequests();
+  }
+  
+  renderJoinRequests() {
+    const section = document.getElementById('join-requests-section');
+    const list = document.getElementById('join-requests-list');
+    const count = document.getElementById('join-requests-count');
+    if (!section || !list) return;
+    
+    // Hidden when there is nothing to review
+    section.classList.toggle('d-none', this.joinRequests.length === 0);
+    if (count) count.textContent = this.joinRequests.length;
+    
+    list.innerHTML = '';
+    this.joinRequests.forEach(joinRequest => {
+      const userId = joinRequest.relationships?.user?.data?.id;
+      const user = this.allUsers.find(user => user.id === userId);
+      list.appendChild(this.createJoinRequestCard(joinRequest, user));
+    });
+  }
+  
+  createJoinRequestCard(joinRequest, user) {
+    const div = document.createElement('div');
+    div.className = 'd-flex align-items-center justify-content-between mt-4';
+    
+    const firstName = user?.attributes?.first_name || '';
+    const lastName = user?.attributes?.last_name || '';
+    const name = `${firstName} ${lastName}`.trim() || user?.attributes?.username || 'Unknown user';
+    const initials = (firstName.charAt(0) + lastName.charAt(0)).toUpperCase();
+    const requestedAt = joinRequest.attributes?.created_at
+      ? new Date(joinRequest.attributes.created_at).toLocaleDateString()
+      : '';
+    
+    div.innerHTML = `
+      <div class="d-flex align-items-center">
+        <div class="member-avatar rounded-circle text-white me-3">${Markdown.escapeHtml(initials)}</div>
+        <div>
+          <h4 class="h5 fw-500">${Markdown.escapeHtml(name)}</h4>
+          <p class="smaller text-muted mb-0">${requestedAt ? `Requested ${requestedAt}` : 'Pending approval'}</p>
+        </div>
+      </div>
+      <div>
+        <button class="btn btn-sm btn-teal me-2" data-review="${JOIN_REQUEST_STATUS.APPROVED}">
+          <span class="fa-solid fa-check me-1"></span>Approve
+        </button>
+        <button class="btn btn-sm btn-outline-dark-gray" data-review="${JOIN_REQUEST_STATUS.DENIED}">
+          <span class="fa-solid fa-times me-1"></span>Deny
+        </button>
+      </div>
+    `;
+    
+    div.querySelectorAll('[data-review]').forEach(button => {
+      this.listen(button, 'click', () => {
+        this.handleReviewJoinRequest(joinRequest, button.dataset.review, name);
+      });
+    });
+    
+    return div;
+  }
+  
+  // Removes the request from the queue right away and puts it back if the update fails
+  // Approving into a full group waitlists the request instead
+  async handleReviewJoinRequest(joinRequest, status, name) {
+    const isFull = StudyGroupsService.isGroupFull(this.currentGroup, this.groupMembers.length);
+    if (status === JOIN_REQUEST_STATUS.APPROVED && isFull) {
+      if (!confirm(`This group is full. Add ${name} to the waitlist instead?`)) {
+        return;
+      }
+      status = JOIN_REQUEST_STATUS.WAITLISTED;
+    } else {
+      const verb = status === JOIN_REQUEST_STATUS.APPROVED ? 'Approve' : 'Deny';
+      if (!confirm(`${verb} ${name}'s request to join this group?`)) {
+        return;
+      }
+    }
+    
+    const previousRequests = this.joinRequests;
+    this.joinRequests = this.joinRequests.filter(request => request.id !== joinRequest.id);
+    this.renderJoinRequests();
+    
+    try {
+      await StudyGroupsService.reviewJoinRequest(joinRequest, status);
+      
+      // The new member shows up in the member list, a waitlisted one on the waitlist
+      if (status !== JOIN_REQUEST_STATUS.DENIED) {
+        await this.loadStudyGroup();
+      }
+    } catch (error) {
+      if (this.isAbortError(error)) return;
+      console.error('Failed to review join request:', error);
+      
+      this.joinRequests = previousRequests;
+      this.renderJoinRequests();
+      alert('Failed to update the join request. Please try again.');
+    }
+  }
+  
+  /* ====== WAITLIST ====== */
+  
+  // Loads the waitlist for the group's creator, oldest first
+  async loadWaitlist() {
+    const section = document.getElementById('waitlist-section');
+    this.waitlist = [];
+    
+    if (!section || !this.can(ACTIONS.MANAGE_MEMBERS)) {
+      section?.classList.add('d-none');
+      return;
+    }
+    
+    const response = await StudyGroupsService.getWaitlist(this.currentGroup.id, {
+      include: ['user'],
+      signal: this.signal
+    });
+    
+    this.waitlist = response.data || [];
+    this.allUsers = await this.loadRelated(this.waitlist, 'user', 'users/', [
+      ...this.allUsers,
+      ...ApiService.getIncluded(response, 'User')
+    ]);
+    
+    this.renderWaitlist();
+  }
+  
+  // Approves waitlisted users for spots left open, e.g. when the member who left couldn't
+  // approve them from their own session, then reloads the member list
+  async fillOpenSpots() {
+    const capacity = StudyGroupsService.getCapacity(this.currentGroup);
+    if (!this.waitlist?.length || (capacity !== null && this.groupMembers.length >= capacity)) return;
+    
+    try {
+      const promoted = await StudyGroupsService.fillOpenSpots(this.currentGroup.id, { signal: this.signal });
+      if (promoted > 0) {
+        await this.reloadMembers();
+      }
+    } catch (error) {
+      if (this.isAbortError(error)) throw error;
+      console.error('Failed to promote from waitlist:', error);
+    }
+  }
+  
+  // Reloads just the members and the waitlist after memberships changed
+  async reloadMembers() {
+    const response = await StudyGroupsService.getMemberships({
+      groupId: this.currentGroup.id.toString(),
+      include: ['user'],
+      signal: this.signal
+    });
+    
+    this.groupMembers = response.data || [];
+    this.allUsers = await this.loadRelated(this.groupMembers, 'user', 'users/', [
+      ...this.allUsers,
+      ...ApiService.getIncluded(response, 'User')
+    ]);
+    
+    this.renderMemberChanges();
+    await this.loadPanel(() => this.loadWaitlist(), 'waitlist-section', 'waitlist');
+  }
+  
+  renderWaitlist() {
+    const section = document.getElementById('waitlist-section');
+    const list = document.getElementById('waitlist-list');
+    if (!section || !list) return;
+    
+    section.classList.toggle('d-none', this.waitlist.length === 0);
+    list.innerHTML = '';
+    
+    this.waitlist.forEach((entry, index) => {
+      const userId = entry.relationships?.user?.data?.id;
+      const user = this.allUsers.find(user => user.id === userId);
+      const name = `${user?.attributes?.first_name || ''} ${user?.attributes?.last_name || ''}`.trim() ||
+        user?.attributes?.username || 'Unknown user';
+      const joinedAt = entry.attributes?.created_at
+        ? `Waiting since ${new Date(entry.attributes.created_at).toLocaleDateString()}`
+        : '';
+      
+      const div = document.createElement('div');
+      div.className = 'd-flex align-items-center mt-4';
+      div.innerHTML = `
+        <span class="badge rounded-pill bg-secondary me-3">#${index + 1}</span>
+        <div>
+          <h4 class="h5 fw-500 mb-0">${Markdown.escapeHtml(name)}</h4>
+          ${joinedAt ? `<p class="smaller text-muted mb-0">${joinedAt}</p>` : ''}
+        </div>
+      `;
+      list.appendChild(div);
+    });
+  }
+  
+  /* ====== INVITE LINKS ====== */
+  
+  // Loads outstanding invites for the group's creator
+  async loadInvites() {
+    const section = document.getElementById('invites-section');
+    this.invites = [];
+    
+    if (!section || !this.can(ACTIONS.INVITE)) {
+      section?.classList.add('d-none');
+      return;
+    }
+    
+    section.classList.remove('d-none');
+    this.invites = await StudyGroupDetailService.getActiveInvites(this.currentGroup.id, { signal: this.signal });
+    this.renderInvites();
+  }
+  
+  // The create button lives in the template, so it is bound once per visit
+  setupInviteControls() {
+    const createBtn = document.getElementById('create-invite-btn');
+    this.listen(createBtn, 'click', () => this.handleCreateInvite(createBtn));
+  }
+  
+  renderInvites() {
+    const list = document.getElementById('invites-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    if (this.invites.length === 0) {
+      list.innerHTML = '<p class="text-muted mt-4 mb-0">No active invite links.</p>';
+      return;
+    }
+    
+    this.invites.forEach(invite => {
+      list.appendChild(this.createInviteCard(invite));
+    });
+  }
+  
+  createInviteCard(invite) {
+    const div = document.createElement('div');
+    div.className = 'd-flex align-items-center justify-content-between mt-4';
+    
+    const code = invite.attributes?.code || '';
+    const expiresAt = invite.attributes?.expires_at;
+    const expiresText = expiresAt
+      ? `Expires ${new Date(expiresAt).toLocaleDateString()}`
+      : 'Never expires';
+    
+    div.innerHTML = `
+      <div>
+        <h4 class="h5 fw-500 mb-1"><code>${Markdown.escapeHtml(code)}</code></h4>
+        <p class="smaller text-muted mb-0">${expiresText}</p>
+      </div>
+      <div>
+        <button class="btn btn-sm btn-outline-teal me-2" data-invite-action="copy">
+          <span class="fa-solid fa-copy me-1"></span>Copy Link
+        </button>
+        <button class="btn btn-sm btn-outline-dark-gray" data-invite-action="revoke">
+          <span class="fa-solid fa-ban me-1"></span>Revoke
+        </button>
+      </div>
     `;
     
+    this.listen(div.querySelector('[data-invite-action="copy"]'), 'click', (e) => {
+      this.copyInviteLink(invite, e.currentTarget);
+    });
+    this.listen(div.querySelector('[data-invite-action="revoke"]'), 'click', () => {
+      this.handleRevokeInvite(invite);
+    });
+    
     return div;
   }
   
+  async handleCreateInvite(button) {
+    const expirySelect = document.getElementById('invite-expiry');
+    const expiresInDays = parseInt(expirySelect?.value, 10) || 7;
+    
+    try {
+      button.disabled = true;
+      const invite = await StudyGroupDetailService.createInvite(this.currentGroup.id, { expiresInDays });
+      
+      this.invites = [invite, ...this.invites];
+      this.renderInvites();
+    } catch (error) {
+      if (this.isAbortError(error)) return;
+      alert('Failed to create invite link. Please try again.');
+    } finally {
+      button.disabled = false;
+    }
+  }
+  
+  async copyInviteLink(invite, button) {
+    const url = StudyGroupDetailService.createInviteUrl(invite.attributes?.code || '');
+    
+    try {
+      await navigator.clipboard.writeText(url);
+      
+      const originalHtml = button.innerHTML;
+      button.innerHTML = '<span class="fa-solid fa-check me-1"></span>Copied';
+      this.setTimeout(() => {
+        button.innerHTML = originalHtml;
+      }, 2000);
+    } catch (error) {
+      // Clipboard access can be blocked (e.g. outside a secure context) - let the user copy it
+      window.prompt('Copy this invite link:', url);
+    }
+  }
+  
+  // Removes the invite right away and puts it back if revoking fails
+  async handleRevokeInvite(invite) {
+    if (!confirm('Revoke this invite link? Anyone who has it will no longer be able to join.')) {
+      return;
+    }
+    
+    const previousInvites = this.invites;
+    this.invites = this.invites.filter(item => item.id !== invite.id);
+    this.renderInvites();
+    
+    try {
+      await StudyGroupDetailService.revokeInvite(invite);
+    } catch (error) {
+      if (this.isAbortError(error)) return;
+      
+      this.invites = previousInvites;
+      this.renderInvites();
+      alert('Failed to revoke invite link. Please try again.');
+    }
+  }
+  
+  /* ====== MEMBER ROLE MANAGEMENT ====== */
+  
+  // Dropdown of role actions shown to the group's creator (never for their own card)
+  createMemberActionsMenu(member) {
+    const memberUserId = member.relationships?.user?.data?.id?.toString();
+    if (!this.can(ACTIONS.MANAGE_MEMBERS) || memberUserId === Permissions.getUserId(this.currentUser)) {
+      return '';
+    }
+    
+    const role = Permissions.getMemberRole(member);
+    if (role === ROLES.OWNER) {
+      return '';
+    }
+    
+    return `
+      <div class="dropdown ms-2">
+        <button class="btn btn-sm btn-outline-teal dropdown-toggle" type="button" data-bs-toggle="dropdown" aria-expanded="false">
+          <span class="fa-solid fa-user-gear"></span>
+          <span class="visually-hidden">Manage member</span>
+        </button>
+        <ul class="dropdown-menu dropdown-menu-end">
+          ${role === ROLES.EDITOR
+            ? '<li><button class="dropdown-item" type="button" data-member-action="demote">Remove Editor Role</button></li>'
+            : '<li><button class="dropdown-item" type="button" data-member-action="promote">Make Editor</button></li>'}
+          <li><button class="dropdown-item" type="button" data-member-action="transfer">Transfer Ownership</button></li>
+          <li><hr class="dropdown-divider"></li>
+          <li><button class="dropdown-item text-danger" type="button" data-member-action="remove">Remove from Group</button></li>
+        </ul>
+      </div>
+    `;
+  }
+  
+  async handleMemberAction(action, member, memberName) {
+    const name = memberName || 'this member';
+    
+    switch (action) {
+      case 'promote':
+        if (!confirm(`Make ${name} an editor of this group?`)) return;
+        await this.applyMemberChange(
+          () => this.updateLocalMember(member, { editor: true }),
+          () => StudyGroupDetailService.updateMemberRole(member, { editor: true }),
+          'Failed to promote member. Please try again.'
+        );
+        break;
+        
+      case 'demote':
+        if (!confirm(`Remove the editor role from ${name}?`)) return;
+        await this.applyMemberChange(
+          () => this.updateLocalMember(member, { editor: false }),
+          () => StudyGroupDetailService.updateMemberRole(member, { editor: false }),
+          'Failed to demote member. Please try again.'
+        );
+        break;
+        
+      case 'transfer': {
+        // The group's owner membership - admins transferring ownership have no membership of their own
+        const currentOwner = this.groupMembers.find(groupMember => groupMember.attributes?.creator);
+        if (!currentOwner) {
+          alert('This group has no owner to transfer ownership from.');
+          return;
+        }
+        
+        if (!confirm(`Transfer ownership of this group to ${name}? The current owner will stay on as an editor.`)) return;
+        
+        await this.applyMemberChange(
+          () => {
+            this.updateLocalMember(member, { creator: true, editor: true });
+            this.updateLocalMember(currentOwner, { creator: false, editor: true });
+          },
+          () => StudyGroupDetailService.transferOwnership(currentOwner, member),
+          'Failed to transfer ownership. Please try again.'
+        );
+        break;
+      }
+        
+      case 'remove': {
+        if (!confirm(`Remove ${name} from this group?`)) return;
+        const removed = await this.applyMemberChange(
+          () => {
+            this.groupMembers = this.groupMembers.filter(groupMember => groupMember.id !== member.id);
+          },
+          () => StudyGroupDetailService.removeMember(member),
+          'Failed to remove member. Please try again.'
+        );
+        
+        // Removing gives the freed spot to the first waitlisted user
+        if (removed && this.waitlist?.length > 0) {
+          await this.reloadMembers();
+        }
+        break;
+      }
+    }
+  }
+  
+  // Applies a membership change to the UI right away, then persists it
+  // The previous member list is restored if the request fails; returns whether it was saved
+  async applyMemberChange(applyLocally, persist, errorMessage) {
+    const previousMembers = this.groupMembers;
+    
+    applyLocally();
+    this.renderMemberChanges();
+    
+    try {
+      await persist();
+      return true;
+    } catch (error) {
+      if (this.isAbortError(error)) return false;
+      console.error('Member update failed:', error);
+      
+      this.groupMembers = previousMembers;
+      this.renderMemberChanges();
+      alert(errorMessage);
+      return false;
+    }
+  }
+  
+  // Replaces a member with a copy carrying the new role flags (store records are left untouched)
+  updateLocalMember(member, roleFlags) {
+    this.groupMembers = this.groupMembers.map(groupMember => (
+      groupMember.id === member.id
+        ? { ...groupMember, attributes: { ...groupMember.attributes, ...roleFlags } }
+        : groupMember
+    ));
+  }
+  
+  // Role changes can change what the current user may do, so actions are re-rendered too
+  renderMemberChanges() {
+    this.renderMembers();
+    this.renderGroupActions();
+    document.getElementById('invites-section')?.classList.toggle('d-none', !this.can(ACTIONS.INVITE));
+  }
+  
   renderMeetings() {
     const meetingsList = document.getElementById('meetings-list');
     if (!meetingsList) return;
@@ -412,13 +960,13 @@ class StudyGroupDetailPage {
     this.updateCommentFormAvatar();
     
     // Add click handler for post button
-    postButton.addEventListener('click', async (e) => {
+    this.listen(postButton, 'click', async (e) => {
       e.preventDefault();
       await this.postComment(commentForm);
     });
     
     // Add Enter+Ctrl shortcut for posting
-    commentForm.addEventListener('keydown', async (e) => {
+    this.listen(commentForm, 'keydown', async (e) => {
       if (e.ctrlKey && e.key === 'Enter') {
         e.preventDefault();
         await this.postComment(commentForm);
@@ -497,13 +1045,17 @@ class StudyGroupDetailPage {
     try {
       // Fetch updated comments
       const authHeader = UserService.getAuthHeader();
-      const commentsResponse = await ApiService.getData('group_comments/', authHeader);
-      
-      // Filter for this group
       const groupId = this.currentGroup.id;
+      const query = ApiService.query('group_comments/').filter('group', groupId).include('user').sort('-created_at');
+      const commentsResponse = await ApiService.getData(query, authHeader);
+      
       this.groupComments = commentsResponse.data?.filter(comment =>
         comment.relationships?.group?.data?.id === groupId
       ) || [];
+      this.allUsers = await this.loadRelated(this.groupComments, 'user', 'users/', [
+        ...this.allUsers,
+        ...ApiService.getIncluded(commentsResponse, 'User')
+      ]);
       
       // Re-render comments and update stats
       this.renderComments();
@@ -524,11 +1076,16 @@ class StudyGroupDetailPage {
     
     if (!modal || !form) return;
     
+    RecurrenceForm.attach();
+    
     // Use Bootstrap's modal events instead of manual click handlers
-    modal.addEventListener('show.bs.modal', async () => {
+    this.listen(modal, 'show.bs.modal', async () => {
       try {
         await this.loadLocations();
         this.populateGroupSelect();
+        RecurrenceForm.reset();
+        this.acknowledgedConflicts = null;
+        MeetingConflicts.hidePanel(document.getElementById('meeting-conflicts'));
         
         // Set default date to tomorrow
         const tomorrow = new Date();
@@ -544,7 +1101,7 @@ class StudyGroupDetailPage {
     });
     
     // Handle form submission
-    form.addEventListener('submit', this.handleMeetingSubmit.bind(this));
+    this.listen(form, 'submit', this.handleMeetingSubmit.bind(this));
   }
 
   // Add this new method to populate the group select
@@ -637,26 +1194,36 @@ class StudyGroupDetailPage {
         return;
       }
       
-      // Calculate start and end times
-      const startDateTime = new Date(`${date}T${startTime}`);
-      const endDateTime = new Date(startDateTime.getTime() + duration * 60 * 60 * 1000);
+      const rule = RecurrenceForm.getRule();
+      const ruleError = Recurrence.validate(rule, date);
+      if (ruleError) {
+        alert(ruleError);
+        return;
+      }
       
-      // Create meeting data using the same format as MeetingsPage
       const meetingData = {
-        name: name,
-        description: description || '',
-        start_time: startDateTime.toISOString(),
-        end_time: endDateTime.toISOString(),
-        group: parseInt(this.currentGroup.id),
-        location: parseInt(locationId)
+        name,
+        description,
+        date,
+        startTime,
+        duration,
+        group: this.currentGroup.id,
+        location: locationId
       };
       
-      // Use the same API method as MeetingsPage
-      const result = await UserService.makeAuthenticatedPostRequest('meetings/', meetingData);
+      // Same check as the meetings page - conflicts are shown once, submitting again schedules anyway
+      const hasConflicts = await this.checkMeetingConflicts(meetingData, rule);
+      if (hasConflicts) {
+        return;
+      }
       
-      if (result) {
+      // Use the same service method as MeetingsPage - a repeating rule creates the whole series
+      const result = await MeetingsService.createMeetings(meetingData, rule);
+      
+      if (result.meetings.length > 0) {
         // Clear form first
         document.getElementById('meeting-form').reset();
+        RecurrenceForm.reset();
         
         // Close modal using the close button (like ModalUtility does)
         const modal = document.getElementById('scheduleMeetingModal');
@@ -667,11 +1234,16 @@ class StudyGroupDetailPage {
         
         // Reload the page data
         await this.loadStudyGroup();
-        
-        alert('Meeting scheduled successfully!');
+      }
+      
+      if (result.failedDates.length > 0) {
+        alert(`These meetings could not be scheduled:\n\n${result.failedDates.map(d => MeetingsService.formatDate(`${d}T00:00`)).join('\n')}`);
+      } else {
+        alert(result.meetings.length > 1 ? `${result.meetings.length} meetings scheduled successfully!` : 'Meeting scheduled successfully!');
       }
       
     } catch (error) {
+      if (this.isAbortError(error)) return;
       console.error('Error creating meeting:', error);
       console.error('Error details:', error.message, error.stack);
       alert('Error scheduling meeting. Please try again.');
@@ -683,6 +1255,53 @@ class StudyGroupDetailPage {
     }
   }
 
+  // Shows conflicts for the submitted form and returns true if there are any the user hasn't seen yet
+  async checkMeetingConflicts(meetingData, rule) {
+    const signature = JSON.stringify({ ...meetingData, rule });
+    if (this.acknowledgedConflicts === signature) {
+      return false;
+    }
+    
+    const { meetings, groups } = await this.loadUserGroupMeetings();
+    const result = await MeetingConflicts.check(meetingData, rule, { meetings, signal: this.signal });
+    if (!result) {
+      return false;
+    }
+    
+    const panel = document.getElementById('meeting-conflicts');
+    MeetingConflicts.showPanel(panel, result, {
+      groups,
+      onSelect: suggestion => {
+        MeetingConflicts.applySuggestion(suggestion);
+        MeetingConflicts.hidePanel(panel);
+      }
+    });
+    this.acknowledgedConflicts = signature;
+    return true;
+  }
+  
+  // Upcoming meetings of every group the user belongs to, plus this group's, for conflict checks
+  async loadUserGroupMeetings() {
+    const memberships = await StudyGroupsService.getMemberships({
+      userId: Permissions.getUserId(this.currentUser),
+      signal: this.signal
+    });
+    const groupIds = [...new Set([
+      this.currentGroup.id,
+      ...(memberships.data || []).map(member => member.relationships?.group?.data?.id)
+    ].filter(Boolean).map(id => id.toString()))];
+    
+    const [meetingsResponse, groupsResponse] = await Promise.all([
+      MeetingsService.getMeetingsForGroups(groupIds, { from: new Date(), signal: this.signal }),
+      StudyGroupsService.getGroupsByIds(groupIds, { signal: this.signal })
+    ]);
+    
+    return {
+      meetings: meetingsResponse.meetingData?.data || [],
+      groups: groupsResponse.data || []
+    };
+  }
+
   setupEditGroupModal() {
     const editBtn = document.getElementById('edit-group-btn');
     const editForm = document.getElementById('editGroupForm');
@@ -690,80 +1309,91 @@ class StudyGroupDetailPage {
 
     // Set up modal shown event to populate form
     if (modal) {
-      modal.addEventListener('show.bs.modal', this.showEditGroupModal.bind(this));
+      this.listen(modal, 'show.bs.modal', this.showEditGroupModal.bind(this));
     }
 
     // Set up form submit event
     if (editForm) {
-      editForm.addEventListener('submit', (e) => {
+      this.listen(editForm, 'submit', (e) => {
         e.preventDefault();
         this.handleEditGroupSubmit(e);
       });
     }
   }
 
+  // Shows the group actions the current user is allowed to perform
   renderGroupActions() {
     const actionsContainer = document.getElementById('group-actions');
     if (!actionsContainer) return;
     
-    const currentUserId = this.currentUser?.userData?.id || this.currentUser?.id;
-    const isAdmin = this.currentUser?.userData?.attributes?.is_superuser || 
-                    this.currentUser?.username?.toLowerCase().includes('admin');
+    const canEdit = this.can(ACTIONS.EDIT);
+    const canDelete = this.can(ACTIONS.DELETE);
+    const canLeave = this.can(ACTIONS.LEAVE);
     
-    // For group management, admins have full control
-    // Regular users who created the group have limited control
-    const userIsGroupMember = this.groupMembers.some(member => 
-      member.relationships?.user?.data?.id?.toString() === currentUserId?.toString()
-    );
-    
-    if (isAdmin) {
-      // Admin view - full control
-      actionsContainer.innerHTML = `
-        <p><span class="badge bg-secondary">Admin View</span></p>
+    actionsContainer.innerHTML = `
+      ${Permissions.isAdmin(this.currentUser) ? '<p><span class="badge bg-secondary">Admin View</span></p>' : ''}
+      ${canEdit ? `
         <button class="btn btn-outline-teal me-2" id="edit-group-btn" data-bs-toggle="modal" data-bs-target="#editGroupModal">
           <span class="fa-solid fa-edit me-2"></span>Edit Group
-        </button>
+        </button>` : ''}
+      ${canDelete ? `
         <button class="btn btn-gator-accent" id="delete-group-btn">
           <span class="fa-solid fa-trash me-2"></span>Delete Group
-        </button>
-      `;
-      
-      document.getElementById('delete-group-btn').addEventListener('click', () => {
-        this.handleDeleteGroup();
-      });
-    } else if (userIsGroupMember) {
-      // Regular member view
-      actionsContainer.innerHTML = `
+        </button>` : ''}
+      ${canLeave ? `
         <button class="btn btn-gator-accent" id="leave-group-btn">
           <span class="fa-solid fa-user-minus me-2"></span>Leave Group
-        </button>
-      `;
-      
-      document.getElementById('leave-group-btn').addEventListener('click', () => {
-        this.handleLeaveGroup();
-      });
-    }
+        </button>` : ''}
+    `;
+    
+    this.listen(document.getElementById('delete-group-btn'), 'click', () => {
+      this.handleDeleteGroup();
+    });
+    this.listen(document.getElementById('leave-group-btn'), 'click', () => {
+      this.handleLeaveGroup();
+    });
+    
+    // Only members can schedule meetings for the group
+    document.querySelectorAll('[data-bs-target="#scheduleMeetingModal"]').forEach(button => {
+      button.classList.toggle('d-none', !this.can(ACTIONS.SCHEDULE));
+    });
+  }
+  
+  // Checks an action on this group against the loaded memberships
+  can(action) {
+    return Permissions.can(this.currentUser, action, this.currentGroup, this.groupMembers);
   }
 
   async showEditGroupModal(event) {
     try {
       // Populate form with current group data
       const groupNameInput = document.getElementById('editGroupName');
-      const departmentSelect = document.getElementById('editDepartment');
-      const courseNumberInput = document.getElementById('editCourseNumber');
+      const courseInput = document.getElementById('editCourse');
       const descriptionTextarea = document.getElementById('editGroupDescription');
+      const visibilitySelect = document.getElementById('editGroupVisibility');
       
+      const maxMembersInput = document.getElementById('editMaxMembers');
+      
+      if (visibilitySelect) visibilitySelect.value = StudyGroupsService.getVisibility(this.currentGroup);
+      if (maxMembersInput) maxMembersInput.value = StudyGroupsService.getCapacity(this.currentGroup) || '';
       if (groupNameInput) groupNameInput.value = this.currentGroup.attributes?.name || '';
-      if (courseNumberInput) courseNumberInput.value = this.currentGroup.attributes?.class_number || '';
-      if (descriptionTextarea) descriptionTextarea.value = this.currentGroup.attributes?.description || '';
+      if (descriptionTextarea) descriptionTextarea.value = StudyGroupsService.getDescription(this.currentGroup);
       
-      // Load departments if not already loaded
-      await this.loadDepartmentsForEdit();
+      const termInput = document.getElementById('editGroupTerm');
+      const instructorInput = document.getElementById('editGroupInstructor');
+      if (termInput) termInput.value = this.currentGroup.attributes?.term || '';
+      if (instructorInput) instructorInput.value = this.currentGroup.attributes?.instructor || '';
       
-      // Set the current department
-      if (departmentSelect && this.currentGroup.attributes?.department) {
-        departmentSelect.value = this.currentGroup.attributes.department;
-      }
+      this.setCheckedValues('groupTags', StudyGroupsService.getTags(this.currentGroup));
+      this.setCheckedValues('meetingDays', StudyGroupsService.getMeetingDays(this.currentGroup));
+      
+      // Groups whose course isn't in the catalog keep their code until a catalog course is picked
+      await CoursePicker.attach(courseInput);
+      const course = await CourseCatalogService.findForGroup(this.currentGroup);
+      const deptCode = this.currentGroup.attributes?.department || '';
+      const classNum = this.currentGroup.attributes?.class_number || '';
+      CoursePicker.setCourse(courseInput, course, `${deptCode} ${classNum}`.trim());
+      this.editCourseText = courseInput?.value.trim() || '';
       
       // Clear any previous messages
       this.clearEditModalMessages();
@@ -773,35 +1403,15 @@ class StudyGroupDetailPage {
     }
   }
 
-  async loadDepartmentsForEdit() {
-    try {
-      const departmentSelect = document.getElementById('editDepartment');
-      if (!departmentSelect) return;
-      
-      // Check if departments are already loaded
-      if (departmentSelect.children.length > 1) return;
-      
-      const authHeader = UserService.getAuthHeader();
-      const response = await ApiService.getData('groups/', authHeader);
-      
-      if (response && response.data) {
-        // Extract unique departments from existing groups
-        const departments = [...new Set(response.data.map(group => group.attributes?.department).filter(Boolean))];
-        
-        // Clear loading option
-        departmentSelect.innerHTML = '<option value="">Select Department</option>';
-        
-        // Add department options
-        departments.forEach(dept => {
-          const option = document.createElement('option');
-          option.value = dept;
-          option.textContent = dept;
-          departmentSelect.appendChild(option);
-        });
-      }
-    } catch (error) {
-      console.error('Error loading departments:', error);
-    }
+  // Checks the edit form checkboxes named name whose value is in values
+  setCheckedValues(name, values) {
+    document.querySelectorAll(`#editGroupForm input[name="${name}"]`).forEach(input => {
+      input.checked = values.includes(input.value);
+    });
+  }
+  
+  getCheckedValues(name) {
+    return [...document.querySelectorAll(`#editGroupForm input[name="${name}"]:checked`)].map(input => input.value);
   }
 
   async handleEditGroupSubmit(e) {
@@ -816,20 +1426,51 @@ class StudyGroupDetailPage {
       
       // Get form data
       const name = document.getElementById('editGroupName').value.trim();
-      const department = document.getElementById('editDepartment').value;
-      const courseNumber = document.getElementById('editCourseNumber').value.trim();
+      const courseInput = document.getElementById('editCourse');
+      const courseChanged = courseInput?.value.trim() !== this.editCourseText;
+      const course = courseChanged ? await CoursePicker.validate(courseInput) : null;
+      const visibility = document.getElementById('editGroupVisibility')?.value || StudyGroupsService.getVisibility(this.currentGroup);
+      const maxMembers = parseInt(document.getElementById('editMaxMembers')?.value, 10) || null;
+      const description = document.getElementById('editGroupDescription')?.value.trim() || '';
+      const term = document.getElementById('editGroupTerm')?.value.trim() || '';
+      const instructor = document.getElementById('editGroupInstructor')?.value.trim() || '';
       
       // Validate required fields
-      if (!name || !department || !courseNumber) {
+      if (!name || !courseInput?.value.trim()) {
         this.showEditModalError('Please fill in all required fields.');
         return;
       }
       
+      // Only a changed course has to match the catalog - unchanged ones are saved as they are
+      if (courseChanged && !course) {
+        this.showEditModalError('Choose a course from the catalog suggestions.');
+        return;
+      }
+      
+      if (maxMembers !== null && maxMembers < this.groupMembers.length) {
+        this.showEditModalError(`Maximum members can't be lower than the current ${this.groupMembers.length} members.`);
+        return;
+      }
+      
       // Prepare update data
       const updateData = {
         name: name,
-        department: department,
-        class_number: parseInt(courseNumber, 10) || 0,
+        ...(courseChanged ? {
+          department: course.department,
+          class_number: parseInt(course.number, 10) || 0,
+          course_id: course.id
+        } : {
+          department: this.currentGroup.attributes?.department,
+          class_number: this.currentGroup.attributes?.class_number,
+          course_id: this.currentGroup.attributes?.course_id ?? null
+        }),
+        visibility,
+        max_members: maxMembers,
+        description,
+        tags: this.getCheckedValues('groupTags'),
+        meeting_days: this.getCheckedValues('meetingDays'),
+        term,
+        instructor,
       };
       
       // Submit the update
@@ -840,27 +1481,11 @@ class StudyGroupDetailPage {
         // Show success message
         this.showEditModalSuccess('Group updated successfully!');
         
-        // Close modal after a short delay and redirect if name changed
-        setTimeout(() => {
+        // Close modal after a short delay and reload the group
+        // (loadStudyGroup rewrites the URL if the name, and so the slug, changed)
+        this.setTimeout(() => {
           ModalUtility.closeModalById('editGroupModal');
-          // Check if the group name changed and redirect if needed
-          const newGroupName = document.getElementById('editGroupName').value.trim();
-          const currentGroupName = this.currentGroup?.attributes?.name;
-          
-          if (newGroupName && newGroupName !== currentGroupName) {
-            // Convert the new name to URL-friendly format (lowercase, replace spaces with hyphens)
-            const newSlug = newGroupName.toLowerCase()
-              .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
-              .replace(/\s+/g, '-') // Replace spaces with hyphens
-              .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
-              .trim('-'); // Remove leading/trailing hyphens
-            
-            // Redirect to the new URL
-            window.location.href = `/study-groups/${newSlug}`;
-          } else {
-            // Just reload group data if name didn't change
-            this.loadStudyGroup();
-          }
+          this.loadStudyGroup();
         }, 1500);
       } else {
         this.showEditModalError('Failed to update group. Please try again.');
@@ -944,12 +1569,8 @@ class StudyGroupDetailPage {
 
   // Handle deleting a group
   async handleDeleteGroup() {
-    const currentUserId = this.currentUser?.userData?.id || this.currentUser?.id;
-    const isAdmin = this.currentUser?.userData?.attributes?.is_superuser || 
-                    this.currentUser?.username?.toLowerCase().includes('admin');
-    
-    if (!isAdmin) {
-      alert('Only administrators can delete groups.');
+    if (!this.can(ACTIONS.DELETE)) {
+      alert('You do not have permission to delete this group.');
       return;
     }
     
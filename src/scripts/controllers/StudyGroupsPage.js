@@ -1,29 +1,37 @@
 import PageController from './PageController.js';
+import BasePage from './BasePage.js';
 import UserService from '../api/UserService.js';
 import StudyGroupsService from '../api/StudyGroupsService.js';
-import { createGroupUrl } from './StudyGroupDetailPage.js';
+import StudyGroupDetailService from '../api/StudyGroupDetailService.js';
 import StatsService from '../api/StatsService.js';
 import { ModalUtility } from '../utils/ModalUtility.js';
+import Permissions, { ACTIONS } from '../utils/Permissions.js';
+import CoursePicker from '../utils/CoursePicker.js';
 
 // Update href attributes for group view links
 export function updateGroupLinks() {
   const groupLinks = document.querySelectorAll('a#group-url');
   
   groupLinks.forEach(link => {
-    const groupCard = link.closest('[data-group-name]');
+    const groupCard = link.closest('[data-group-id]');
     if (groupCard) {
-      const groupName = groupCard.dataset.groupName;
-      if (groupName) {
-        link.href = createGroupUrl(groupName);
+      const { groupId, groupName } = groupCard.dataset;
+      if (groupId) {
+        link.href = StudyGroupDetailService.createGroupPath({ id: groupId, attributes: { name: groupName } });
       }
     }
   });
 }
 
-class StudyGroupsPage {
+// Most existing groups suggested before creating a new one
+const MAX_SIMILAR_GROUPS = 3;
+
+class StudyGroupsPage extends BasePage {
   constructor() {
-    this.isInitialized = false;
+    super();
     this.groups = [];
+    // Course + name the user already saw suggestions for - submitting it again creates the group
+    this.reviewedDuplicateKey = null;
   }
   
   // Initialize page - check auth, load data, setup handlers
@@ -47,38 +55,48 @@ class StudyGroupsPage {
   // Load and render groups, stats, and UI updates
   async loadStudyGroups() {
     try {
-      // Load both groups and members data
-      const [groupsResponse, membersResponse] = await Promise.all([
-        StudyGroupsService.getMyStudyGroups(),
-        UserService.makeAuthenticatedRequest('members/')
-      ]);
-      
-      const allGroups = groupsResponse.studyGroupsData?.data || [];
-      const members = membersResponse.data || [];
       const currentUserId = this.currentUser?.userData?.id?.toString() || this.currentUser?.id?.toString();
       
-      // Check if current user is admin
-      const isAdmin = this.currentUser?.username?.includes('admin') || false;
+      let allGroups = [];
+      let totalGroups = 0;
       
-      if (isAdmin) {
+      if (Permissions.isAdmin(this.currentUser)) {
         // Admin users see all groups
+        const groupsResponse = await StudyGroupsService.getMyStudyGroups({ signal: this.signal });
+        allGroups = groupsResponse.studyGroupsData?.data || [];
+        totalGroups = allGroups.length;
         this.groups = allGroups;
       } else {
-        // Regular users see only their joined groups
-        const userGroupIds = members
+        // Regular users load only their memberships and joined groups
+        const membershipsResponse = await StudyGroupsService.getMemberships({ userId: currentUserId, signal: this.signal });
+        const userGroupIds = (membershipsResponse.data || [])
         .filter(member => {
           const memberUserId = member.relationships.user.data.id;
           return memberUserId.toString() === currentUserId.toString();
         })
         .map(member => member.relationships.group.data.id.toString());
         
-        this.groups = allGroups.filter(group => userGroupIds.includes(group.id.toString()));
+        const [groupsResponse, groupCount] = await Promise.all([
+          StudyGroupsService.getGroupsByIds(userGroupIds, { signal: this.signal }),
+          StudyGroupsService.getGroupCount({ signal: this.signal })
+        ]);
+        
+        this.groups = groupsResponse.data || [];
+        totalGroups = groupCount;
       }
       
+      // Members of the rendered groups, for the card avatars
+      const groupIds = this.groups.map(group => group.id.toString());
+      const membersResponse = groupIds.length > 0
+        ? await StudyGroupsService.getMemberships({ groupIds, signal: this.signal })
+        : { data: [] };
+      const members = membersResponse.data || [];
+      
       // Render components
       StudyGroupsService.renderStudyGroups(this.groups, 'study-groups-container', members);
       StatsService.renderStats(allGroups, {
         userGroups: this.groups,
+        totalGroups,
         layout: 'studyGroups',
         clickableCards: ['studygroups', 'meetings', 'availablegroups'],
         clickHandlers: {
@@ -94,6 +112,7 @@ class StudyGroupsPage {
       this.updateCreateButtonStyle();
       
     } catch (error) {
+      if (this.isAbortError(error)) return;
       console.error('Failed to load study groups:', error);
       PageController.showError('Unable to load study groups. Please try refreshing the page.');
     }
@@ -120,61 +139,97 @@ class StudyGroupsPage {
   }
   
   /* ====== FORM MANAGEMENT ====== */
-  // Setup form submission handler (prevent duplicates)
+  // Setup form submission handler
+  // Document-level listeners are removed on unmount, so each visit binds exactly one handler
   setupFormHandling() {
-    if (!window.studyGroupsListenerAdded) {
-      document.addEventListener('submit', async (e) => {
-        if (e.target && e.target.id === 'addGroupForm') {
-          e.preventDefault();
-          await this.handleCreateGroup(e);
-        }
-      });
-      
-      // Load departments when modal is shown
-      document.addEventListener('show.bs.modal', async (e) => {
-        if (e.target && e.target.id === 'addGroupModal') {
-          await ModalUtility.loadDepartments();
-        }
-      });
-      
-      window.studyGroupsListenerAdded = true;
-    }
+    this.listen(document, 'submit', async (e) => {
+      if (e.target && e.target.id === 'addGroupForm') {
+        e.preventDefault();
+        await this.handleCreateGroup(e);
+      }
+    });
+    
+    // Load the course catalog when modal is shown
+    this.listen(document, 'show.bs.modal', async (e) => {
+      if (e.target && e.target.id === 'addGroupModal') {
+        await ModalUtility.setupCoursePicker();
+      }
+    });
+    
+    this.listen(document, 'hidden.bs.modal', (e) => {
+      if (e.target && e.target.id === 'addGroupModal') {
+        this.clearSimilarGroups();
+      }
+    });
   }
   
   // Handle new group creation form submission
   async handleCreateGroup(event) {
     const form = event.target;
     const formData = new FormData(form);
+    const courseInput = form.querySelector('#course');
+    
+    let course = null;
+    try {
+      course = await CoursePicker.validate(courseInput);
+    } catch (error) {
+      console.error('Error loading course catalog:', error);
+      this.showModalError('Unable to load the course catalog. Please try again.');
+      return;
+    }
     
     const groupData = {
       name: formData.get('groupName'),
-      department: formData.get('department'),
-      courseNumber: formData.get('courseNumber'),
-      description: formData.get('groupDescription') || ''
+      courseId: course?.id || null,
+      department: course?.department || '',
+      courseNumber: course?.number || '',
+      description: formData.get('groupDescription') || '',
+      visibility: formData.get('groupVisibility') || 'public',
+      maxMembers: formData.get('maxMembers') || null
     };
     
     // Validate required fields
-    if (!groupData.name || !groupData.department || !groupData.courseNumber) {
+    if (!groupData.name || !courseInput?.value.trim()) {
       this.showModalError('Please fill in all required fields.');
       return;
     }
     
+    if (!course) {
+      this.showModalError('Choose a course from the catalog suggestions.');
+      return;
+    }
+    
+    const submitBtn = this.getSubmitButton(form);
+    
+    // Offer existing groups for the same course first; submitting again creates the group anyway
+    const duplicateKey = `${course.id}|${groupData.name.trim().toLowerCase()}`;
+    if (this.reviewedDuplicateKey !== duplicateKey) {
+      this.setSubmitButtonState(submitBtn, 'Checking...', true);
+      
+      const hasSuggestions = await this.suggestSimilarGroups(groupData);
+      
+      this.setSubmitButtonState(submitBtn, hasSuggestions ? 'Create Anyway' : null);
+      
+      if (hasSuggestions) {
+        this.reviewedDuplicateKey = duplicateKey;
+        this.hideErrorMessage();
+        return;
+      }
+    }
+    
     try {
       // Update submit button state
-      const submitBtn = form.querySelector('button[type="submit"]');
-      if (submitBtn) {
-        submitBtn.textContent = 'Creating...';
-        submitBtn.disabled = true;
-      }
+      this.setSubmitButtonState(submitBtn, 'Creating...', true);
       
       const response = await StudyGroupsService.createStudyGroup(groupData);
       
       if (response.success) {
         this.showModalSuccess('Study group created successfully!');
         form.reset();
+        this.clearSimilarGroups();
         
         // Auto-close modal after success
-        setTimeout(() => {
+        this.setTimeout(() => {
           const modal = document.getElementById('addGroupModal');
           if (modal) {
             const closeBtn = modal.querySelector('[data-bs-dismiss="modal"]');
@@ -193,14 +248,139 @@ class StudyGroupsPage {
       this.showModalError('An error occurred while creating the group. Please try again.');
     } finally {
       // Reset submit button state
-      const submitBtn = form.querySelector('button[type="submit"]');
-      if (submitBtn) {
-        submitBtn.textContent = 'Create Group';
-        submitBtn.disabled = false;
-      }
+      this.setSubmitButtonState(submitBtn, null);
+    }
+  }
+  
+  // The submit button sits in the modal footer, outside the form it submits
+  getSubmitButton(form) {
+    return form.querySelector('button[type="submit"]') ||
+      document.querySelector(`button[type="submit"][form="${form.id}"]`);
+  }
+  
+  // Swaps the submit button's label - null restores the original label and icon
+  setSubmitButtonState(button, label, disabled = false) {
+    if (!button) return;
+    
+    if (!button.dataset.originalLabel) {
+      button.dataset.originalLabel = button.innerHTML;
+    }
+    
+    if (label === null) {
+      button.innerHTML = button.dataset.originalLabel;
+    } else {
+      button.textContent = label;
+    }
+    button.disabled = disabled;
+  }
+  
+  /* ====== DUPLICATE DETECTION ====== */
+  // Lists existing groups like the one being created - returns true if any were shown
+  // A failed lookup never blocks creating the group
+  async suggestSimilarGroups(groupData) {
+    try {
+      const similarGroups = await StudyGroupsService.findSimilarGroups(groupData, { signal: this.signal });
+      const suggestions = similarGroups.slice(0, MAX_SIMILAR_GROUPS);
+      if (suggestions.length === 0) return false;
+      
+      const cappedGroupIds = suggestions
+        .filter(group => StudyGroupsService.getCapacity(group) !== null)
+        .map(group => group.id);
+      
+      const [membershipsResponse, memberCounts] = await Promise.all([
+        StudyGroupsService.getMemberships({ userId: Permissions.getUserId(this.currentUser), signal: this.signal }),
+        StudyGroupsService.getMemberCounts(cappedGroupIds, { signal: this.signal })
+      ]);
+      
+      this.renderSimilarGroups(suggestions, membershipsResponse.data || [], memberCounts);
+      return true;
+    } catch (error) {
+      if (this.isAbortError(error)) return false;
+      console.error('Failed to check for similar groups:', error);
+      return false;
     }
   }
   
+  renderSimilarGroups(groups, memberships, memberCounts) {
+    const section = document.getElementById('similarGroupsSuggestions');
+    const list = document.getElementById('similarGroupsList');
+    if (!section || !list) return;
+    
+    list.replaceChildren(...groups.map(group => this.createSimilarGroupCard(group, {
+      isMember: !!Permissions.findMembership(this.currentUser, group.id, memberships),
+      isFull: StudyGroupsService.isGroupFull(group, memberCounts.get(group.id) || 0)
+    })));
+    section.classList.remove('d-none');
+  }
+  
+  // Name, course line and a join action (or a link when the user is already a member)
+  createSimilarGroupCard(group, { isMember, isFull }) {
+    const card = document.createElement('div');
+    card.className = 'd-flex align-items-center justify-content-between gap-3 py-2 border-top';
+    
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'fw-semibold';
+    name.textContent = group.attributes?.name || 'Untitled Group';
+    const meta = document.createElement('div');
+    meta.className = 'smaller text-muted';
+    meta.textContent = StudyGroupsService.formatGroupMeta(group);
+    info.append(name, meta);
+    
+    const action = document.createElement('div');
+    action.className = 'flex-shrink-0';
+    
+    if (isMember) {
+      action.innerHTML = `<a href="${StudyGroupDetailService.createGroupPath(group)}" class="btn btn-outline-teal btn-sm">Open</a>`;
+    } else {
+      action.innerHTML = ModalUtility.createJoinAction(group, {
+        canJoin: Permissions.can(this.currentUser, ACTIONS.JOIN, group),
+        canRequest: Permissions.can(this.currentUser, ACTIONS.REQUEST_JOIN, group),
+        requestStatus: null,
+        isFull
+      });
+      
+      const joinBtn = action.querySelector('.join-group-btn');
+      const requestBtn = action.querySelector('.request-group-btn');
+      const waitlistBtn = action.querySelector('.waitlist-group-btn');
+      
+      joinBtn?.addEventListener('click', () => this.handleJoinSimilarGroup(group, joinBtn));
+      requestBtn?.addEventListener('click', () => ModalUtility.handleRequestToJoin(group, requestBtn));
+      waitlistBtn?.addEventListener('click', () => ModalUtility.handleJoinWaitlist(group, waitlistBtn));
+    }
+    
+    card.append(info, action);
+    return card;
+  }
+  
+  // One-click join - closes the create modal and opens the joined group
+  async handleJoinSimilarGroup(group, button) {
+    try {
+      button.disabled = true;
+      await StudyGroupsService.joinGroup(group.id);
+      
+      ModalUtility.closeModalById('addGroupModal');
+      PageController.navigateTo(StudyGroupDetailService.createGroupPath(group));
+    } catch (error) {
+      console.error('Error joining suggested group:', error);
+      button.disabled = false;
+      this.showModalError(error.message || 'Failed to join group. Please try again.');
+    }
+  }
+  
+  clearSimilarGroups() {
+    const section = document.getElementById('similarGroupsSuggestions');
+    const list = document.getElementById('similarGroupsList');
+    
+    if (list) list.innerHTML = '';
+    if (section) section.classList.add('d-none');
+    this.reviewedDuplicateKey = null;
+    
+    const form = document.getElementById('addGroupForm');
+    const submitBtn = form && this.getSubmitButton(form);
+    if (submitBtn && !submitBtn.disabled) this.setSubmitButtonState(submitBtn, null);
+  }
+  
   /* ====== MODAL MESSAGE MANAGEMENT ====== */
   showModalError(message) {
     const errorDiv = document.getElementById('modalErrorMessage');
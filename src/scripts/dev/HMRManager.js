@@ -1,3 +1,5 @@
+import PageLoader from '../router/PageLoader.js';
+
 class HMRManager {
   constructor(router) {
     this.router = router;
@@ -23,22 +25,22 @@ class HMRManager {
     // Accept hot updates for HTML templates
     module.hot.accept('../../templates/login.html', () => {
       console.log('Login template updated via HMR!');
-      this.router.loadPageContent();
+      this.reloadPage('login');
     });
 
     module.hot.accept('../../templates/signup.html', () => {
       console.log('Sign up template updated via HMR!');
-      this.router.loadPageContent();
+      this.reloadPage('signup');
     });
 
     module.hot.accept('../../templates/forgot-password.html', () => {
       console.log('Forgot Password template updated via HMR!');
-      this.router.loadPageContent();
+      this.reloadPage('forgot-password');
     });
 
     module.hot.accept('../../templates/dashboard/dashboard.html', () => {
       console.log('Dashboard template updated via HMR!');
-      this.router.loadPageContent();
+      this.reloadPage('dashboard');
     });
 
     module.hot.accept('../../templates/navigation.html', () => {
@@ -58,6 +60,12 @@ class HMRManager {
     });
   }
 
+  // Drops the cached page chunk so the router picks up the updated template
+  reloadPage(page) {
+    PageLoader.loaded.delete(page);
+    this.router.loadPageContent();
+  }
+
   setupDevTools() {
     console.log('Running in development mode');
     
@@ -68,7 +76,7 @@ class HMRManager {
       navigateTo: (page) => this.router.navigateToPage(page),
       version: '1.0.0',
       env: process.env.NODE_ENV,
-      contentMap: this.router.contentMap
+      loadedPages: PageLoader.loaded
     };
 
     console.log('Debug tools available at window.debugApp');
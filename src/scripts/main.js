@@ -8,9 +8,13 @@ import '../styles/main.scss';
 // App
 import App from './App.js';
 import ApiService from './api/ApiService.js';
+import AppConfig from './config/AppConfig.js';
 
 // Initialize the application when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
+  // Resolve runtime configuration (API URLs) before any request is made
+  await AppConfig.load();
+  
   const app = new App();
   await app.init();
   
@@ -18,5 +22,6 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (process.env.NODE_ENV === 'development') {
     window.app = app;
     window.ApiService = ApiService;
+    window.AppConfig = AppConfig;
   }
 });
\ No newline at end of file
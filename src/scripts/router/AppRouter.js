@@ -1,40 +1,71 @@
 /**
  * AppRouter - Client-side SPA router
- * Handles navigation between pages without full page reloads
+ * Handles navigation between pages without full page reloads.
+ * Pages are resolved from a declarative route table: paths may contain :params,
+ * routes may nest children under a parent path, and guards run before a page renders.
+ * Same-origin link clicks are intercepted and routed through navigate(), and each
+ * history entry remembers its scroll position for back/forward.
+ * Page templates and controllers are lazy loaded per route through PageLoader.
  */
 
-import loginContent from '../../templates/login.html';
 import navigationContent from '../../templates/navigation.html';
-import signUpContent from '../../templates/signup.html';
-import forgotPasswordContent from '../../templates/forgot-password.html';
-import dashboardContent from '../../templates/dashboard/dashboard.html';
-import groupsContent from '../../templates/groups/groups.html';
-import groupContent from '../../templates/groups/group.html';
-import meetingsContent from '../../templates/meetings/meetings.html';
-import meetingContent from '../../templates/meetings/meeting.html';
-import awardsContent from '../../templates/awards/awards.html';
-import profileContent from '../../templates/profile/profile.html';
+import loadErrorContent from '../../templates/errors/load-error.html';
 import UserService from '../api/UserService';
+import PageLoader from './PageLoader.js';
+
+// Don't flash the loading indicator for chunks that arrive quickly
+const LOADING_INDICATOR_DELAY = 150;
+
+// Guard for routes that need a session - sends guests to login with a returnTo parameter
+export function requireAuth(route, location) {
+  if (UserService.isLoggedIn()) {
+    return true;
+  }
+
+  const returnTo = encodeURIComponent(location.pathname + location.search);
+  return `/login?returnTo=${returnTo}`;
+}
 
 class AppRouter {
   constructor() {
-    // Page identifier to HTML template mapping
-    this.contentMap = {
-      'login': loginContent,
-      'signup': signUpContent,
-      'forgot-password': forgotPasswordContent,
-      'dashboard': dashboardContent,
-      'study-groups': groupsContent,
-      'group': groupContent,
-      'meetings': meetingsContent,
-      'meeting': meetingContent,
-      'awards': awardsContent,
-      'profile': profileContent,
-    };
+    // Route table - children inherit their parent's path prefix and guards
+    // prefetch lists the pages users are likely to open next from a route
+    this.routes = this.flattenRoutes([
+      { path: '/', page: 'dashboard', guards: [requireAuth], prefetch: ['study-groups', 'meetings'] },
+      { path: '/dashboard', page: 'dashboard', guards: [requireAuth], prefetch: ['study-groups', 'meetings'] },
+      { path: '/login', page: 'login', prefetch: ['dashboard'] },
+      { path: '/signup', page: 'signup', prefetch: ['login'] },
+      { path: '/forgot-password', page: 'forgot-password' },
+      {
+        path: '/study-groups',
+        page: 'study-groups',
+        guards: [requireAuth],
+        prefetch: ['group'],
+        children: [
+          { path: ':slug', page: 'group', prefetch: ['meeting'] },
+        ],
+      },
+      {
+        path: '/meetings',
+        page: 'meetings',
+        guards: [requireAuth],
+        prefetch: ['meeting'],
+        children: [
+          { path: ':slug', page: 'meeting' },
+        ],
+      },
+      // Invite links work signed out too - the page sends visitors to login and back
+      { path: '/join/:code', page: 'join' },
+      { path: '/awards', page: 'awards', guards: [requireAuth] },
+      { path: '/profile', page: 'profile', guards: [requireAuth] },
+    ]);
     
     // Pages that display the navigation sidebar
     this.pagesWithNav = ['dashboard', 'study-groups', 'group', 'meetings', 'meeting', 'awards', 'profile'];
     
+    // Pages open to everyone that keep the sidebar for signed-in users
+    this.pagesWithNavWhenSignedIn = ['not-found', 'join'];
+    
     // Browser tab titles for each page
     this.titles = {
       'login': 'Study Swamp - Login',
@@ -43,73 +74,208 @@ class AppRouter {
       'forgot-password': 'Study Swamp - Forgot Password',
       'study-groups': 'Study Swamp - My Study Groups',
       'group': 'Study Swamp - Study Group',
+      'join': 'Study Swamp - Join Study Group',
       'meetings': 'Study Swamp - Meetings',
       'meeting': 'Study Swamp - Meeting',
       'awards': 'Study Swamp - Awards',
       'profile': 'Study Swamp - My Profile',
+      'not-found': 'Study Swamp - Page Not Found',
     };
     
     this.navigationContent = navigationContent;
+    
+    // Last resolved route: { page, params, query, path }
+    this.currentRoute = null;
+    
+    // History entry key -> scroll position of the page's scroll container
+    this.scrollPositions = new Map();
+    this.currentKey = null;
+    this.scrollRestoreFrame = null;
+    
+    // Incremented per navigation, so a slow chunk can't render over a newer page
+    this.navigationId = 0;
+    this.loadingTimer = null;
+  }
+  
+  // ===== ROUTE TABLE =====
+  
+  // Flattens nested routes into a list of { path, page, guards, prefetch, pattern, paramNames }
+  flattenRoutes(routes, parent = null) {
+    return routes.flatMap(route => {
+      const path = this.joinPaths(parent?.path, route.path);
+      const guards = [...(parent?.guards || []), ...(route.guards || [])];
+      const { pattern, paramNames } = this.compilePath(path);
+      
+      const flatRoute = { path, page: route.page, guards, prefetch: route.prefetch || [], pattern, paramNames };
+      const children = route.children ? this.flattenRoutes(route.children, flatRoute) : [];
+      
+      return [flatRoute, ...children];
+    });
+  }
+  
+  // Joins a parent and child path ('/meetings' + ':slug' -> '/meetings/:slug')
+  joinPaths(parentPath = '', childPath = '') {
+    const joined = [parentPath, childPath]
+      .map(part => (part || '').replace(/^\/+|\/+$/g, ''))
+      .filter(Boolean)
+      .join('/');
+    return `/${joined}`;
+  }
+  
+  // Turns '/meetings/:slug' into a regex with one capture group per parameter
+  compilePath(path) {
+    const paramNames = [];
+    const source = path
+      .split('/')
+      .map(segment => {
+        if (segment.startsWith(':')) {
+          paramNames.push(segment.slice(1));
+          return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+    
+    return { pattern: new RegExp(`^${source || '/'}/?$`), paramNames };
+  }
+  
+  // Finds the route matching a pathname and extracts its parameters
+  matchRoute(pathname) {
+    for (const route of this.routes) {
+      const matches = pathname.match(route.pattern);
+      if (!matches) continue;
+      
+      const params = {};
+      route.paramNames.forEach((name, index) => {
+        params[name] = decodeURIComponent(matches[index + 1]);
+      });
+      
+      return { route, params };
+    }
+    return null;
+  }
+  
+  // Returns the path of the first parameterless route for a page identifier
+  getPathForPage(page) {
+    const route = this.routes.find(item => item.page === page && item.paramNames.length === 0);
+    return route ? route.path : `/${page}`;
   }
   
   // Extract page identifier from current URL path
   getCurrentPage() {
-    const path = window.location.pathname;
-    const segments = path.split('/').filter(Boolean);
+    const match = this.matchRoute(window.location.pathname);
+    return match ? match.route.page : 'not-found';
+  }
+  
+  // Returns the current route's page, params and query
+  getCurrentRoute() {
+    return this.currentRoute;
+  }
+  
+  // ===== RENDERING =====
+  
+  // Load and render content for current page
+  async loadPageContent() {
+    const navigationId = ++this.navigationId;
+    const location = window.location;
+    const match = this.matchRoute(location.pathname);
     
-    // If no segments, return dashboard
-    if (segments.length === 0) return 'dashboard';
+    if (!match) {
+      await this.showPage('not-found', {}, navigationId);
+      return;
+    }
     
-    // If URL has 2 segments (like /groups/slug), return singular form
-    if (segments.length === 2) {
-      const basePage = segments[0];
-      // Convert plural to singular for detail pages
-      const singularMap = {
-        'study-groups': 'group',
-        'meetings': 'meeting',
-      };
-      return singularMap[basePage] || basePage;
+    // Run guards in order - a guard returns true to continue or a path to redirect to
+    for (const guard of match.route.guards) {
+      const result = guard(match.route, location);
+      if (result !== true) {
+        await this.navigate(result, { replace: true });
+        return;
+      }
     }
     
-    // For single segment URLs, return as-is
-    return segments[0];
+    await this.showPage(match.route.page, match.params, navigationId);
+    PageLoader.prefetch(match.route.prefetch);
   }
   
-  // Handle initial load
-  handleInitialLoad() {
-    const path = window.location.pathname;
+  // Loads the page chunk (showing the loading indicator if it isn't cached) and renders it
+  async showPage(page, params, navigationId) {
+    if (!PageLoader.isLoaded(page)) {
+      this.showLoading();
+    }
     
-    // Only redirect to login if we're on root path during initial load and user is not logged in
-    if (path === '/' && !UserService.isLoggedIn()) {
-      this.navigateToPage('login');
-      return true;
+    try {
+      const { template } = await PageLoader.load(page);
+      
+      // A newer navigation started while this chunk was downloading
+      if (navigationId !== this.navigationId) return;
+      
+      this.renderPage(page, params, template);
+    } catch (error) {
+      if (navigationId !== this.navigationId) return;
+      
+      console.error(`Failed to load page "${page}":`, error);
+      this.renderLoadError(page, params);
+    } finally {
+      if (navigationId === this.navigationId) {
+        this.hideLoading();
+      }
     }
+  }
+  
+  // Renders a page and notifies the page controller
+  renderPage(page, params, content) {
+    this.currentRoute = {
+      page,
+      params,
+      query: new URLSearchParams(window.location.search),
+      path: window.location.pathname
+    };
     
-    return false;
+    this.renderContent(page, content);
+    this.updatePageTitle(page);
+    this.dispatchPageLoadEvent(this.currentRoute);
   }
   
-  // Load and render content for current page
-  loadPageContent() {
-    const page = this.getCurrentPage();
-    const content = this.contentMap[page];
-    
-    if (content) {
-      this.renderContent(page, content);
-      this.updatePageTitle(page);
-      this.setupNavigation();
-      this.dispatchPageLoadEvent(page);
-    } else {
-      // Page not found, redirect to dashboard
-      this.navigateToPage('dashboard');
+  // Shown when a page chunk fails to download - the retry button loads it again
+  renderLoadError(page, params) {
+    this.renderContent(page, loadErrorContent);
+    
+    const retryButton = document.getElementById('retry-page-load');
+    if (retryButton) {
+      retryButton.addEventListener('click', () => {
+        this.showPage(page, params, ++this.navigationId);
+      });
     }
   }
   
+  // Shows the global loading indicator after a short delay
+  showLoading() {
+    if (this.loadingTimer) return;
+    
+    this.loadingTimer = setTimeout(() => {
+      const loading = document.getElementById('loading');
+      if (loading) loading.style.display = 'flex';
+    }, LOADING_INDICATOR_DELAY);
+  }
+  
+  hideLoading() {
+    clearTimeout(this.loadingTimer);
+    this.loadingTimer = null;
+    
+    const loading = document.getElementById('loading');
+    if (loading) loading.style.display = 'none';
+  }
+  
   // Render page content with or without navigation
   renderContent(page, content) {
     const app = document.getElementById('app');
     if (!app) return;
     
-    if (this.pagesWithNav.includes(page)) {
+    const showNav = this.pagesWithNav.includes(page) ||
+      (this.pagesWithNavWhenSignedIn.includes(page) && UserService.isLoggedIn());
+    
+    if (showNav) {
       app.innerHTML = this.navigationContent + content;
     } else {
       app.innerHTML = content;
@@ -121,50 +287,171 @@ class AppRouter {
     document.title = this.titles[page] || 'Study Swamp';
   }
   
-  // Set up click handlers for navigation links
-  setupNavigation() {
-    const navLinks = document.querySelectorAll('[data-page]');
-    
-    navLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
-        
-        // Get target page from clicked element or its parent
-        const targetPage = e.target.getAttribute('data-page') || 
-        e.target.closest('[data-page]')?.getAttribute('data-page');
-        
-        if (targetPage) {
-          this.navigateToPage(targetPage);
-        }
-      });
-    });
+  // ===== NAVIGATION =====
+  
+  // Routes same-origin link clicks through navigate() instead of reloading the page
+  // Links opt out with target="_blank", download, data-external or a modifier-key click
+  handleLinkClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
+    }
+    
+    const link = e.target.closest('a[href], [data-page]');
+    if (!link || link.hasAttribute('download') || link.hasAttribute('data-external') ||
+        link.hasAttribute('data-bs-toggle')) {
+      return;
+    }
+    
+    if (link.target && link.target !== '_self') {
+      return;
+    }
+    
+    // data-page links name a page identifier rather than a path
+    const targetPage = link.getAttribute('data-page');
+    if (targetPage) {
+      e.preventDefault();
+      this.navigateToPage(targetPage);
+      return;
+    }
+    
+    const href = link.getAttribute('href');
+    if (!href || href.startsWith('#') || href.startsWith('mailto:') || href.startsWith('tel:')) {
+      return;
+    }
+    
+    const url = new URL(link.href, window.location.origin);
+    if (url.origin !== window.location.origin) {
+      return;
+    }
+    
+    e.preventDefault();
+    this.navigate(url.pathname + url.search + url.hash);
   }
   
-  // Navigate to a new page without page reload
+  // Navigate to a page identifier ('study-groups') or path ('/meetings/17-weekly-review')
   navigateToPage(page) {
-    const newUrl = page === 'dashboard' ? '/' : `/${page}`;
-    window.history.pushState({page}, '', newUrl);
-    this.loadPageContent();
+    const path = page.startsWith('/') ? page : this.getPathForPage(page);
+    return this.navigate(path);
+  }
+  
+  // Navigate to a path without page reload
+  // Each history entry gets a key so its scroll position can be restored on back/forward
+  navigate(path, { replace = false } = {}) {
+    const state = {
+      key: replace && this.currentKey ? this.currentKey : this.createKey(),
+      path,
+      from: this.currentRoute?.path || null,
+      timestamp: Date.now()
+    };
+    
+    if (replace) {
+      window.history.replaceState(state, '', path);
+    } else {
+      this.saveScrollPosition();
+      window.history.pushState(state, '', path);
+    }
+    
+    this.currentKey = state.key;
+    return this.loadPageContent();
+  }
+  
+  // Handles browser back/forward
+  async handlePopState(e) {
+    this.saveScrollPosition();
+    
+    // Entries created outside the router (e.g. the initial load) get a key on first visit
+    if (!e.state?.key) {
+      this.stampCurrentEntry();
+    } else {
+      this.currentKey = e.state.key;
+    }
+    
+    const key = this.currentKey;
+    await this.loadPageContent();
+    
+    if (key === this.currentKey) {
+      this.restoreScrollPosition(this.scrollPositions.get(key) || 0);
+    }
+  }
+  
+  // Gives the current history entry a key without navigating
+  stampCurrentEntry() {
+    const state = {
+      ...(window.history.state || {}),
+      key: this.createKey(),
+      path: window.location.pathname + window.location.search,
+      timestamp: Date.now()
+    };
+    window.history.replaceState(state, '');
+    this.currentKey = state.key;
+  }
+  
+  createKey() {
+    return Math.random().toString(36).slice(2, 10);
+  }
+  
+  // ===== SCROLL RESTORATION =====
+  
+  // Pages scroll inside their wrapper rather than the window
+  getScrollContainer() {
+    return document.querySelector('#app .inner-wrapper, #app .login-wrapper') || document.scrollingElement;
+  }
+  
+  saveScrollPosition() {
+    const container = this.getScrollContainer();
+    if (this.currentKey && container) {
+      this.scrollPositions.set(this.currentKey, container.scrollTop);
+    }
+  }
+  
+  // Page data loads asynchronously, so keep retrying until the content is tall enough (up to ~1.5s)
+  restoreScrollPosition(position) {
+    if (this.scrollRestoreFrame) {
+      cancelAnimationFrame(this.scrollRestoreFrame);
+      this.scrollRestoreFrame = null;
+    }
+    
+    if (!position) return;
+    
+    const deadline = Date.now() + 1500;
+    const attempt = () => {
+      const container = this.getScrollContainer();
+      if (!container) return;
+      
+      container.scrollTop = position;
+      
+      if (container.scrollTop < position && Date.now() < deadline) {
+        this.scrollRestoreFrame = requestAnimationFrame(attempt);
+      } else {
+        this.scrollRestoreFrame = null;
+      }
+    };
+    
+    attempt();
   }
   
   // Emit custom event when page loads (for page-specific JS)
-  dispatchPageLoadEvent(page) {
-    const event = new CustomEvent('pageLoaded', { detail: { page } });
+  dispatchPageLoadEvent(route) {
+    const event = new CustomEvent('pageLoaded', { detail: route });
     window.dispatchEvent(event);
   }
   
   // Initialize the router
   init() {
+    // The router restores scroll positions itself
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+    this.stampCurrentEntry();
+    
     // Handle browser back/forward buttons
-    window.addEventListener('popstate', () => {
-      this.loadPageContent();
-    });
+    window.addEventListener('popstate', (e) => this.handlePopState(e));
     
-    // Check if we need to redirect to login on initial load
-    if (!this.handleInitialLoad()) {
-      // If no redirect happened, load the current page normally
-      this.loadPageContent();
-    }
+    // Handle in-app links anywhere in the document
+    document.addEventListener('click', (e) => this.handleLinkClick(e));
+    
+    // Load the current page (guards redirect to login when needed)
+    this.loadPageContent();
   }
 }
 
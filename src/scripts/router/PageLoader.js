@@ -0,0 +1,122 @@
+/**
+ * PageLoader - Lazy loads each page's template and controller
+ * Every page is a separate chunk (template + controller share a webpackChunkName),
+ * so the login screen doesn't download the meetings or group-detail code.
+ * Loaded pages are cached; failed loads are not, so they can be retried.
+ */
+
+import notFoundContent from '../../templates/errors/not-found.html';
+
+// Page identifier -> loader returning [templateModule, controllerModule]
+const PAGE_LOADERS = {
+  'login': () => Promise.all([
+    import(/* webpackChunkName: "page-login" */ '../../templates/login.html'),
+    import(/* webpackChunkName: "page-login" */ '../controllers/LoginPage.js'),
+  ]),
+  'signup': () => Promise.all([
+    import(/* webpackChunkName: "page-signup" */ '../../templates/signup.html'),
+    import(/* webpackChunkName: "page-signup" */ '../controllers/SignUpPage.js'),
+  ]),
+  'forgot-password': () => Promise.all([
+    import(/* webpackChunkName: "page-forgot-password" */ '../../templates/forgot-password.html'),
+  ]),
+  'dashboard': () => Promise.all([
+    import(/* webpackChunkName: "page-dashboard" */ '../../templates/dashboard/dashboard.html'),
+    import(/* webpackChunkName: "page-dashboard" */ '../controllers/DashboardPage.js'),
+  ]),
+  'study-groups': () => Promise.all([
+    import(/* webpackChunkName: "page-study-groups" */ '../../templates/groups/groups.html'),
+    import(/* webpackChunkName: "page-study-groups" */ '../controllers/StudyGroupsPage.js'),
+  ]),
+  'group': () => Promise.all([
+    import(/* webpackChunkName: "page-group" */ '../../templates/groups/group.html'),
+    import(/* webpackChunkName: "page-group" */ '../controllers/StudyGroupDetailPage.js'),
+  ]),
+  'join': () => Promise.all([
+    import(/* webpackChunkName: "page-join" */ '../../templates/groups/join.html'),
+    import(/* webpackChunkName: "page-join" */ '../controllers/JoinGroupPage.js'),
+  ]),
+  'meetings': () => Promise.all([
+    import(/* webpackChunkName: "page-meetings" */ '../../templates/meetings/meetings.html'),
+    import(/* webpackChunkName: "page-meetings" */ '../controllers/MeetingsPage.js'),
+  ]),
+  'meeting': () => Promise.all([
+    import(/* webpackChunkName: "page-meeting" */ '../../templates/meetings/meeting.html'),
+    import(/* webpackChunkName: "page-meeting" */ '../controllers/MeetingDetailPage.js'),
+  ]),
+  'awards': () => Promise.all([
+    import(/* webpackChunkName: "page-awards" */ '../../templates/awards/awards.html'),
+    import(/* webpackChunkName: "page-awards" */ '../controllers/AwardsPage.js'),
+  ]),
+  'profile': () => Promise.all([
+    import(/* webpackChunkName: "page-profile" */ '../../templates/profile/profile.html'),
+    import(/* webpackChunkName: "page-profile" */ '../controllers/ProfilePage.js'),
+  ]),
+};
+
+class PageLoader {
+  // page -> { template, PageClass } (the not-found page ships with the main bundle)
+  static loaded = new Map([
+    ['not-found', { template: notFoundContent, PageClass: null }],
+  ]);
+
+  // page -> Promise of the in-flight load
+  static pending = new Map();
+
+  // Loads (or returns the cached) template and controller class for a page
+  static load(page) {
+    if (this.loaded.has(page)) {
+      return Promise.resolve(this.loaded.get(page));
+    }
+
+    if (!this.pending.has(page)) {
+      const loader = PAGE_LOADERS[page];
+      if (!loader) {
+        return Promise.reject(new Error(`No page registered for: ${page}`));
+      }
+
+      const request = loader()
+        .then(([templateModule, controllerModule]) => {
+          const entry = {
+            template: templateModule.default,
+            PageClass: controllerModule?.default || null
+          };
+          this.loaded.set(page, entry);
+          return entry;
+        })
+        .finally(() => {
+          this.pending.delete(page);
+        });
+
+      this.pending.set(page, request);
+    }
+
+    return this.pending.get(page);
+  }
+
+  // Returns an already loaded page, or null
+  static get(page) {
+    return this.loaded.get(page) || null;
+  }
+
+  static isLoaded(page) {
+    return this.loaded.has(page);
+  }
+
+  // Loads pages in the background once the browser is idle
+  static prefetch(pages = []) {
+    const schedule = window.requestIdleCallback || ((callback) => setTimeout(callback, 200));
+
+    pages
+      .filter(page => !this.loaded.has(page) && !this.pending.has(page))
+      .forEach(page => {
+        schedule(() => {
+          this.load(page).catch(() => {
+            // Prefetching is best-effort - a real navigation will retry and report failures
+          });
+        });
+      });
+  }
+}
+
+export default PageLoader;
@@ -0,0 +1,73 @@
+// CoursePicker - Turns a text input into a catalog-backed course autocomplete
+// Suggestions come from CourseCatalogService through a <datalist>; the input is marked invalid
+// when its text doesn't resolve to a catalog course.
+
+import CourseCatalogService from '../api/CourseCatalogService.js';
+
+class CoursePicker {
+  /* ======= SETUP ======= */
+
+  // Adds the catalog suggestions to an input - safe to call every time its modal opens
+  static async attach(input) {
+    if (!input) return;
+
+    if (!input.dataset.coursePicker) {
+      input.dataset.coursePicker = 'true';
+
+      const datalist = document.createElement('datalist');
+      datalist.id = `${input.id}-catalog`;
+      input.setAttribute('list', datalist.id);
+      input.setAttribute('autocomplete', 'off');
+      input.after(datalist);
+
+      input.addEventListener('change', () => {
+        this.validate(input).catch(error => console.error('Failed to validate course:', error));
+      });
+      input.addEventListener('input', () => input.classList.remove('is-invalid'));
+    }
+
+    const datalist = document.getElementById(input.getAttribute('list'));
+    if (!datalist || datalist.children.length > 0) return;
+
+    try {
+      const courses = await CourseCatalogService.load();
+      courses.forEach(course => {
+        datalist.appendChild(new Option(CourseCatalogService.formatCourse(course)));
+      });
+    } catch (error) {
+      console.error('Failed to load course catalog:', error);
+    }
+  }
+
+  /* ======= VALUE ======= */
+
+  // Returns the catalog course the input names, or null
+  static async getSelectedCourse(input) {
+    if (!input) return null;
+    return await CourseCatalogService.resolve(input.value);
+  }
+
+  // Fills the input with a course (or the raw fallback text when the course isn't in the catalog)
+  static setCourse(input, course, fallbackText = '') {
+    if (!input) return;
+    input.value = course ? CourseCatalogService.formatCourse(course) : fallbackText;
+    input.classList.remove('is-invalid');
+  }
+
+  // Marks the input invalid unless it names a catalog course; normalizes matches to the full label
+  static async validate(input) {
+    if (!input?.value.trim()) {
+      input?.classList.remove('is-invalid');
+      return null;
+    }
+
+    const course = await this.getSelectedCourse(input);
+    if (course) {
+      input.value = CourseCatalogService.formatCourse(course);
+    }
+    input.classList.toggle('is-invalid', !course);
+    return course;
+  }
+}
+
+export default CoursePicker;
@@ -0,0 +1,524 @@
+// ICalendar - Builds and reads iCalendar (RFC 5545) files for meetings
+// One-off events are written in UTC. Recurring events are written in the browser's time zone
+// (with a generated VTIMEZONE) so weekly meetings keep their local time across daylight saving.
+// Imported times are converted from their TZID - an IANA zone, or the file's own VTIMEZONE.
+
+import Recurrence, { RECURRENCE_FREQUENCIES, MAX_OCCURRENCES } from './Recurrence.js';
+
+const PRODUCT_ID = '-//Study Swamp//Meetings//EN';
+
+// Content lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+const RRULE_WEEKDAYS = {
+  sun: 'SU',
+  mon: 'MO',
+  tue: 'TU',
+  wed: 'WE',
+  thu: 'TH',
+  fri: 'FR',
+  sat: 'SA',
+};
+
+class ICalendar {
+  /* ======= CALENDARS ======= */
+
+  // events: [{ uid, start, end, summary, description, location, url, rule, recurrenceId }] where rule is
+  // a Recurrence rule and recurrenceId marks an event overriding one occurrence of a recurring event
+  static createCalendar(events = []) {
+    const timezone = this.getTimezone();
+    // One VTIMEZONE per TZID - its yearly transition rules cover every recurring event
+    const recurringYears = events.filter(event => Recurrence.isRecurring(event.rule))
+      .map(event => new Date(event.start).getFullYear());
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...(recurringYears.length > 0 ? this.createTimezone(timezone, Math.min(...recurringYears)) : []),
+      ...events.flatMap(event => this.createEvent(event, timezone)),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  static createEvent({ uid, start, end, summary, description, location, url, rule = null, recurrenceId = null }, timezone = this.getTimezone()) {
+    const recurring = Recurrence.isRecurring(rule);
+    // Recurring events use local times so the rule is applied in the user's time zone
+    const formatTime = (date) => (recurring ? `;TZID=${timezone}:${this.formatLocalDateTime(date)}` : `:${this.formatUtcDateTime(date)}`);
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${this.formatUtcDateTime(new Date())}`,
+      // Overrides name the occurrence they replace by its original local start time
+      ...(recurrenceId ? [`RECURRENCE-ID;TZID=${timezone}:${this.formatLocalDateTime(recurrenceId)}`] : []),
+      `DTSTART${formatTime(start)}`,
+      `DTEND${formatTime(end)}`,
+      `SUMMARY:${this.escapeText(summary || 'Untitled Meeting')}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+    if (location) lines.push(`LOCATION:${this.escapeText(location)}`);
+    if (url) lines.push(`URL:${url}`);
+
+    if (recurring) {
+      lines.push(`RRULE:${this.formatRRule(rule)}`);
+
+      // Skipped dates at the event's time of day
+      const startTime = this.formatLocalDateTime(start).slice(8);
+      (rule.skipDates || []).forEach(date => {
+        lines.push(`EXDATE;TZID=${timezone}:${date.replace(/-/g, '')}${startTime}`);
+      });
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  // "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261212T045959Z"
+  static formatRRule(rule) {
+    const parts = [];
+
+    if (rule.frequency === RECURRENCE_FREQUENCIES.DAILY) {
+      parts.push('FREQ=DAILY');
+    } else {
+      parts.push('FREQ=WEEKLY');
+      if (rule.frequency === RECURRENCE_FREQUENCIES.BIWEEKLY) {
+        parts.push('INTERVAL=2', 'WKST=MO');
+      }
+      if (rule.weekdays?.length) {
+        parts.push(`BYDAY=${rule.weekdays.map(day => RRULE_WEEKDAYS[day]).join(',')}`);
+      }
+    }
+
+    if (rule.until) {
+      // UNTIL is inclusive and must be UTC when DTSTART has a time zone - use the end of the local day
+      parts.push(`UNTIL=${this.formatUtcDateTime(new Date(`${rule.until}T23:59:59`))}`);
+    } else if (rule.count) {
+      parts.push(`COUNT=${rule.count}`);
+    }
+
+    return parts.join(';');
+  }
+
+  /* ======= TIME ZONES ======= */
+
+  static getTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  // VTIMEZONE for the browser's zone, with the daylight saving transitions found in year
+  static createTimezone(tzid, year) {
+    const transitions = this.findOffsetTransitions(year);
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${tzid}`];
+
+    if (transitions.length === 0) {
+      const offset = this.formatOffset(-new Date(year, 0, 1).getTimezoneOffset());
+      lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+    }
+
+    transitions.forEach(({ wallTime, from, to }) => {
+      const type = to > from ? 'DAYLIGHT' : 'STANDARD';
+      const day = wallTime.getUTCDate();
+      const daysInMonth = new Date(Date.UTC(wallTime.getUTCFullYear(), wallTime.getUTCMonth() + 1, 0)).getUTCDate();
+      // Transitions happen on the nth (or last) weekday of a month
+      const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+      const weekday = Object.values(RRULE_WEEKDAYS)[wallTime.getUTCDay()];
+
+      lines.push(
+        `BEGIN:${type}`,
+        `DTSTART:${wallTime.toISOString().replace(/[-:]/g, '').slice(0, 15)}`,
+        `TZOFFSETFROM:${this.formatOffset(from)}`,
+        `TZOFFSETTO:${this.formatOffset(to)}`,
+        `RRULE:FREQ=YEARLY;BYMONTH=${wallTime.getUTCMonth() + 1};BYDAY=${week}${weekday}`,
+        `END:${type}`
+      );
+    });
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  // UTC offset changes in year as { wallTime, from, to } - wallTime holds the local time before
+  // the change in its UTC fields
+  static findOffsetTransitions(year) {
+    const getOffset = (time) => -new Date(time).getTimezoneOffset();
+    const transitions = [];
+    const minute = 60 * 1000;
+    const hour = 60 * minute;
+    const end = Date.UTC(year + 1, 0, 1);
+
+    for (let time = Date.UTC(year, 0, 1); time < end; time += 24 * hour) {
+      const from = getOffset(time);
+      if (getOffset(time + 24 * hour) === from) continue;
+
+      // Narrow the change down to the minute it happens
+      let low = 0;
+      let high = 24 * 60;
+      while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (getOffset(time + middle * minute) === from) low = middle; else high = middle;
+      }
+
+      const changeTime = time + high * minute;
+      transitions.push({ wallTime: new Date(changeTime + from * minute), from, to: getOffset(changeTime) });
+    }
+
+    return transitions;
+  }
+
+  // Minutes east of UTC -> "+0100" / "-0500"
+  static formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+  }
+
+  /* ======= FORMATTING ======= */
+
+  // 20261019T180000Z
+  static formatUtcDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // 20261019T140000 in the browser's time zone
+  static formatLocalDateTime(date) {
+    const value = new Date(date);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${value.getFullYear()}${pad(value.getMonth() + 1)}${pad(value.getDate())}T` +
+      `${pad(value.getHours())}${pad(value.getMinutes())}${pad(value.getSeconds())}`;
+  }
+
+  // Escapes TEXT values (backslash, semicolon, comma and newlines)
+  static escapeText(text = '') {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Splits a content line into 75-octet chunks joined by CRLF + space, without breaking characters
+  static foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+    const chunks = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+      const octets = encoder.encode(char).length;
+      // Continuation lines start with a space, which counts towards their length
+      const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (currentOctets + octets > limit) {
+        chunks.push(current);
+        current = '';
+        currentOctets = 0;
+      }
+      current += char;
+      currentOctets += octets;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+  }
+
+  /* ======= PARSING ======= */
+
+  // Returns the file's VEVENTs as { uid, summary, description, location, start, end, allDay,
+  // rrule, exdates, recurrenceId, cancelled } with times as Dates
+  static parse(text) {
+    const root = this.parseComponents(text);
+    const calendar = root.components.find(component => component.name === 'VCALENDAR');
+    if (!calendar) {
+      throw new Error('This file is not an iCalendar file.');
+    }
+
+    const timezones = new Map(calendar.components
+      .filter(component => component.name === 'VTIMEZONE')
+      .map(component => [this.getValue(component, 'TZID'), component]));
+
+    return calendar.components
+      .filter(component => component.name === 'VEVENT')
+      .map(component => this.readEvent(component, timezones));
+  }
+
+  // Unfolds content lines and nests them into { name, properties, components }
+  static parseComponents(text) {
+    const lines = String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+
+    lines.filter(line => line.trim()).forEach(line => {
+      const property = this.parseLine(line);
+      const current = stack[stack.length - 1];
+
+      if (property.name === 'BEGIN') {
+        const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+        current.components.push(component);
+        stack.push(component);
+      } else if (property.name === 'END') {
+        if (stack.length > 1) stack.pop();
+      } else {
+        current.properties.push(property);
+      }
+    });
+
+    return root;
+  }
+
+  // "DTSTART;TZID=America/New_York:20261019T140000" -> { name, params: { TZID }, value }
+  static parseLine(line) {
+    // The value starts at the first colon outside a quoted parameter value
+    let separator = -1;
+    let quoted = false;
+    for (let index = 0; index < line.length; index++) {
+      if (line[index] === '"') quoted = !quoted;
+      if (line[index] === ':' && !quoted) {
+        separator = index;
+        break;
+      }
+    }
+
+    const head = separator === -1 ? line : line.slice(0, separator);
+    const [name, ...paramParts] = head.split(';');
+    const params = Object.fromEntries(paramParts.map(part => {
+      const [key, ...value] = part.split('=');
+      return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+    }));
+
+    return { name: name.toUpperCase(), params, value: separator === -1 ? '' : line.slice(separator + 1) };
+  }
+
+  static readEvent(component, timezones) {
+    const readDate = (name) => {
+      const property = component.properties.find(prop => prop.name === name);
+      return property ? this.parseDateValue(property.value, property.params, timezones) : null;
+    };
+
+    const start = readDate('DTSTART');
+    let end = readDate('DTEND');
+    const duration = this.getValue(component, 'DURATION');
+    if (!end && start && duration) {
+      end = new Date(start.date.getTime() + this.parseDuration(duration));
+    } else if (end) {
+      end = end.date;
+    }
+
+    const exdates = component.properties
+      .filter(prop => prop.name === 'EXDATE')
+      .flatMap(prop => prop.value.split(',').map(value => this.parseDateValue(value, prop.params, timezones)?.date))
+      .filter(Boolean);
+
+    return {
+      uid: this.getValue(component, 'UID'),
+      summary: this.unescapeText(this.getValue(component, 'SUMMARY')),
+      description: this.unescapeText(this.getValue(component, 'DESCRIPTION')),
+      location: this.unescapeText(this.getValue(component, 'LOCATION')),
+      start: start?.date || null,
+      end,
+      allDay: !!start?.allDay,
+      rrule: this.getValue(component, 'RRULE'),
+      exdates,
+      recurrenceId: readDate('RECURRENCE-ID')?.date || null,
+      cancelled: this.getValue(component, 'STATUS').toUpperCase() === 'CANCELLED'
+    };
+  }
+
+  // Converts an RRULE into a Recurrence rule, or null when meetings can't repeat that way
+  // (only daily, weekly and every-2-weeks rules are supported)
+  static parseRRule(rrule, start, exdates = []) {
+    const parts = Object.fromEntries(rrule.split(';').map(part => {
+      const [key, value = ''] = part.split('=');
+      return [key.toUpperCase(), value.toUpperCase()];
+    }));
+
+    const interval = parseInt(parts.INTERVAL || '1', 10);
+    const unsupported = ['BYMONTH', 'BYMONTHDAY', 'BYYEARDAY', 'BYWEEKNO', 'BYSETPOS', 'BYHOUR', 'BYMINUTE'];
+    if (unsupported.some(key => parts[key])) return null;
+
+    let frequency = null;
+    if (parts.FREQ === 'DAILY' && interval === 1) {
+      frequency = RECURRENCE_FREQUENCIES.DAILY;
+    } else if (parts.FREQ === 'WEEKLY' && interval === 1) {
+      frequency = RECURRENCE_FREQUENCIES.WEEKLY;
+    } else if (parts.FREQ === 'WEEKLY' && interval === 2 && (!parts.WKST || parts.WKST === 'MO')) {
+      // Every-2-weeks series count weeks from Monday, like the iCalendar default
+      frequency = RECURRENCE_FREQUENCIES.BIWEEKLY;
+    }
+    if (!frequency || (parts.BYDAY && frequency === RECURRENCE_FREQUENCIES.DAILY)) return null;
+
+    const weekdayKeys = Object.fromEntries(Object.entries(RRULE_WEEKDAYS).map(([key, code]) => [code, key]));
+    const weekdays = (parts.BYDAY || '').split(',').filter(Boolean).map(code => weekdayKeys[code]);
+    // "1MO"-style positions only make sense for monthly rules
+    if (weekdays.some(day => !day)) return null;
+
+    const until = parts.UNTIL ? this.parseDateValue(parts.UNTIL, {}, new Map())?.date : null;
+    const count = parseInt(parts.COUNT, 10) || null;
+
+    return {
+      frequency,
+      weekdays,
+      until: until ? Recurrence.toDateString(until) : null,
+      // Open-ended rules are capped like any other series
+      count: until ? null : Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES),
+      skipDates: exdates.map(date => Recurrence.toDateString(date)).sort()
+    };
+  }
+
+  // Parses DATE and DATE-TIME values - UTC ("Z"), with a TZID, or floating (browser time)
+  static parseDateValue(value, params = {}, timezones = new Map()) {
+    const matches = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!matches) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = matches;
+    const fields = [year, month - 1, day, hours || 0, minutes || 0, seconds || 0].map(Number);
+
+    if (!hours || params.VALUE === 'DATE') {
+      return { date: new Date(fields[0], fields[1], fields[2]), allDay: true };
+    }
+    if (utc) {
+      return { date: new Date(Date.UTC(...fields)), allDay: false };
+    }
+    if (params.TZID) {
+      return { date: this.zonedTimeToDate(fields, params.TZID.replace(/^\//, ''), timezones), allDay: false };
+    }
+    return { date: new Date(...fields), allDay: false };
+  }
+
+  // Wall-clock fields in tzid -> Date
+  static zonedTimeToDate(fields, tzid, timezones) {
+    const wallTime = Date.UTC(...fields);
+
+    const vtimezone = timezones.get(tzid);
+    if (vtimezone) {
+      return new Date(wallTime - this.getVTimezoneOffset(vtimezone, wallTime) * 60 * 1000);
+    }
+
+    try {
+      // Guess with the offset at the wall time, then correct once around transitions
+      let offset = this.getZoneOffset(wallTime, tzid);
+      offset = this.getZoneOffset(wallTime - offset * 60 * 1000, tzid);
+      return new Date(wallTime - offset * 60 * 1000);
+    } catch (error) {
+      // Unknown zone without a VTIMEZONE - treat the time as local
+      console.warn(`Unknown time zone "${tzid}", using local time`, error);
+      return new Date(...fields);
+    }
+  }
+
+  // Minutes east of UTC of an IANA zone at an instant (throws RangeError for unknown zones)
+  static getZoneOffset(time, tzid) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: tzid,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+
+    const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((zoned - Math.floor(time / 1000) * 1000) / (60 * 1000));
+  }
+
+  // Offset in minutes that a VTIMEZONE gives a wall time (as UTC milliseconds), using the latest
+  // STANDARD/DAYLIGHT observance that started on or before it
+  static getVTimezoneOffset(vtimezone, wallTime) {
+    const year = new Date(wallTime).getUTCFullYear();
+    const observances = vtimezone.components.filter(component => ['STANDARD', 'DAYLIGHT'].includes(component.name));
+
+    const onsets = observances.flatMap(observance => {
+      const start = this.parseDateValue(this.getValue(observance, 'DTSTART'))?.date;
+      const offset = this.parseOffset(this.getValue(observance, 'TZOFFSETTO'));
+      if (!start) return [];
+
+      // Start fields as wall time, read back from the floating Date
+      const startWall = Date.UTC(start.getFullYear(), start.getMonth(), start.getDate(), start.getHours(), start.getMinutes());
+      const rrule = this.getValue(observance, 'RRULE');
+      const yearly = rrule.match(/BYMONTH=(\d+)/) && rrule.match(/BYDAY=(-?\d)([A-Z]{2})/);
+      if (!yearly) {
+        return [{ time: startWall, offset }];
+      }
+
+      const month = parseInt(rrule.match(/BYMONTH=(\d+)/)[1], 10) - 1;
+      const [, week, code] = rrule.match(/BYDAY=(-?\d)([A-Z]{2})/);
+      const weekday = Object.values(RRULE_WEEKDAYS).indexOf(code);
+
+      return [year - 1, year].map(onsetYear => ({
+        time: this.getNthWeekday(onsetYear, month, weekday, parseInt(week, 10)) + (startWall % (24 * 60 * 60 * 1000)),
+        offset
+      })).filter(onset => onset.time >= startWall);
+    });
+
+    const current = onsets
+      .filter(onset => onset.time <= wallTime)
+      .sort((a, b) => b.time - a.time)[0];
+
+    return (current || onsets[0])?.offset ?? 0;
+  }
+
+  // UTC midnight of the nth (negative counts from the end) weekday of a month
+  static getNthWeekday(year, month, weekday, week) {
+    const day = 24 * 60 * 60 * 1000;
+    if (week > 0) {
+      const first = Date.UTC(year, month, 1);
+      return first + (((weekday - new Date(first).getUTCDay() + 7) % 7) + (week - 1) * 7) * day;
+    }
+    const last = Date.UTC(year, month + 1, 0);
+    return last - (((new Date(last).getUTCDay() - weekday + 7) % 7) + (-week - 1) * 7) * day;
+  }
+
+  // "+0530" / "-0500" -> minutes east of UTC
+  static parseOffset(value = '') {
+    const matches = value.match(/^([+-])(\d{2})(\d{2})/);
+    if (!matches) return 0;
+    const minutes = parseInt(matches[2], 10) * 60 + parseInt(matches[3], 10);
+    return matches[1] === '-' ? -minutes : minutes;
+  }
+
+  // "PT1H30M" / "P1D" -> milliseconds
+  static parseDuration(value = '') {
+    const matches = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!matches) return 0;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = matches.map(part => part || 0);
+    const total = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+    return sign === '-' ? -total : total;
+  }
+
+  static getValue(component, name) {
+    return component.properties.find(prop => prop.name === name)?.value || '';
+  }
+
+  static unescapeText(text = '') {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  /* ======= FILES ======= */
+
+  // Saves calendar text as an .ics download
+  static download(filename, content) {
+    const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename.endsWith('.ics') ? filename : `${filename}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+export default ICalendar;
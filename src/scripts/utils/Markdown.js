@@ -0,0 +1,112 @@
+// Markdown - Renders the small markdown subset used in group descriptions
+// Supports headings, bullet and numbered lists, paragraphs, **bold**, *italic*, `code` and
+// [links](https://...). Input is HTML-escaped first, so user text can never inject markup.
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+class Markdown {
+  /* ======= RENDERING ======= */
+
+  // Returns safe HTML for a markdown string
+  static render(text = '') {
+    const blocks = this.splitBlocks(text);
+    return blocks.map(block => this.renderBlock(block)).join('');
+  }
+
+  // Strips markdown syntax - used for card excerpts and search
+  static toPlainText(text = '') {
+    return (text || '')
+      .replace(/^#{1,6}\s+/gm, '')
+      .replace(/^\s*(?:[-*]|\d+\.)\s+/gm, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Plain text cut to maxLength at a word boundary
+  static excerpt(text = '', maxLength = 120) {
+    const plain = this.toPlainText(text);
+    if (plain.length <= maxLength) return plain;
+
+    const cut = plain.slice(0, maxLength);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[.,;:!?-]+$/, '')}...`;
+  }
+
+  /* ======= BLOCKS ======= */
+
+  // Groups lines into paragraphs and lists, separated by blank lines or a change of block type
+  static splitBlocks(text) {
+    const blocks = [];
+    let current = null;
+
+    (text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+      const type = this.getLineType(line);
+
+      if (type === 'blank') {
+        current = null;
+        return;
+      }
+
+      if (type === 'heading' || !current || current.type !== type) {
+        current = { type, lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push(line);
+
+      if (type === 'heading') current = null;
+    });
+
+    return blocks;
+  }
+
+  static getLineType(line) {
+    if (!line.trim()) return 'blank';
+    if (/^#{1,6}\s+/.test(line)) return 'heading';
+    if (/^\s*[-*]\s+/.test(line)) return 'ul';
+    if (/^\s*\d+\.\s+/.test(line)) return 'ol';
+    return 'paragraph';
+  }
+
+  static renderBlock({ type, lines }) {
+    if (type === 'heading') {
+      // Headings render small so descriptions don't outrank the page title
+      return `<h4 class="h6 fw-bold mt-3">${this.renderInline(lines[0].replace(/^#{1,6}\s+/, ''))}</h4>`;
+    }
+
+    if (type === 'ul' || type === 'ol') {
+      const items = lines
+        .map(line => line.replace(/^\s*(?:[-*]|\d+\.)\s+/, ''))
+        .map(item => `<li>${this.renderInline(item)}</li>`)
+        .join('');
+      return `<${type}>${items}</${type}>`;
+    }
+
+    return `<p>${lines.map(line => this.renderInline(line.trim())).join('<br>')}</p>`;
+  }
+
+  /* ======= INLINE ======= */
+
+  static renderInline(text) {
+    return this.escapeHtml(text)
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a ?? b}</strong>`)
+      .replace(/\*(.+?)\*|\b_(.+?)_\b/g, (match, a, b) => `<em>${a ?? b}</em>`)
+      // Only http(s) links are kept, so javascript: URLs can't sneak through
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g,
+        '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+  }
+
+  static escapeHtml(text = '') {
+    return String(text).replace(/[&<>"']/g, char => ESCAPES[char]);
+  }
+}
+
+export default Markdown;
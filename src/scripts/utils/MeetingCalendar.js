@@ -0,0 +1,418 @@
+// MeetingCalendar - Month, week and agenda views of meetings
+// Renders into a container and reports interactions through callbacks, so the page keeps the
+// current view and date and decides what selecting, scheduling or moving a meeting does.
+// Meetings are colored by study group; movable meetings can be dragged to another day or hour.
+
+import Recurrence from './Recurrence.js';
+
+export const CALENDAR_VIEWS = {
+  LIST: 'list',
+  MONTH: 'month',
+  WEEK: 'week',
+  AGENDA: 'agenda',
+};
+
+// Group colors, assigned in group id order so each of a user's groups gets its own
+const GROUP_COLORS = ['#00bcd4', '#9c27b0', '#ff8a65', '#1565c0', '#ffb834', '#43a047', '#cd7f32', '#e91e63'];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Week view opens scrolled to this hour
+const FIRST_VISIBLE_HOUR = 7;
+
+const MAX_MONTH_EVENTS = 3;
+
+class MeetingCalendar {
+  // Meeting currently being dragged (dataTransfer data isn't readable during dragover)
+  static draggedMeeting = null;
+
+  /* ======= RANGE ======= */
+
+  // First and last day (inclusive, local midnight) shown by a view around date
+  static getRange(view, date) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+    if (view === CALENDAR_VIEWS.WEEK) {
+      const start = this.addDays(day, -day.getDay());
+      return { start, end: this.addDays(start, 6) };
+    }
+
+    const monthStart = new Date(day.getFullYear(), day.getMonth(), 1);
+    const monthEnd = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+    if (view === CALENDAR_VIEWS.AGENDA) {
+      return { start: monthStart, end: monthEnd };
+    }
+
+    // Month grids always show six full weeks
+    const start = this.addDays(monthStart, -monthStart.getDay());
+    return { start, end: this.addDays(start, 41) };
+  }
+
+  // Moves date one week or month forwards (1) or backwards (-1)
+  static shiftDate(view, date, direction) {
+    if (view === CALENDAR_VIEWS.WEEK) {
+      return this.addDays(date, 7 * direction);
+    }
+    return new Date(date.getFullYear(), date.getMonth() + direction, 1);
+  }
+
+  static getTitle(view, date) {
+    if (view === CALENDAR_VIEWS.WEEK) {
+      const { start, end } = this.getRange(view, date);
+      const options = { month: 'short', day: 'numeric' };
+      return `${start.toLocaleDateString('en-US', options)} – ${end.toLocaleDateString('en-US', { ...options, year: 'numeric' })}`;
+    }
+    return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  }
+
+  /* ======= RENDERING ======= */
+
+  // options: { view, date, groups, canMove(meeting), onSelectMeeting(meeting),
+  //            onSelectSlot(date, time|null), onMoveMeeting(meeting, newStart), onShowDay(date) }
+  static render(container, meetings = [], options = {}) {
+    if (!container) return;
+
+    const { view = CALENDAR_VIEWS.MONTH, date = new Date() } = options;
+    const { start, end } = this.getRange(view, date);
+    const context = { ...options, colors: this.getGroupColors(options.groups || []) };
+
+    // Meetings keyed by local date, in start order
+    const meetingsByDay = new Map();
+    [...meetings]
+      .sort((a, b) => new Date(a.attributes?.start_time) - new Date(b.attributes?.start_time))
+      .forEach(meeting => {
+        const key = Recurrence.toDateString(meeting.attributes?.start_time);
+        if (!meetingsByDay.has(key)) meetingsByDay.set(key, []);
+        meetingsByDay.get(key).push(meeting);
+      });
+
+    container.innerHTML = '';
+    container.className = `meeting-calendar meeting-calendar-${view}`;
+
+    if (view === CALENDAR_VIEWS.WEEK) {
+      this.renderWeek(container, start, meetingsByDay, context);
+    } else if (view === CALENDAR_VIEWS.AGENDA) {
+      this.renderAgenda(container, start, end, meetingsByDay, context);
+    } else {
+      this.renderMonth(container, start, date, meetingsByDay, context);
+    }
+  }
+
+  static renderMonth(container, start, date, meetingsByDay, context) {
+    const header = document.createElement('div');
+    header.className = 'calendar-weekdays';
+    header.innerHTML = WEEKDAY_NAMES.map(name => `<div>${name}</div>`).join('');
+    container.appendChild(header);
+
+    const grid = document.createElement('div');
+    grid.className = 'calendar-month-grid';
+    const todayKey = Recurrence.toDateString(new Date());
+
+    for (let index = 0; index < 42; index++) {
+      const day = this.addDays(start, index);
+      const key = Recurrence.toDateString(day);
+      const dayMeetings = meetingsByDay.get(key) || [];
+
+      const cell = document.createElement('div');
+      cell.className = 'calendar-day';
+      cell.classList.toggle('calendar-day-outside', day.getMonth() !== date.getMonth());
+      cell.classList.toggle('calendar-day-today', key === todayKey);
+      cell.innerHTML = `<div class="calendar-day-number">${day.getDate()}</div>`;
+
+      dayMeetings.slice(0, MAX_MONTH_EVENTS).forEach(meeting => {
+        cell.appendChild(this.createEvent(meeting, context));
+      });
+      if (dayMeetings.length > MAX_MONTH_EVENTS) {
+        // Opens the day in a view with room for all of its meetings
+        const more = document.createElement('button');
+        more.type = 'button';
+        more.className = 'calendar-more btn btn-link btn-sm p-0 small text-muted';
+        more.textContent = `+${dayMeetings.length - MAX_MONTH_EVENTS} more`;
+        more.setAttribute('aria-label', `Show all ${dayMeetings.length} meetings on ${day.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}`);
+        more.addEventListener('click', () => context.onShowDay?.(day));
+        cell.appendChild(more);
+      }
+
+      cell.addEventListener('click', (e) => {
+        if (e.target.closest('.calendar-event, .calendar-more')) return;
+        context.onSelectSlot?.(key, null);
+      });
+      // Dropping on a day keeps the meeting's time of day
+      this.makeDropTarget(cell, context, (meeting) => {
+        const newStart = new Date(meeting.attributes?.start_time);
+        newStart.setFullYear(day.getFullYear(), day.getMonth(), day.getDate());
+        return newStart;
+      });
+
+      grid.appendChild(cell);
+    }
+
+    container.appendChild(grid);
+  }
+
+  static renderWeek(container, start, meetingsByDay, context) {
+    const days = Array.from({ length: 7 }, (_, index) => this.addDays(start, index));
+    const todayKey = Recurrence.toDateString(new Date());
+
+    const header = document.createElement('div');
+    header.className = 'calendar-week-header';
+    header.innerHTML = '<div></div>' + days.map(day => `
+      <div class="${Recurrence.toDateString(day) === todayKey ? 'calendar-day-today' : ''}">
+        ${WEEKDAY_NAMES[day.getDay()]} <span class="fw-bold">${day.getDate()}</span>
+      </div>
+    `).join('');
+    container.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'calendar-week-body';
+
+    const gutter = document.createElement('div');
+    gutter.className = 'calendar-time-gutter';
+    for (let hour = 0; hour < 24; hour++) {
+      const label = document.createElement('div');
+      label.className = 'calendar-hour-label small text-muted';
+      label.textContent = new Date(2000, 0, 1, hour).toLocaleTimeString('en-US', { hour: 'numeric' });
+      gutter.appendChild(label);
+    }
+    body.appendChild(gutter);
+
+    days.forEach(day => {
+      const key = Recurrence.toDateString(day);
+      const column = document.createElement('div');
+      column.className = 'calendar-week-day';
+
+      for (let hour = 0; hour < 24; hour++) {
+        const slot = document.createElement('div');
+        slot.className = 'calendar-hour-slot';
+        const time = `${String(hour).padStart(2, '0')}:00`;
+
+        slot.addEventListener('click', () => context.onSelectSlot?.(key, time));
+        // Dropping on an hour keeps the meeting's minutes past the hour
+        this.makeDropTarget(slot, context, (meeting) => {
+          const original = new Date(meeting.attributes?.start_time);
+          return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, original.getMinutes());
+        });
+
+        column.appendChild(slot);
+      }
+
+      this.layoutDayEvents(meetingsByDay.get(key) || []).forEach(({ meeting, lane, lanes }) => {
+        const startTime = new Date(meeting.attributes?.start_time);
+        const endTime = new Date(meeting.attributes?.end_time || startTime);
+        const startHours = startTime.getHours() + startTime.getMinutes() / 60;
+        // Meetings running past midnight are cut off at the end of the day
+        const endHours = Recurrence.toDateString(endTime) === key ? endTime.getHours() + endTime.getMinutes() / 60 : 24;
+
+        const event = this.createEvent(meeting, context);
+        event.style.top = `calc(var(--calendar-hour-height) * ${startHours})`;
+        event.style.height = `calc(var(--calendar-hour-height) * ${Math.max(endHours - startHours, 0.5)})`;
+        event.style.left = `${(lane / lanes) * 100}%`;
+        event.style.width = `${100 / lanes}%`;
+        column.appendChild(event);
+      });
+
+      body.appendChild(column);
+    });
+
+    container.appendChild(body);
+
+    // Start at the morning instead of midnight
+    const hourHeight = parseFloat(getComputedStyle(container).getPropertyValue('--calendar-hour-height')) || 48;
+    body.scrollTop = FIRST_VISIBLE_HOUR * hourHeight;
+  }
+
+  static renderAgenda(container, start, end, meetingsByDay, context) {
+    const todayKey = Recurrence.toDateString(new Date());
+    let hasMeetings = false;
+
+    for (let day = start; day <= end; day = this.addDays(day, 1)) {
+      const key = Recurrence.toDateString(day);
+      const dayMeetings = meetingsByDay.get(key) || [];
+      if (dayMeetings.length === 0) continue;
+      hasMeetings = true;
+
+      const section = document.createElement('div');
+      section.className = 'calendar-agenda-day';
+
+      const heading = document.createElement('h3');
+      heading.className = `h6 mt-4 mb-2${key === todayKey ? ' text-teal' : ''}`;
+      heading.textContent = day.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+      section.appendChild(heading);
+
+      dayMeetings.forEach(meeting => {
+        section.appendChild(this.createEvent(meeting, context, { detailed: true }));
+      });
+
+      container.appendChild(section);
+    }
+
+    if (!hasMeetings) {
+      container.innerHTML = '<p class="text-muted mt-4">No meetings this month.</p>';
+    }
+  }
+
+  // One meeting block; detailed blocks (agenda) also show the time range, group and location
+  static createEvent(meeting, context, { detailed = false } = {}) {
+    const groupId = meeting.relationships?.group?.data?.id?.toString();
+    const color = context.colors.get(groupId) || GROUP_COLORS[0];
+    const startTime = new Date(meeting.attributes?.start_time);
+    const endTime = new Date(meeting.attributes?.end_time || startTime);
+    const timeOptions = { hour: 'numeric', minute: '2-digit' };
+
+    const event = document.createElement('div');
+    event.className = `calendar-event${detailed ? ' calendar-event-detailed' : ''}`;
+    event.style.setProperty('--event-color', color);
+    event.dataset.meetingId = meeting.id;
+    event.title = meeting.attributes?.name || 'Untitled Meeting';
+
+    const time = document.createElement('span');
+    time.className = 'calendar-event-time';
+    time.textContent = detailed
+      ? `${startTime.toLocaleTimeString('en-US', timeOptions)} – ${endTime.toLocaleTimeString('en-US', timeOptions)}`
+      : startTime.toLocaleTimeString('en-US', timeOptions);
+
+    const name = document.createElement('span');
+    name.className = 'calendar-event-name';
+    name.textContent = meeting.attributes?.name || 'Untitled Meeting';
+
+    event.append(time, ' ', name);
+
+    if (detailed) {
+      const details = [
+        context.groups?.find(group => group.id?.toString() === groupId)?.attributes?.name,
+        this.getLocationLabel(meeting, context.locations)
+      ].filter(Boolean).join(' · ');
+
+      if (details) {
+        const meta = document.createElement('div');
+        meta.className = 'small text-muted';
+        meta.textContent = details;
+        event.appendChild(meta);
+      }
+    }
+
+    event.addEventListener('click', (e) => {
+      e.stopPropagation();
+      context.onSelectMeeting?.(meeting);
+    });
+
+    if (!detailed && context.canMove?.(meeting)) {
+      event.draggable = true;
+      event.classList.add('calendar-event-movable');
+      event.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', meeting.id);
+        this.draggedMeeting = meeting;
+        // Let drops reach the day or hour under other meetings (deferred so the drag image is taken first)
+        const calendar = event.closest('.meeting-calendar');
+        requestAnimationFrame(() => calendar?.classList.add('calendar-dragging'));
+      });
+      event.addEventListener('dragend', () => {
+        this.draggedMeeting = null;
+        event.closest('.meeting-calendar')?.classList.remove('calendar-dragging');
+      });
+    }
+
+    return event;
+  }
+
+  // Assigns overlapping meetings on one day (in start order) to side-by-side lanes
+  // Lanes are counted per cluster of meetings that overlap one another, so an overlap in the
+  // morning doesn't narrow the meetings in the afternoon
+  static layoutDayEvents(dayMeetings) {
+    const placed = [];
+    let cluster = [];
+    let laneEnds = [];
+    let clusterEnd = -Infinity;
+
+    const closeCluster = () => {
+      cluster.forEach(entry => placed.push({ ...entry, lanes: Math.max(laneEnds.length, 1) }));
+      cluster = [];
+      laneEnds = [];
+    };
+
+    dayMeetings.forEach(meeting => {
+      const start = new Date(meeting.attributes?.start_time).getTime();
+      const end = new Date(meeting.attributes?.end_time || start).getTime();
+      if (start >= clusterEnd) closeCluster();
+
+      let lane = laneEnds.findIndex(laneEnd => laneEnd <= start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = end;
+      clusterEnd = cluster.length === 0 ? end : Math.max(clusterEnd, end);
+      cluster.push({ meeting, lane });
+    });
+    closeCluster();
+
+    return placed;
+  }
+
+  // Legend of the groups that have meetings in view
+  static renderLegend(container, groups = [], meetings = []) {
+    if (!container) return;
+
+    const colors = this.getGroupColors(groups);
+    const groupIds = new Set(meetings.map(meeting => meeting.relationships?.group?.data?.id?.toString()));
+
+    container.innerHTML = '';
+    groups
+      .filter(group => groupIds.has(group.id?.toString()))
+      .forEach(group => {
+        const item = document.createElement('span');
+        item.className = 'calendar-legend-item small me-3';
+        item.style.setProperty('--event-color', colors.get(group.id.toString()));
+        item.textContent = group.attributes?.name || 'Study Group';
+        container.appendChild(item);
+      });
+  }
+
+  /* ======= DRAG & DROP ======= */
+
+  // getNewStart(meeting) returns where the dropped meeting should start
+  static makeDropTarget(element, context, getNewStart) {
+    if (!context.onMoveMeeting) return;
+
+    element.addEventListener('dragover', (e) => {
+      if (!this.draggedMeeting) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      element.classList.add('calendar-drop-target');
+    });
+    element.addEventListener('dragleave', () => element.classList.remove('calendar-drop-target'));
+    element.addEventListener('drop', (e) => {
+      e.preventDefault();
+      element.classList.remove('calendar-drop-target');
+
+      const meeting = this.draggedMeeting;
+      this.draggedMeeting = null;
+      if (!meeting) return;
+
+      const newStart = getNewStart(meeting);
+      if (newStart.getTime() !== new Date(meeting.attributes?.start_time).getTime()) {
+        context.onMoveMeeting(meeting, newStart);
+      }
+    });
+  }
+
+  /* ======= HELPERS ======= */
+
+  static getGroupColors(groups) {
+    const colors = new Map();
+    [...groups]
+      .sort((a, b) => parseInt(a.id, 10) - parseInt(b.id, 10))
+      .forEach((group, index) => colors.set(group.id.toString(), GROUP_COLORS[index % GROUP_COLORS.length]));
+    return colors;
+  }
+
+  static getLocationLabel(meeting, locations = []) {
+    const locationId = meeting.relationships?.location?.data?.id?.toString();
+    const location = locations?.find(loc => loc.id?.toString() === locationId);
+    return location ? `${location.attributes?.building} - ${location.attributes?.room}` : '';
+  }
+
+  static addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+}
+
+export default MeetingCalendar;
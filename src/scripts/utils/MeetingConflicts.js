@@ -0,0 +1,325 @@
+// MeetingConflicts - Scheduling conflict checks for the schedule meeting form
+// Compares the occurrences a form would create with meetings of the user's groups and with
+// bookings of the same room, flags times outside scheduling hours, and suggests the nearest
+// start times that avoid all three. Used by the meetings page (form and drag-to-reschedule)
+// and the group page's schedule form.
+
+import Recurrence from './Recurrence.js';
+import RecurrenceForm from './RecurrenceForm.js';
+import MeetingsService from '../api/MeetingsService.js';
+
+// Meetings should start and end within these local hours
+export const SCHEDULING_HOURS = { START: 8, END: 22 };
+
+// Free slots are searched in these steps, up to this many days either side of the requested day
+const SLOT_STEP_MINUTES = 30;
+const SLOT_SEARCH_DAYS = 7;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class MeetingConflicts {
+  /* ======= OCCURRENCES ======= */
+
+  // { start, end } of every meeting the form would create (local date, start time, duration in hours)
+  static getOccurrences({ date, startTime, duration }, rule = null) {
+    const dates = Recurrence.isRecurring(rule) ? Recurrence.expand(rule, date) : [date];
+    return dates.map(occurrenceDate => {
+      const start = new Date(`${occurrenceDate}T${startTime}`);
+      return { start, end: new Date(start.getTime() + duration * HOUR_MS) };
+    });
+  }
+
+  // Time window to load room bookings for - wide enough to also search for free slots
+  static getSearchRange(occurrences) {
+    const starts = occurrences.map(slot => slot.start.getTime());
+    const ends = occurrences.map(slot => slot.end.getTime());
+    return {
+      from: new Date(Math.min(...starts) - SLOT_SEARCH_DAYS * 24 * HOUR_MS),
+      to: new Date(Math.max(...ends) + SLOT_SEARCH_DAYS * 24 * HOUR_MS)
+    };
+  }
+
+  static getMeetingSlot(meeting) {
+    const start = new Date(meeting.attributes?.start_time);
+    const end = new Date(meeting.attributes?.end_time || meeting.attributes?.start_time);
+    return { start, end };
+  }
+
+  static getLocationId(meeting) {
+    return (meeting.relationships?.location?.data?.id ?? meeting.attributes?.location)?.toString();
+  }
+
+  /* ======= CONFLICTS ======= */
+
+  // Returns { overlaps, roomBookings, outsideHours }:
+  // - overlaps: meetings of the user's groups overlapping any occurrence
+  // - roomBookings: meetings of any group in the same location overlapping any occurrence
+  // - outsideHours: occurrences starting or ending outside SCHEDULING_HOURS
+  // ignoreIds are meetings this edit replaces, so a meeting never conflicts with itself
+  static find(occurrences, { meetings = [], roomMeetings = [], location = null, ignoreIds = [] } = {}) {
+    const ignored = new Set(ignoreIds.map(id => id.toString()));
+    const locationId = location?.toString();
+    const isRelevant = meeting => !ignored.has(meeting.id?.toString());
+
+    const roomBookings = this.findOverlapping(occurrences, roomMeetings
+      .filter(isRelevant)
+      .filter(meeting => this.getLocationId(meeting) === locationId));
+    const bookedIds = new Set(roomBookings.map(meeting => meeting.id?.toString()));
+
+    // Meetings already listed as room bookings aren't repeated as overlaps
+    const overlaps = this.findOverlapping(occurrences, meetings
+      .filter(isRelevant)
+      .filter(meeting => !bookedIds.has(meeting.id?.toString())));
+
+    return {
+      overlaps,
+      roomBookings,
+      outsideHours: occurrences.filter(slot => !this.isWithinHours(slot))
+    };
+  }
+
+  static hasConflicts({ overlaps = [], roomBookings = [], outsideHours = [] } = {}) {
+    return overlaps.length > 0 || roomBookings.length > 0 || outsideHours.length > 0;
+  }
+
+  // Meetings overlapping at least one occurrence, earliest first
+  static findOverlapping(occurrences, meetings) {
+    return meetings
+      .filter(meeting => {
+        const slot = this.getMeetingSlot(meeting);
+        return occurrences.some(occurrence => this.overlaps(occurrence, slot));
+      })
+      .sort((a, b) => this.getMeetingSlot(a).start - this.getMeetingSlot(b).start);
+  }
+
+  // Back-to-back meetings (one ends as the next starts) don't overlap
+  static overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+  }
+
+  static isWithinHours({ start, end }) {
+    const dayStart = new Date(start.getFullYear(), start.getMonth(), start.getDate(), SCHEDULING_HOURS.START);
+    const dayEnd = new Date(start.getFullYear(), start.getMonth(), start.getDate(), SCHEDULING_HOURS.END);
+    return start >= dayStart && end <= dayEnd;
+  }
+
+  /* ======= SUGGESTIONS ======= */
+
+  // Nearest start times, within scheduling hours and not in the past, at which every occurrence
+  // avoids busyMeetings. Recurring meetings move as a whole: a suggestion on another day shifts
+  // the rule with it. Returns up to limit { date, startTime, rule }, closest to the requested time first.
+  static suggestSlots(meetingData, rule, busyMeetings = [], { ignoreIds = [], limit = 3 } = {}) {
+    const ignored = new Set(ignoreIds.map(id => id.toString()));
+    const busySlots = busyMeetings
+      .filter(meeting => !ignored.has(meeting.id?.toString()))
+      .map(meeting => this.getMeetingSlot(meeting));
+
+    const requestedStart = new Date(`${meetingData.date}T${meetingData.startTime}`);
+    const durationMinutes = meetingData.duration * 60;
+    const now = new Date();
+
+    const candidates = [];
+    for (let dayOffset = -SLOT_SEARCH_DAYS; dayOffset <= SLOT_SEARCH_DAYS; dayOffset++) {
+      const date = Recurrence.addDays(meetingData.date, dayOffset);
+      for (let minutes = SCHEDULING_HOURS.START * 60; minutes + durationMinutes <= SCHEDULING_HOURS.END * 60; minutes += SLOT_STEP_MINUTES) {
+        const startTime = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        const start = new Date(`${date}T${startTime}`);
+        if (start <= now || start.getTime() === requestedStart.getTime()) continue;
+
+        candidates.push({ date, startTime, dayOffset, distance: Math.abs(start - requestedStart) });
+      }
+    }
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    const suggestions = [];
+    for (const candidate of candidates) {
+      const candidateRule = Recurrence.isRecurring(rule) ? Recurrence.shift(rule, candidate.dayOffset) : rule;
+      const occurrences = this.getOccurrences({ ...meetingData, date: candidate.date, startTime: candidate.startTime }, candidateRule);
+
+      const isFree = occurrences.every(occurrence =>
+        this.isWithinHours(occurrence) && !busySlots.some(slot => this.overlaps(occurrence, slot))
+      );
+      if (isFree) {
+        suggestions.push({ date: candidate.date, startTime: candidate.startTime, rule: candidateRule });
+        if (suggestions.length >= limit) break;
+      }
+    }
+
+    return suggestions;
+  }
+
+  /* ======= CHECK ======= */
+
+  // Loads bookings of the meeting's room and checks the occurrences against them and against
+  // meetings (those of the user's groups). Returns { conflicts, suggestions }, or null if there
+  // are no conflicts. occurrences default to the ones meetingData and rule would create.
+  static async check(meetingData, rule, { meetings = [], ignoreIds = [], occurrences = null, signal = null } = {}) {
+    const slots = occurrences || this.getOccurrences(meetingData, rule);
+
+    // Room bookings include other groups' meetings, so they're loaded for the searched window
+    let roomMeetings = [];
+    try {
+      roomMeetings = await MeetingsService.getMeetingsAtLocation(meetingData.location, {
+        ...this.getSearchRange(slots),
+        signal
+      });
+    } catch (error) {
+      if (error?.isAbort) throw error;
+      console.error('Failed to load room bookings:', error);
+    }
+
+    const conflicts = this.find(slots, { meetings, roomMeetings, location: meetingData.location, ignoreIds });
+    if (!this.hasConflicts(conflicts)) {
+      return null;
+    }
+
+    const suggestions = this.suggestSlots(meetingData, rule, [...meetings, ...roomMeetings], { ignoreIds });
+    return { conflicts, suggestions };
+  }
+
+  /* ======= DISPLAY ======= */
+
+  // Labelled lists of the conflicts - [{ title, items }]
+  // Overlapping meetings are named with their group when it's in groups
+  static describe({ overlaps = [], roomBookings = [], outsideHours = [] }, groups = []) {
+    const sections = [];
+    if (overlaps.length > 0) {
+      sections.push({
+        title: 'Overlaps with meetings of your groups:',
+        items: overlaps.map(meeting => this.describeMeeting(meeting, groups))
+      });
+    }
+    if (roomBookings.length > 0) {
+      sections.push({
+        title: 'The room is already booked:',
+        items: roomBookings.map(meeting => this.describeMeeting(meeting))
+      });
+    }
+    if (outsideHours.length > 0) {
+      sections.push({
+        title: `Outside scheduling hours (${this.formatHour(SCHEDULING_HOURS.START)} - ${this.formatHour(SCHEDULING_HOURS.END)}):`,
+        items: outsideHours.map(slot => `${MeetingsService.formatDate(slot.start)}, ${MeetingsService.formatTime(slot.start)} - ${MeetingsService.formatTime(slot.end)}`)
+      });
+    }
+    return sections;
+  }
+
+  // "Chemistry Review - Mon, Mar 4, 10:00 AM - 12:00 PM (Orgo Study Group)"
+  static describeMeeting(meeting, groups = []) {
+    const { start, end } = this.getMeetingSlot(meeting);
+    const groupId = meeting.relationships?.group?.data?.id?.toString();
+    const group = groups.find(g => g.id?.toString() === groupId);
+
+    const text = `${meeting.attributes?.name || 'Meeting'} - ${MeetingsService.formatDate(start)}, ${MeetingsService.formatTime(start)} - ${MeetingsService.formatTime(end)}`;
+    return group ? `${text} (${group.attributes?.name})` : text;
+  }
+
+  static describeSuggestion({ date, startTime }) {
+    return `${MeetingsService.formatDate(`${date}T${startTime}`)}, ${MeetingsService.formatTime(`${date}T${startTime}`)}`;
+  }
+
+  static formatHour(hour) {
+    return MeetingsService.formatTime(new Date(2000, 0, 1, hour));
+  }
+
+  // Fills the form's conflicts panel; each suggestion is a button that calls onSelect with it
+  static showPanel(panel, { conflicts, suggestions }, { groups = [], onSelect = null } = {}) {
+    if (!panel) return;
+
+    panel.innerHTML = '';
+
+    const heading = document.createElement('p');
+    heading.className = 'fw-semibold mb-2';
+    heading.innerHTML = '<span class="fa-solid fa-triangle-exclamation me-2"></span>This time has scheduling conflicts';
+    panel.appendChild(heading);
+
+    this.describe(conflicts, groups).forEach(({ title, items }) => this.appendList(panel, title, items));
+
+    if (suggestions.length > 0) {
+      const label = document.createElement('p');
+      label.className = 'small mb-1';
+      label.textContent = 'Nearest free times:';
+      panel.appendChild(label);
+
+      const buttons = document.createElement('div');
+      buttons.className = 'd-flex flex-wrap gap-2 mb-2';
+      suggestions.forEach(suggestion => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-dark-gray';
+        button.textContent = this.describeSuggestion(suggestion);
+        button.addEventListener('click', () => onSelect?.(suggestion));
+        buttons.appendChild(button);
+      });
+      panel.appendChild(buttons);
+    }
+
+    const hint = document.createElement('p');
+    hint.className = 'small mb-0';
+    hint.textContent = suggestions.length > 0
+      ? 'Pick a free time, or submit again to schedule anyway.'
+      : 'Submit again to schedule anyway.';
+    panel.appendChild(hint);
+
+    panel.classList.remove('d-none');
+  }
+
+  static hidePanel(panel) {
+    if (panel) {
+      panel.classList.add('d-none');
+      panel.innerHTML = '';
+    }
+  }
+
+  // Adds a labelled list, showing the first few items and a count of the rest
+  static appendList(panel, title, items, maxItems = 5) {
+    const label = document.createElement('p');
+    label.className = 'small mb-1';
+    label.textContent = title;
+
+    const list = document.createElement('ul');
+    list.className = 'small mb-2';
+    items.slice(0, maxItems).forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+    if (items.length > maxItems) {
+      const more = document.createElement('li');
+      more.textContent = `and ${items.length - maxItems} more`;
+      list.appendChild(more);
+    }
+
+    panel.append(label, list);
+  }
+
+  // Plain-text version for a confirm() prompt, where there's no form to show the panel in
+  static formatMessage({ conflicts, suggestions = [] }, groups = [], maxItems = 5) {
+    const lines = ['This time has scheduling conflicts.'];
+    this.describe(conflicts, groups).forEach(({ title, items }) => {
+      lines.push('', title, ...items.slice(0, maxItems).map(item => `- ${item}`));
+      if (items.length > maxItems) lines.push(`- and ${items.length - maxItems} more`);
+    });
+    if (suggestions.length > 0) {
+      lines.push('', 'Nearest free times:', ...suggestions.map(suggestion => `- ${this.describeSuggestion(suggestion)}`));
+    }
+    return lines.join('\n');
+  }
+
+  /* ======= FORM ======= */
+
+  // Moves the schedule form to a suggested slot; recurring meetings take the shifted rule with them
+  static applySuggestion({ date, startTime, rule }) {
+    const dateInput = document.getElementById('meeting-date');
+    const startTimeInput = document.getElementById('meeting-start-time');
+    if (dateInput) dateInput.value = date;
+    if (startTimeInput) startTimeInput.value = startTime;
+
+    if (Recurrence.isRecurring(rule)) {
+      RecurrenceForm.setRule(rule);
+    }
+    RecurrenceForm.updateSummary();
+  }
+}
+
+export default MeetingConflicts;
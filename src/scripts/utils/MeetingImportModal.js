@@ -0,0 +1,301 @@
+// MeetingImportModal - Bulk-creates meetings from an uploaded .ics file
+// Events are previewed in a table with the study group and location they'll be created in;
+// the user can deselect rows, and each row reports whether its meetings were created.
+// Repeating events with a supported rule become recurring meetings.
+
+import ICalendar from './ICalendar.js';
+import Recurrence, { MAX_OCCURRENCES } from './Recurrence.js';
+import MeetingsService from '../api/MeetingsService.js';
+
+// Used when an event has neither DTEND nor DURATION
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+class MeetingImportModal {
+  // { getGroups, getLocations, onImported } from the page
+  static options = {};
+  // One { event, rule, problem, selected, done } per importable VEVENT
+  static rows = [];
+  static importing = false;
+
+  /* ======= SETUP ======= */
+
+  // getGroups/getLocations return the groups the user may schedule for and the known locations;
+  // onImported runs after an import so the page can reload its meetings
+  static setup({ getGroups = () => [], getLocations = () => [], onImported = null } = {}) {
+    this.options = { getGroups, getLocations, onImported };
+
+    const modal = document.getElementById('importMeetingsModal');
+    if (!modal || modal.dataset.bound) return;
+    modal.dataset.bound = 'true';
+
+    modal.addEventListener('show.bs.modal', () => this.reset());
+
+    document.getElementById('import-file')?.addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      if (file) this.handleFile(file);
+    });
+
+    document.getElementById('import-select-all')?.addEventListener('change', (e) => {
+      this.rows.forEach(row => {
+        if (!row.done) row.selected = e.target.checked;
+      });
+      this.renderRows();
+    });
+
+    document.getElementById('import-rows')?.addEventListener('change', (e) => {
+      const index = e.target.dataset.rowIndex;
+      if (index === undefined) return;
+      this.rows[index].selected = e.target.checked;
+      this.updateSummary();
+    });
+
+    document.getElementById('import-meetings-btn')?.addEventListener('click', () => this.handleImport());
+  }
+
+  static reset() {
+    this.rows = [];
+    this.importing = false;
+
+    const fileInput = document.getElementById('import-file');
+    if (fileInput) fileInput.value = '';
+
+    this.populateSelect('import-group', this.options.getGroups(), 'Select study group...',
+      group => group.attributes?.name || 'Study Group');
+    this.populateSelect('import-location', this.options.getLocations(), 'Select location...',
+      location => `${location.attributes?.building} - ${location.attributes?.room}`);
+
+    document.getElementById('import-preview')?.classList.add('d-none');
+    this.hideError();
+    this.updateSummary();
+  }
+
+  static populateSelect(id, items, placeholder, getLabel) {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    select.innerHTML = `<option value="">${placeholder}</option>`;
+    items.forEach(item => select.appendChild(new Option(getLabel(item), item.id)));
+  }
+
+  /* ======= FILE ======= */
+
+  static async handleFile(file) {
+    this.hideError();
+
+    try {
+      const events = ICalendar.parse(await file.text());
+      this.rows = this.createRows(events);
+
+      if (this.rows.length === 0) {
+        this.showError('No events were found in this file.');
+      }
+    } catch (error) {
+      console.error('Failed to read calendar file:', error);
+      this.rows = [];
+      this.showError('This file could not be read. Please choose an .ics calendar file.');
+    }
+
+    document.getElementById('import-preview')?.classList.toggle('d-none', this.rows.length === 0);
+    this.renderRows();
+  }
+
+  static createRows(events) {
+    // Moved or cancelled occurrences of a repeating event come as separate events with a
+    // RECURRENCE-ID - their original dates are skipped in the series
+    const overrides = events.filter(event => event.recurrenceId);
+
+    return events
+      .filter(event => event.start && !event.cancelled)
+      .map(event => {
+        const isSeries = event.rrule && !event.recurrenceId;
+        const exdates = isSeries
+          ? [...event.exdates, ...overrides.filter(override => override.uid === event.uid).map(override => override.recurrenceId)]
+          : [];
+        let rule = isSeries ? ICalendar.parseRRule(event.rrule, event.start, exdates) : null;
+
+        let problem = null;
+        if (event.allDay) {
+          problem = 'All-day event - add a start time after importing';
+        } else if (isSeries && !rule) {
+          problem = 'Repeat rule not supported - only the first meeting will be imported';
+        } else if (Recurrence.exceedsLimit(rule, Recurrence.toDateString(event.start))) {
+          // The series is stored with the meetings it actually gets, not the file's end date
+          rule = { ...rule, until: null, count: MAX_OCCURRENCES };
+          problem = `Repeats more than ${MAX_OCCURRENCES} times - only the first ${MAX_OCCURRENCES} meetings will be imported`;
+        }
+
+        return { event, rule, problem, selected: !problem, done: false, status: null };
+      })
+      .sort((a, b) => a.event.start - b.event.start);
+  }
+
+  // Form values for MeetingsService.createMeetings
+  static getMeetingData(row, group, location) {
+    const { event } = row;
+    const end = event.end && event.end > event.start ? event.end : new Date(event.start.getTime() + DEFAULT_DURATION_MS);
+
+    return {
+      name: event.summary || 'Untitled Meeting',
+      description: event.description || '',
+      date: Recurrence.toDateString(event.start),
+      startTime: event.start.toTimeString().slice(0, 5),
+      duration: (end - event.start) / (60 * 60 * 1000),
+      group,
+      location
+    };
+  }
+
+  /* ======= PREVIEW ======= */
+
+  static renderRows() {
+    const tbody = document.getElementById('import-rows');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+    this.rows.forEach((row, index) => {
+      const { event } = row;
+      const tr = document.createElement('tr');
+
+      const selectCell = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'form-check-input';
+      checkbox.checked = row.selected;
+      checkbox.disabled = row.done || this.importing;
+      checkbox.dataset.rowIndex = index;
+      checkbox.setAttribute('aria-label', `Import ${event.summary || 'meeting'}`);
+      selectCell.appendChild(checkbox);
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = event.summary || 'Untitled Meeting';
+      if (event.location) {
+        const location = document.createElement('div');
+        location.className = 'small text-muted';
+        location.textContent = event.location;
+        nameCell.appendChild(location);
+      }
+
+      const whenCell = document.createElement('td');
+      whenCell.className = 'text-nowrap';
+      whenCell.textContent = event.allDay
+        ? MeetingsService.formatDate(event.start)
+        : `${MeetingsService.formatDate(event.start)}, ${MeetingsService.formatTime(event.start)}`;
+
+      const repeatCell = document.createElement('td');
+      repeatCell.className = 'small';
+      repeatCell.textContent = row.rule ? Recurrence.describe(row.rule, Recurrence.toDateString(event.start)) : 'Does not repeat';
+      if (row.problem) {
+        const problem = document.createElement('div');
+        problem.className = 'text-danger';
+        problem.textContent = row.problem;
+        repeatCell.appendChild(problem);
+      }
+
+      const statusCell = document.createElement('td');
+      statusCell.className = 'small';
+      if (row.status) {
+        const badge = document.createElement('span');
+        badge.className = `badge ${row.status.cssClass}`;
+        badge.textContent = row.status.text;
+        statusCell.appendChild(badge);
+      }
+
+      tr.append(selectCell, nameCell, whenCell, repeatCell, statusCell);
+      tbody.appendChild(tr);
+    });
+
+    this.updateSummary();
+  }
+
+  static updateSummary() {
+    const pending = this.rows.filter(row => !row.done);
+    const selected = pending.filter(row => row.selected).length;
+
+    const summary = document.getElementById('import-summary');
+    if (summary) {
+      summary.textContent = `${selected} of ${pending.length} ${pending.length === 1 ? 'event' : 'events'} selected`;
+    }
+
+    const selectAll = document.getElementById('import-select-all');
+    if (selectAll) {
+      selectAll.checked = pending.length > 0 && selected === pending.length;
+      selectAll.indeterminate = selected > 0 && selected < pending.length;
+    }
+
+    const importButton = document.getElementById('import-meetings-btn');
+    if (importButton) {
+      importButton.disabled = this.importing || selected === 0;
+    }
+  }
+
+  /* ======= IMPORT ======= */
+
+  // Creates the selected rows one at a time, reporting each row's result in its status column
+  static async handleImport() {
+    const group = document.getElementById('import-group')?.value;
+    const location = document.getElementById('import-location')?.value;
+    if (!group || !location) {
+      this.showError('Please choose the study group and location for the imported meetings.');
+      return;
+    }
+
+    this.hideError();
+    this.importing = true;
+    const selectedRows = this.rows.filter(row => row.selected && !row.done);
+    selectedRows.forEach(row => {
+      row.status = { text: 'Waiting...', cssClass: 'bg-light text-dark' };
+    });
+    this.renderRows();
+
+    for (const row of selectedRows) {
+      try {
+        const result = await MeetingsService.createMeetings(this.getMeetingData(row, group, location), row.rule);
+        const created = result.meetings.length;
+        const failed = result.failedDates.length;
+
+        row.status = failed > 0
+          ? { text: `${created} created, ${failed} failed`, cssClass: 'bg-warning text-dark' }
+          : { text: created === 1 ? 'Created' : `${created} meetings created`, cssClass: 'bg-success' };
+        row.done = created > 0;
+      } catch (error) {
+        console.error('Failed to import meeting:', error);
+        row.status = { text: `Failed: ${error.message || 'unknown error'}`, cssClass: 'bg-danger' };
+      }
+
+      row.selected = !row.done;
+      this.renderRows();
+    }
+
+    this.importing = false;
+    this.renderRows();
+
+    const imported = selectedRows.filter(row => row.done).length;
+    const summary = document.getElementById('import-summary');
+    if (summary) {
+      summary.textContent = `Imported ${imported} of ${selectedRows.length} selected ${selectedRows.length === 1 ? 'event' : 'events'}.`;
+    }
+
+    if (imported > 0) {
+      await this.options.onImported?.();
+    }
+  }
+
+  /* ======= MESSAGES ======= */
+
+  static showError(message) {
+    const errorDiv = document.getElementById('importErrorMessage');
+    const errorText = document.getElementById('importErrorText');
+    if (errorDiv && errorText) {
+      errorText.textContent = message;
+      errorDiv.classList.remove('d-none');
+    } else {
+      alert(message);
+    }
+  }
+
+  static hideError() {
+    document.getElementById('importErrorMessage')?.classList.add('d-none');
+  }
+}
+
+export default MeetingImportModal;
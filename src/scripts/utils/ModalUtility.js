@@ -1,20 +1,38 @@
 // ModalUtility.js - Handles join group modal functionality
 import ApiService from '../api/ApiService.js';
 import UserService from '../api/UserService.js';
+import StudyGroupsService, {
+  GROUP_VISIBILITY,
+  JOIN_REQUEST_STATUS,
+  GROUP_TAGS,
+  GROUP_SIZES,
+  ACTIVITY_LEVELS
+} from '../api/StudyGroupsService.js';
+import Permissions, { ACTIONS } from './Permissions.js';
+import Markdown from './Markdown.js';
+import CoursePicker from './CoursePicker.js';
+import CourseCatalogService from '../api/CourseCatalogService.js';
 
 export class ModalUtility {
   
   // Add flag to prevent double-loading
   static isLoading = false;
   
+  // In-flight discovery search, aborted when the filters change again
+  static searchController = null;
+  static searchTimer = null;
+  
+  // Delay after the last keystroke before searching
+  static SEARCH_DEBOUNCE_MS = 300;
+  
   // ===== INITIALIZATION =====
   
   static initializeModalEvents() {
-    // Load departments when create group modal is shown
+    // Load the course catalog when create group modal is shown
     const addGroupModal = document.getElementById('addGroupModal');
     if (addGroupModal) {
       addGroupModal.addEventListener('show.bs.modal', async () => {
-        await this.loadDepartments();
+        await this.setupCoursePicker();
       });
     }
   }
@@ -41,6 +59,7 @@ export class ModalUtility {
     
     // Set up one-time event listener for when modal is shown
     modal.addEventListener('shown.bs.modal', () => {
+      this.setupModalInteractions();
       this.loadAvailableGroups().catch(error => {
         console.error('Failed to load groups for modal:', error);
         this.showModalError('Failed to load available groups');
@@ -91,50 +110,78 @@ export class ModalUtility {
 
   // ===== DATA LOADING =====
   
+  // Loads groups matching the discovery form's search and facets
+  // A newer search aborts the one still in flight, so results never arrive out of order
   static async loadAvailableGroups() {
-    // Prevent multiple simultaneous loads
-    if (this.isLoading) return;
+    this.searchController?.abort();
+    const controller = new AbortController();
+    this.searchController = controller;
     this.isLoading = true;
     
     const container = document.getElementById('availableGroupsList');
     const loadingDiv = document.getElementById('loadingGroups');
     const noGroupsDiv = document.getElementById('noGroupsMessage');
+    const facets = this.getDiscoveryFacets();
     
     try {
       this.showLoading(loadingDiv, container, noGroupsDiv);
       
-      const { allGroups, userGroupIds } = await this.fetchGroupsData();
-      const availableGroups = allGroups.filter(group => !userGroupIds.includes(group.id));
+      const { allGroups, userGroupIds, requestStatuses } = await this.fetchGroupsData(facets, controller.signal);
+      
+      // Invite-only groups are never listed - they can only be joined through an invite
+      const availableGroups = allGroups.filter(group =>
+        !userGroupIds.includes(group.id) &&
+        StudyGroupsService.getVisibility(group) !== GROUP_VISIBILITY.INVITE
+      );
+      
+      // Only groups with a capacity limit need their members counted
+      const cappedGroupIds = availableGroups
+        .filter(group => StudyGroupsService.getCapacity(group) !== null)
+        .map(group => group.id);
+      const memberCounts = await StudyGroupsService.getMemberCounts(cappedGroupIds, { signal: controller.signal });
       
       this.hideLoading(loadingDiv);
       
       if (availableGroups.length === 0) {
-        this.showEmptyState(noGroupsDiv);
+        if (this.hasActiveFacets(facets)) {
+          this.showSearchNoResults(noGroupsDiv);
+        } else {
+          this.showEmptyState(noGroupsDiv);
+        }
         return;
       }
       
-      this.renderAvailableGroups(container, availableGroups);
-      this.setupModalInteractions();
+      this.renderAvailableGroups(container, availableGroups, { requestStatuses, memberCounts, searchTerm: facets.search });
       
     } catch (error) {
+      // ApiService rejects aborted requests with an ApiError flagged isAbort
+      if (controller.signal.aborted || error?.isAbort) return;
       console.error('Error loading available groups:', error);
       this.hideLoading(loadingDiv);
       this.showModalError('Failed to load available groups');
       throw error;
     } finally {
-      // Reset loading flag
-      this.isLoading = false;
+      // Only the latest search clears the loading state
+      if (this.searchController === controller) {
+        this.searchController = null;
+        this.isLoading = false;
+      }
     }
   }
 
-  static async fetchGroupsData() {
+  static async fetchGroupsData(facets = {}, signal = null) {
     const authHeader = UserService.getAuthHeader();
     const currentUser = UserService.getCurrentUser();
     const currentUserId = currentUser?.userData?.id?.toString() || currentUser?.id?.toString();
     
-    const [allGroupsResponse, membersResponse] = await Promise.all([
-      ApiService.getData('groups/', authHeader),
-      ApiService.getData('members/', authHeader)
+    const [allGroupsResponse, membersResponse, joinRequestsResponse] = await Promise.all([
+      StudyGroupsService.searchGroups(facets, { signal }),
+      ApiService.getData(ApiService.query('members/').filter('user', currentUserId), authHeader, { signal }),
+      StudyGroupsService.getJoinRequests({
+        userId: currentUserId,
+        statuses: [JOIN_REQUEST_STATUS.PENDING, JOIN_REQUEST_STATUS.WAITLISTED],
+        signal
+      })
     ]);
     
     const allGroups = allGroupsResponse.data || [];
@@ -144,93 +191,118 @@ export class ModalUtility {
       .filter(member => member.relationships.user.data.id === currentUserId)
       .map(member => member.relationships.group.data.id);
     
-    return { allGroups, userGroupIds };
+    // Groups the user is waiting on (group id -> pending or waitlisted)
+    const requestStatuses = new Map(
+      (joinRequestsResponse.data || [])
+        .filter(joinRequest => joinRequest.relationships?.group?.data?.id)
+        .map(joinRequest => [joinRequest.relationships.group.data.id, joinRequest.attributes?.status])
+    );
+    
+    return { allGroups, userGroupIds, requestStatuses };
   }
 
-  static async loadDepartments() {
-    try {
-      const authHeader = UserService.getAuthHeader();
-      const response = await ApiService.getEnumData('enums/', authHeader);
-      const departments = response.data?.enums?.departments || [];
-      
-      this.populateDepartmentDropdown(departments);
-      
-    } catch (error) {
-      console.error('Failed to load departments:', error);
-      this.populateFallbackDepartments();
-    }
+  // Attaches the catalog autocomplete to the create group form's course input
+  static async setupCoursePicker() {
+    await CoursePicker.attach(document.getElementById('course'));
   }
 
   // ===== RENDERING =====
 
-  static renderAvailableGroups(container, availableGroups) {
+  static renderAvailableGroups(container, availableGroups, { requestStatuses = new Map(), memberCounts = new Map(), searchTerm = '' } = {}) {
     if (container) {
       availableGroups.forEach(group => {
-        const groupCard = this.createAvailableGroupCard(group);
+        const groupCard = this.createAvailableGroupCard(group, {
+          requestStatus: requestStatuses.get(group.id) || null,
+          memberCount: memberCounts.get(group.id) || 0,
+          searchTerm
+        });
         container.appendChild(groupCard);
       });
     }
   }
 
-  static createAvailableGroupCard(group) {
+  static createAvailableGroupCard(group, { requestStatus = null, memberCount = 0, searchTerm = '' } = {}) {
     const cardDiv = document.createElement('div');
     cardDiv.className = 'border rounded-3 p-3 mb-3';
     
-    const title = group.attributes?.name || 'Untitled Group';
-    const description = this.formatGroupDescription(group);
+    const title = this.highlightMatches(group.attributes?.name || 'Untitled Group', searchTerm);
+    const meta = this.highlightMatches(this.formatGroupDescription(group), searchTerm);
+    const description = this.highlightMatches(Markdown.excerpt(StudyGroupsService.getDescription(group), 160), searchTerm);
+    const tags = StudyGroupsService.getTags(group)
+      .map(tag => `<span class="badge rounded-pill bg-secondary me-1">${GROUP_TAGS[tag]}</span>`)
+      .join('');
     const currentUser = UserService.getCurrentUser();
-    const isAdmin = currentUser?.username?.includes('admin') || false;
+    const canJoin = Permissions.can(currentUser, ACTIONS.JOIN, group);
+    const canRequest = Permissions.can(currentUser, ACTIONS.REQUEST_JOIN, group);
+    const isFull = StudyGroupsService.isGroupFull(group, memberCount);
     
     cardDiv.innerHTML = `
       <div class="d-flex align-items-center justify-content-between">
         <div>
           <h5 class="mb-1">${title}</h5>
-          <p class="text-muted mb-0">${description}</p>
+          <p class="text-muted mb-0">${meta}</p>
+          ${description ? `<p class="smaller mb-0 mt-1">${description}</p>` : ''}
+          ${tags ? `<div class="mt-2">${tags}</div>` : ''}
         </div>
-        ${isAdmin ? 
-          '<span class="badge bg-secondary">Admin View</span>' : 
-          `<button class="btn btn-outline-teal btn-sm join-group-btn" data-group-id="${group.id}">
-            <span class="fa-solid fa-plus me-1"></span>Join
-          </button>`
-        }
+        ${this.createJoinAction(group, { canJoin, canRequest, requestStatus, isFull })}
       </div>
     `;
   
-    if (!isAdmin) {
-      const joinBtn = cardDiv.querySelector('.join-group-btn');
+    const joinBtn = cardDiv.querySelector('.join-group-btn');
+    if (joinBtn) {
       joinBtn.addEventListener('click', () => this.handleJoinGroup(group));
     }
+    
+    const requestBtn = cardDiv.querySelector('.request-group-btn');
+    if (requestBtn) {
+      requestBtn.addEventListener('click', () => this.handleRequestToJoin(group, requestBtn));
+    }
+    
+    const waitlistBtn = cardDiv.querySelector('.waitlist-group-btn');
+    if (waitlistBtn) {
+      waitlistBtn.addEventListener('click', () => this.handleJoinWaitlist(group, waitlistBtn));
+    }
   
     return cardDiv;
   }
-
-  static populateDepartmentDropdown(departments) {
-    const departmentSelect = document.getElementById('department');
-    if (!departmentSelect) return;
+  
+  // Join, request or waitlist button, the user's waiting state, or the admin badge
+  static createJoinAction(group, { canJoin, canRequest, requestStatus, isFull }) {
+    if (!canJoin && !canRequest) {
+      return '<span class="badge bg-secondary">Admin View</span>';
+    }
     
-    departmentSelect.innerHTML = '<option value="">Dept</option>';
+    if (requestStatus === JOIN_REQUEST_STATUS.WAITLISTED) {
+      return this.getOnWaitlistHtml();
+    }
     
-    departments.forEach(dept => {
-      const option = document.createElement('option');
-      option.value = dept.value;
-      option.textContent = dept.label;
-      departmentSelect.appendChild(option);
-    });
-  }
-
-  static populateFallbackDepartments() {
-    const departmentSelect = document.getElementById('department');
-    if (departmentSelect) {
-      departmentSelect.innerHTML = `
-        <option value="">Dept</option>
-        <option value="COP">COP</option>
-        <option value="CEN">CEN</option>
-        <option value="MAS">MAS</option>
-        <option value="CHM">CHM</option>
-        <option value="PHY">PHY</option>
-        <option value="BIO">BIO</option>
-      `;
+    if (requestStatus === JOIN_REQUEST_STATUS.PENDING) {
+      return this.getRequestSentHtml();
+    }
+    
+    if (isFull) {
+      return `<button class="btn btn-outline-gator-accent btn-sm waitlist-group-btn" data-group-id="${group.id}">
+            <span class="fa-solid fa-hourglass-half me-1"></span>Full \u2014 join waitlist
+          </button>`;
+    }
+    
+    if (canJoin) {
+      return `<button class="btn btn-outline-teal btn-sm join-group-btn" data-group-id="${group.id}">
+            <span class="fa-solid fa-plus me-1"></span>Join
+          </button>`;
     }
+    
+    return `<button class="btn btn-outline-teal btn-sm request-group-btn" data-group-id="${group.id}">
+            <span class="fa-solid fa-paper-plane me-1"></span>Request to Join
+          </button>`;
+  }
+  
+  static getRequestSentHtml() {
+    return '<span class="badge bg-secondary"><span class="fa-solid fa-clock me-1"></span>Request sent</span>';
+  }
+  
+  static getOnWaitlistHtml() {
+    return '<span class="badge bg-secondary"><span class="fa-solid fa-hourglass-half me-1"></span>On waitlist</span>';
   }
 
   // ===== EVENT HANDLING =====
@@ -242,24 +314,15 @@ export class ModalUtility {
 
   static async handleJoinGroup(group) {
     try {
-      const authHeader = UserService.getAuthHeader();
       const currentUser = UserService.getCurrentUser();
-      const currentUserId = currentUser?.userData?.id || currentUser?.id;
       
-      const memberData = {
-        user: parseInt(currentUserId),
-        group: parseInt(group.id),
-        creator: false
-      };
-      
-      const response = await ApiService.postData('members/', memberData, authHeader);
-      
-      if (!response.data || !response.data.id) {
-        if (currentUser.username && currentUser.username.includes('admin')) {
+      try {
+        await StudyGroupsService.joinGroup(group.id);
+      } catch (joinError) {
+        if (Permissions.isAdmin(currentUser)) {
           throw new Error('Admin users cannot join groups. Please contact support if this is unexpected.');
-        } else {
-          throw new Error('Failed to join group - membership not created');
         }
+        throw joinError;
       }
       
       this.showModalSuccess(`Successfully joined ${group.attributes?.name}!`);
@@ -271,6 +334,38 @@ export class ModalUtility {
     }
   }
 
+  // Sends a join request and swaps the button for the "Request sent" state
+  static async handleRequestToJoin(group, button) {
+    try {
+      button.disabled = true;
+      await StudyGroupsService.requestToJoin(group.id);
+      
+      button.outerHTML = this.getRequestSentHtml();
+      this.showModalSuccess(`Request sent to ${group.attributes?.name}. You'll be added once it's approved.`);
+      
+    } catch (error) {
+      console.error('Error requesting to join group:', error);
+      button.disabled = false;
+      this.showModalError(error.message || 'Failed to send join request. Please try again.');
+    }
+  }
+
+  // Adds the user to a full group's waitlist and swaps the button for the "On waitlist" state
+  static async handleJoinWaitlist(group, button) {
+    try {
+      button.disabled = true;
+      await StudyGroupsService.joinWaitlist(group.id);
+      
+      button.outerHTML = this.getOnWaitlistHtml();
+      this.showModalSuccess(`You're on the waitlist for ${group.attributes?.name}. You'll be added when a spot opens up.`);
+      
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      button.disabled = false;
+      this.showModalError(error.message || 'Failed to join the waitlist. Please try again.');
+    }
+  }
+
   static setupCreateGroupTrigger() {
     const createGroupBtn = document.getElementById('addGroupModalLabel');
     if (createGroupBtn) {
@@ -283,41 +378,97 @@ export class ModalUtility {
     }
   }
 
+  // Binds the discovery form once per rendered modal - typing is debounced, facet changes search immediately
   static setupModalSearch() {
-    const searchInput = document.getElementById('groupSearch');
-    const groupsList = document.getElementById('availableGroupsList');
+    const form = document.getElementById('groupDiscoveryForm');
+    if (!form || form.dataset.bound) return;
+    form.dataset.bound = 'true';
+    
+    this.populateFacetOptions();
     
-    if (!searchInput || !groupsList) return;
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.scheduleSearch(0);
+    });
     
-    searchInput.addEventListener('input', (e) => {
-      this.filterGroups(e.target.value, groupsList);
+    form.addEventListener('input', (e) => {
+      const isText = e.target.type === 'text';
+      this.scheduleSearch(isText ? this.SEARCH_DEBOUNCE_MS : 0);
     });
     
+    // Reset fires before the fields are cleared
+    form.addEventListener('reset', () => this.scheduleSearch(0));
+    
     this.setupSearchReset();
   }
 
-  static filterGroups(searchTerm, groupsList) {
-    const term = searchTerm.toLowerCase().trim();
-    const groupCards = groupsList.querySelectorAll('.border.rounded-3');
-    
-    groupCards.forEach(card => {
-      const title = card.querySelector('h5')?.textContent?.toLowerCase() || '';
-      const description = card.querySelector('p')?.textContent?.toLowerCase() || '';
-      const matches = title.includes(term) || description.includes(term);
-      card.style.display = matches ? 'block' : 'none';
-    });
+  static scheduleSearch(delay) {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => {
+      this.loadAvailableGroups().catch(error => {
+        console.error('Failed to search groups:', error);
+      });
+    }, delay);
+  }
+
+  // Reads the discovery form into the facets StudyGroupsService.searchGroups expects
+  static getDiscoveryFacets() {
+    const form = document.getElementById('groupDiscoveryForm');
+    if (!form) return {};
     
-    this.updateSearchResults(groupCards, term);
+    const formData = new FormData(form);
+    return {
+      search: formData.get('search') || '',
+      department: formData.get('department') || '',
+      courseNumber: formData.get('courseNumber') || '',
+      term: formData.get('term') || '',
+      tags: formData.getAll('tags'),
+      size: formData.get('size') || '',
+      activity: formData.get('activity') || '',
+      sort: formData.get('sort') || 'relevance'
+    };
   }
 
-  static updateSearchResults(groupCards, searchTerm) {
-    const visibleCards = Array.from(groupCards).filter(card => card.style.display !== 'none');
-    const noGroupsDiv = document.getElementById('noGroupsMessage');
+  static hasActiveFacets(facets) {
+    return ['search', 'department', 'courseNumber', 'term', 'size', 'activity']
+      .some(key => facets[key]?.trim()) || facets.tags?.length > 0;
+  }
+
+  // Size, activity and tag options come from the service constants; departments from the course catalog
+  static async populateFacetOptions() {
+    const sizeSelect = document.getElementById('facetSize');
+    const activitySelect = document.getElementById('facetActivity');
+    const tagsContainer = document.getElementById('facetTags');
+    
+    const addOptions = (select, options) => {
+      Object.entries(options).forEach(([value, { label }]) => {
+        select.appendChild(new Option(label, value));
+      });
+    };
+    
+    if (sizeSelect) addOptions(sizeSelect, GROUP_SIZES);
+    if (activitySelect) addOptions(activitySelect, ACTIVITY_LEVELS);
+    
+    if (tagsContainer) {
+      tagsContainer.innerHTML = Object.entries(GROUP_TAGS).map(([value, label]) => `
+        <div class="form-check form-check-inline mb-0">
+          <input class="form-check-input" type="checkbox" id="facetTag-${value}" name="tags" value="${value}">
+          <label class="form-check-label" for="facetTag-${value}">${label}</label>
+        </div>
+      `).join('');
+    }
+    
+    const departmentSelect = document.getElementById('facetDepartment');
+    if (!departmentSelect) return;
     
-    if (visibleCards.length === 0 && searchTerm) {
-      this.showSearchNoResults(noGroupsDiv, searchTerm);
-    } else {
-      this.hideSearchNoResults(noGroupsDiv);
+    try {
+      const departments = await CourseCatalogService.getDepartments();
+      
+      departments.forEach(dept => {
+        departmentSelect.appendChild(new Option(dept, dept));
+      });
+    } catch (error) {
+      console.error('Failed to load department facet:', error);
     }
   }
 
@@ -344,10 +495,10 @@ export class ModalUtility {
     if (noGroupsDiv) noGroupsDiv.classList.remove('d-none');
   }
 
-  static showSearchNoResults(noGroupsDiv, searchTerm) {
+  static showSearchNoResults(noGroupsDiv) {
     if (noGroupsDiv) {
       noGroupsDiv.classList.remove('d-none');
-      noGroupsDiv.querySelector('p').textContent = `No groups found matching "${searchTerm}"`;
+      noGroupsDiv.querySelector('p').textContent = 'No groups match your search and filters';
     }
   }
 
@@ -357,18 +508,18 @@ export class ModalUtility {
     }
   }
 
+  // Clears the filters without searching again - the next open loads fresh results
   static resetSearchState() {
-    const searchInput = document.getElementById('groupSearch');
-    const groupsList = document.getElementById('availableGroupsList');
+    const form = document.getElementById('groupDiscoveryForm');
     const noGroupsDiv = document.getElementById('noGroupsMessage');
     
-    if (searchInput) searchInput.value = '';
+    clearTimeout(this.searchTimer);
+    this.searchController?.abort();
     
-    if (groupsList) {
-      const groupCards = groupsList.querySelectorAll('.border.rounded-3');
-      groupCards.forEach(card => {
-        card.style.display = 'block';
-      });
+    if (form) {
+      form.querySelectorAll('input[type="text"]').forEach(input => { input.value = ''; });
+      form.querySelectorAll('input[type="checkbox"]').forEach(input => { input.checked = false; });
+      form.querySelectorAll('select').forEach(select => { select.selectedIndex = 0; });
     }
     
     if (noGroupsDiv) {
@@ -435,19 +586,25 @@ export class ModalUtility {
 
   // ===== UTILITY HELPERS =====
 
+  // Course, term, instructor and meeting days line
   static formatGroupDescription(group) {
-    const department = group.attributes?.department;
-    const classNumber = group.attributes?.class_number;
-    
-    if (department && classNumber) {
-      return `${department} ${classNumber}`;
-    } else if (department) {
-      return department;
-    } else if (classNumber) {
-      return `Class ${classNumber}`;
-    }
+    return StudyGroupsService.formatGroupMeta(group) || 'Study Group';
+  }
+
+  // Escapes text and wraps each word of the search term in <mark>
+  static highlightMatches(text, searchTerm = '') {
+    const words = (searchTerm || '').trim().split(/\s+/).filter(word => word.length > 1);
+    if (words.length === 0) return Markdown.escapeHtml(text);
+    
+    const escapedWords = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(${escapedWords.join('|')})`, 'gi');
     
-    return 'Study Group';
+    // split() with a capture group puts the matches at odd indexes
+    return text.split(pattern)
+      .map((part, index) => index % 2 === 1
+        ? `<mark class="p-0">${Markdown.escapeHtml(part)}</mark>`
+        : Markdown.escapeHtml(part))
+      .join('');
   }
 }
 
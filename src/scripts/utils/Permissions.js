@@ -0,0 +1,129 @@
+// Permissions - Central role-based access checks
+// Site roles come from the user record (is_superuser / is_staff) and group roles from
+// the user's Member record (creator / editor). Controllers ask can(user, action, resource)
+// to decide which actions to show instead of inspecting usernames or membership flags.
+
+import EntityStore from '../api/EntityStore.js';
+
+export const ROLES = {
+  ADMIN: 'admin',
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  MEMBER: 'member',
+};
+
+export const ACTIONS = {
+  EDIT: 'edit',
+  DELETE: 'delete',
+  SCHEDULE: 'schedule',
+  MODERATE: 'moderate',
+  MANAGE_MEMBERS: 'manage-members',
+  INVITE: 'invite',
+  JOIN: 'join',
+  REQUEST_JOIN: 'request-join',
+  LEAVE: 'leave',
+};
+
+// Resource type -> action -> group roles allowed to perform it (site admins can do everything)
+const GROUP_ROLE_PERMISSIONS = {
+  Group: {
+    edit: [ROLES.OWNER, ROLES.EDITOR],
+    // Group deletion is restricted to site admins by the backend
+    delete: [],
+    schedule: [ROLES.OWNER, ROLES.EDITOR, ROLES.MEMBER],
+    // Reviewing join requests and discussion moderation
+    moderate: [ROLES.OWNER, ROLES.EDITOR],
+    // Promoting, demoting, removing members and transferring ownership
+    'manage-members': [ROLES.OWNER],
+    // Creating and revoking invite links
+    invite: [ROLES.OWNER],
+  },
+  Meeting: {
+    edit: [ROLES.OWNER, ROLES.EDITOR],
+    delete: [ROLES.OWNER, ROLES.EDITOR],
+    schedule: [ROLES.OWNER, ROLES.EDITOR, ROLES.MEMBER],
+    moderate: [ROLES.OWNER, ROLES.EDITOR],
+  },
+};
+
+class Permissions {
+  /* ======= CHECKS ======= */
+
+  // Returns true if the user may perform action on a Group or Meeting resource
+  // memberships defaults to every Member record in the entity store
+  static can(user, action, resource, memberships = null) {
+    const userId = this.getUserId(user);
+    if (!userId || !resource) return false;
+
+    const isAdmin = this.isAdmin(user);
+    const groupRole = this.getGroupRole(user, this.getGroupId(resource), memberships);
+
+    // Joining and leaving are about membership itself rather than a role
+    // (admins see every group already, and the backend rejects their memberships)
+    // Public groups can be joined directly, request-to-join groups need an approved request
+    if (action === ACTIONS.JOIN || action === ACTIONS.REQUEST_JOIN) {
+      const visibility = resource.attributes?.visibility || 'public';
+      const requiredVisibility = action === ACTIONS.JOIN ? 'public' : 'request';
+      return !isAdmin && !groupRole && visibility === requiredVisibility;
+    }
+    if (action === ACTIONS.LEAVE) {
+      return !isAdmin && !!groupRole;
+    }
+
+    if (isAdmin) return true;
+
+    const allowedRoles = GROUP_ROLE_PERMISSIONS[resource.type]?.[action] || [];
+    return !!groupRole && allowedRoles.includes(groupRole);
+  }
+
+  // Site admins see and manage every group and meeting
+  static isAdmin(user) {
+    const attributes = this.getUserRecord(user)?.attributes || {};
+    return attributes.is_superuser === true || attributes.is_staff === true;
+  }
+
+  /* ======= ROLES ======= */
+
+  // Returns the user's role in a group ('owner', 'editor', 'member') or null if not a member
+  static getGroupRole(user, groupId, memberships = null) {
+    const membership = this.findMembership(user, groupId, memberships);
+    return membership ? this.getMemberRole(membership) : null;
+  }
+
+  // Maps a Member record's flags to a role
+  static getMemberRole(member) {
+    if (member?.attributes?.creator) return ROLES.OWNER;
+    if (member?.attributes?.editor) return ROLES.EDITOR;
+    return ROLES.MEMBER;
+  }
+
+  // Finds the user's Member record for a group
+  static findMembership(user, groupId, memberships = null) {
+    const userId = this.getUserId(user);
+    if (!userId || groupId === undefined || groupId === null) return null;
+
+    const members = memberships || EntityStore.findAll('Member');
+    return members.find(member =>
+      member.relationships?.user?.data?.id?.toString() === userId &&
+      member.relationships?.group?.data?.id?.toString() === groupId.toString()
+    ) || null;
+  }
+
+  /* ======= HELPERS ======= */
+
+  // Accepts UserService.getCurrentUser(), stored user data ({ data }) or a User resource
+  static getUserRecord(user) {
+    return user?.userData?.data || user?.userData || user?.data || user || null;
+  }
+
+  static getUserId(user) {
+    return this.getUserRecord(user)?.id?.toString() || null;
+  }
+
+  // Meetings belong to a group; a group is its own group
+  static getGroupId(resource) {
+    return resource.relationships?.group?.data?.id ?? resource.id ?? null;
+  }
+}
+
+export default Permissions;
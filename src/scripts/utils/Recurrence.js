@@ -0,0 +1,217 @@
+// Recurrence - Expands meeting recurrence rules into occurrence dates
+// A rule is { frequency, weekdays, until, count, skipDates } where dates are local 'YYYY-MM-DD'
+// strings and weekdays are MEETING_DAYS keys ('mon'...'sun'). Like iCalendar, count includes
+// occurrences that are later skipped, so skipping spring break doesn't extend the series.
+
+export const RECURRENCE_FREQUENCIES = {
+  NONE: 'none',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+};
+
+// Safety cap on how many meetings one series may create
+export const MAX_OCCURRENCES = 100;
+
+// Index matches Date.getUTCDay()
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class Recurrence {
+  /* ======= EXPANSION ======= */
+
+  // Returns the occurrence dates of rule from startDate onwards, skipped dates removed
+  static expand(rule, startDate) {
+    const start = this.parseDate(startDate);
+    if (!start || !this.isRecurring(rule)) {
+      return start ? [startDate] : [];
+    }
+
+    const count = Math.min(parseInt(rule.count, 10) || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const skipDates = new Set(rule.skipDates || []);
+    return this.getMatchingDates(rule, startDate, count).filter(date => !skipDates.has(date));
+  }
+
+  // Dates rule matches from startDate until its end date, skipped dates included, at most limit of them
+  static getMatchingDates(rule, startDate, limit) {
+    const start = this.parseDate(startDate);
+    const until = this.parseDate(rule.until);
+    const weekdays = this.getWeekdays(rule, startDate);
+    // Weeks are counted from the Monday of the start week so biweekly series stay in step
+    const weekStart = start - ((start.getUTCDay() + 6) % 7) * DAY_MS;
+
+    const dates = [];
+    for (let day = start.getTime(); dates.length < limit; day += DAY_MS) {
+      if (until && day > until.getTime()) break;
+      // Even the sparsest rule (one day every other week) reaches limit within this window
+      if (day - start.getTime() > limit * 14 * DAY_MS) break;
+
+      const date = new Date(day);
+      if (this.matches(rule, date, weekdays, weekStart)) {
+        dates.push(this.formatDate(date));
+      }
+    }
+
+    return dates;
+  }
+
+  // True when a rule ending on a date would create more than MAX_OCCURRENCES meetings
+  // (skipped dates count, as they do for rule.count)
+  static exceedsLimit(rule, startDate) {
+    if (!this.isRecurring(rule) || rule.count || !this.parseDate(startDate)) return false;
+    return this.getMatchingDates(rule, startDate, MAX_OCCURRENCES + 1).length > MAX_OCCURRENCES;
+  }
+
+  static matches(rule, date, weekdays, weekStart) {
+    if (rule.frequency === RECURRENCE_FREQUENCIES.DAILY) return true;
+
+    if (!weekdays.includes(WEEKDAY_KEYS[date.getUTCDay()])) return false;
+    if (rule.frequency === RECURRENCE_FREQUENCIES.BIWEEKLY) {
+      return Math.floor((date - weekStart) / (7 * DAY_MS)) % 2 === 0;
+    }
+    return true;
+  }
+
+  // Returns an error message for an incomplete rule, or null when it can be expanded
+  static validate(rule, startDate) {
+    if (!this.isRecurring(rule)) return null;
+
+    if (!rule.until && !rule.count) {
+      return 'Choose an end date or a number of occurrences for the repeating meeting.';
+    }
+    if (rule.until && rule.until < startDate) {
+      return 'The repeat end date must be on or after the first meeting.';
+    }
+    if (rule.count && (rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+      return `A repeating meeting can have between 1 and ${MAX_OCCURRENCES} occurrences.`;
+    }
+    if (this.exceedsLimit(rule, startDate)) {
+      return `A repeating meeting can have at most ${MAX_OCCURRENCES} occurrences. Choose an earlier end date.`;
+    }
+    if (this.expand(rule, startDate).length === 0) {
+      return 'This repeat rule doesn\'t produce any meetings.';
+    }
+    return null;
+  }
+
+  /* ======= RULES ======= */
+
+  static isRecurring(rule) {
+    return !!rule && !!rule.frequency && rule.frequency !== RECURRENCE_FREQUENCIES.NONE;
+  }
+
+  // Weekly rules default to the weekday of the first meeting
+  static getWeekdays(rule, startDate) {
+    if (rule.weekdays?.length) return rule.weekdays;
+    const start = this.parseDate(startDate);
+    return start ? [WEEKDAY_KEYS[start.getUTCDay()]] : [];
+  }
+
+  // True when two rules produce the same dates
+  static isSameRule(a, b) {
+    const normalize = (rule) => JSON.stringify([
+      rule?.frequency || RECURRENCE_FREQUENCIES.NONE,
+      [...(rule?.weekdays || [])].sort(),
+      rule?.until || null,
+      rule?.count || null,
+      [...(rule?.skipDates || [])].sort()
+    ]);
+    return normalize(a) === normalize(b);
+  }
+
+  // Moves a rule by days - weekdays, end date and skipped dates all shift with it
+  static shift(rule, days) {
+    if (!rule || days === 0) return rule;
+
+    return {
+      ...rule,
+      weekdays: (rule.weekdays || []).map(day => WEEKDAY_KEYS[(WEEKDAY_KEYS.indexOf(day) + (days % 7) + 7) % 7]),
+      until: rule.until ? this.addDays(rule.until, days) : null,
+      skipDates: (rule.skipDates || []).map(date => this.addDays(date, days))
+    };
+  }
+
+  // Reads a rule from a meeting_series resource's attributes
+  static fromAttributes(attributes = {}) {
+    if (!attributes.frequency) return null;
+
+    return {
+      frequency: attributes.frequency,
+      weekdays: attributes.weekdays || [],
+      until: attributes.until || null,
+      count: attributes.count || null,
+      skipDates: attributes.skip_dates || []
+    };
+  }
+
+  // Serializes a rule for the meeting_series/ endpoint
+  static toAttributes(rule) {
+    return {
+      frequency: rule.frequency,
+      weekdays: rule.weekdays || [],
+      until: rule.until || null,
+      count: rule.count || null,
+      skip_dates: rule.skipDates || []
+    };
+  }
+
+  // "Every 2 weeks on Mon, Wed until Dec 11, 2026 (1 skipped date)"
+  static describe(rule, startDate = null) {
+    if (!this.isRecurring(rule)) return 'Does not repeat';
+
+    const days = this.getWeekdays(rule, startDate)
+      .map(day => day.charAt(0).toUpperCase() + day.slice(1))
+      .join(', ');
+
+    let text = {
+      [RECURRENCE_FREQUENCIES.DAILY]: 'Every day',
+      [RECURRENCE_FREQUENCIES.WEEKLY]: `Every week on ${days}`,
+      [RECURRENCE_FREQUENCIES.BIWEEKLY]: `Every 2 weeks on ${days}`,
+    }[rule.frequency] || 'Repeats';
+
+    if (rule.until) {
+      const until = this.parseDate(rule.until);
+      text += ` until ${until.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`;
+    } else if (rule.count) {
+      text += `, ${rule.count} times`;
+    }
+
+    const skipped = rule.skipDates?.length || 0;
+    if (skipped > 0) {
+      text += ` (${skipped} skipped ${skipped === 1 ? 'date' : 'dates'})`;
+    }
+
+    return text;
+  }
+
+  /* ======= DATES ======= */
+
+  // 'YYYY-MM-DD' -> UTC midnight, so day arithmetic isn't affected by daylight saving
+  static parseDate(dateString) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString || '')) return null;
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  static formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Local calendar date of a timestamp as 'YYYY-MM-DD'
+  static toDateString(value) {
+    const date = new Date(value);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  static addDays(dateString, days) {
+    return this.formatDate(new Date(this.parseDate(dateString).getTime() + days * DAY_MS));
+  }
+
+  static daysBetween(fromDate, toDate) {
+    return Math.round((this.parseDate(toDate) - this.parseDate(fromDate)) / DAY_MS);
+  }
+}
+
+export default Recurrence;
@@ -0,0 +1,151 @@
+// RecurrenceForm - The "Repeat" controls of the schedule meeting form
+// Reads and fills a Recurrence rule from the repeat select, weekday checkboxes, end date or
+// count, and the list of skipped dates, and keeps the summary line under them up to date.
+
+import Recurrence, { RECURRENCE_FREQUENCIES } from './Recurrence.js';
+
+class RecurrenceForm {
+  /* ======= SETUP ======= */
+
+  // Wires up the repeat controls - safe to call every time the modal opens
+  static attach() {
+    const repeatSelect = document.getElementById('meeting-repeat');
+    if (!repeatSelect || repeatSelect.dataset.bound) return;
+    repeatSelect.dataset.bound = 'true';
+
+    const form = repeatSelect.form;
+    const update = () => this.updateVisibility();
+
+    repeatSelect.addEventListener('change', update);
+    document.getElementById('meeting-repeat-end')?.addEventListener('change', update);
+    form?.addEventListener('change', (e) => {
+      if (e.target.name === 'repeatDays' || e.target.id?.startsWith('meeting-')) this.updateSummary();
+    });
+
+    document.getElementById('add-skip-date')?.addEventListener('click', () => {
+      const input = document.getElementById('meeting-skip-date');
+      if (!input?.value) return;
+      this.addSkipDate(input.value);
+      input.value = '';
+    });
+
+    document.getElementById('meeting-skip-dates')?.addEventListener('click', (e) => {
+      const removeButton = e.target.closest('[data-skip-date]');
+      if (!removeButton) return;
+      removeButton.closest('.badge')?.remove();
+      this.updateSummary();
+    });
+
+    this.updateVisibility();
+  }
+
+  // Hides or shows the whole repeat section (single occurrences can't change the rule)
+  static setEnabled(enabled) {
+    const section = document.getElementById('meeting-repeat-section');
+    if (section) section.classList.toggle('d-none', !enabled);
+  }
+
+  static updateVisibility() {
+    const rule = this.getRule();
+    const repeating = Recurrence.isRecurring(rule);
+    const weekly = rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY || rule.frequency === RECURRENCE_FREQUENCIES.BIWEEKLY;
+    const endsByCount = document.getElementById('meeting-repeat-end')?.value === 'count';
+
+    document.getElementById('meeting-repeat-options')?.classList.toggle('d-none', !repeating);
+    document.getElementById('meeting-repeat-days')?.classList.toggle('d-none', !weekly);
+    document.getElementById('meeting-repeat-until-field')?.classList.toggle('d-none', endsByCount);
+    document.getElementById('meeting-repeat-count-field')?.classList.toggle('d-none', !endsByCount);
+
+    this.updateSummary();
+  }
+
+  // "Every week on Mon, Wed until Dec 11, 2026 - 14 meetings"
+  static updateSummary() {
+    const summary = document.getElementById('meeting-repeat-summary');
+    if (!summary) return;
+
+    const rule = this.getRule();
+    const startDate = document.getElementById('meeting-date')?.value;
+    if (!Recurrence.isRecurring(rule) || !startDate || Recurrence.validate(rule, startDate)) {
+      summary.textContent = '';
+      return;
+    }
+
+    const total = Recurrence.expand(rule, startDate).length;
+    summary.textContent = `${Recurrence.describe(rule, startDate)} - ${total} ${total === 1 ? 'meeting' : 'meetings'}`;
+  }
+
+  /* ======= VALUE ======= */
+
+  // The rule described by the controls; frequency is 'none' for one-off meetings
+  static getRule() {
+    const frequency = document.getElementById('meeting-repeat')?.value || RECURRENCE_FREQUENCIES.NONE;
+    const endsByCount = document.getElementById('meeting-repeat-end')?.value === 'count';
+    const weekly = frequency === RECURRENCE_FREQUENCIES.WEEKLY || frequency === RECURRENCE_FREQUENCIES.BIWEEKLY;
+
+    return {
+      frequency,
+      weekdays: weekly
+        ? Array.from(document.querySelectorAll('input[name="repeatDays"]:checked')).map(input => input.value)
+        : [],
+      until: endsByCount ? null : (document.getElementById('meeting-repeat-until')?.value || null),
+      count: endsByCount ? (parseInt(document.getElementById('meeting-repeat-count')?.value, 10) || null) : null,
+      skipDates: Array.from(document.querySelectorAll('#meeting-skip-dates [data-skip-date]'))
+        .map(button => button.dataset.skipDate)
+        .sort()
+    };
+  }
+
+  // Fills the controls from a rule (null resets them to "Does not repeat")
+  static setRule(rule) {
+    const repeatSelect = document.getElementById('meeting-repeat');
+    if (!repeatSelect) return;
+
+    repeatSelect.value = rule?.frequency || RECURRENCE_FREQUENCIES.NONE;
+    document.querySelectorAll('input[name="repeatDays"]').forEach(input => {
+      input.checked = (rule?.weekdays || []).includes(input.value);
+    });
+
+    const endSelect = document.getElementById('meeting-repeat-end');
+    if (endSelect) endSelect.value = rule?.count ? 'count' : 'until';
+
+    const untilInput = document.getElementById('meeting-repeat-until');
+    if (untilInput) untilInput.value = rule?.until || '';
+
+    const countInput = document.getElementById('meeting-repeat-count');
+    if (countInput) countInput.value = rule?.count || '';
+
+    const skipList = document.getElementById('meeting-skip-dates');
+    if (skipList) skipList.innerHTML = '';
+    (rule?.skipDates || []).forEach(date => this.addSkipDate(date));
+
+    this.updateVisibility();
+  }
+
+  static reset() {
+    this.setRule(null);
+    this.setEnabled(true);
+  }
+
+  static addSkipDate(date) {
+    const skipList = document.getElementById('meeting-skip-dates');
+    if (!skipList || skipList.querySelector(`[data-skip-date="${date}"]`)) return;
+
+    const badge = document.createElement('span');
+    badge.className = 'badge bg-light text-dark border d-inline-flex align-items-center';
+    badge.textContent = Recurrence.parseDate(date)?.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' }) || date;
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn-close ms-2';
+    removeButton.style.fontSize = '0.6rem';
+    removeButton.setAttribute('aria-label', 'Remove skipped date');
+    removeButton.dataset.skipDate = date;
+
+    badge.appendChild(removeButton);
+    skipList.appendChild(badge);
+    this.updateSummary();
+  }
+}
+
+export default RecurrenceForm;
@@ -0,0 +1,86 @@
+// SeriesScopeDialog - Asks which occurrences of a recurring meeting an action applies to
+// The modal is built on first use so any page can ask without its own template markup.
+
+import { Modal } from 'bootstrap';
+import { SERIES_SCOPES } from '../api/MeetingsService.js';
+
+const DIALOG_ID = 'seriesScopeModal';
+
+const ACTION_TITLES = {
+  edit: 'Edit recurring meeting',
+  cancel: 'Cancel recurring meeting',
+};
+
+const SCOPE_LABELS = {
+  [SERIES_SCOPES.OCCURRENCE]: 'This meeting',
+  [SERIES_SCOPES.FOLLOWING]: 'This and following meetings',
+  [SERIES_SCOPES.SERIES]: 'All meetings in the series',
+};
+
+class SeriesScopeDialog {
+  // Resolves to a SERIES_SCOPES value, or null when the dialog is dismissed
+  // action is 'edit' or 'cancel'
+  static choose(action = 'edit') {
+    const element = this.getElement();
+    const modal = Modal.getOrCreateInstance(element);
+
+    element.querySelector('.modal-title').textContent = ACTION_TITLES[action] || ACTION_TITLES.edit;
+    element.querySelector(`input[value="${SERIES_SCOPES.OCCURRENCE}"]`).checked = true;
+
+    return new Promise((resolve) => {
+      let scope = null;
+      const confirmButton = element.querySelector('.series-scope-confirm');
+
+      const onConfirm = () => {
+        scope = element.querySelector('input[name="seriesScope"]:checked')?.value || null;
+        modal.hide();
+      };
+      const onHidden = () => {
+        confirmButton.removeEventListener('click', onConfirm);
+        resolve(scope);
+      };
+
+      confirmButton.addEventListener('click', onConfirm);
+      element.addEventListener('hidden.bs.modal', onHidden, { once: true });
+      modal.show();
+    });
+  }
+
+  static getElement() {
+    const existing = document.getElementById(DIALOG_ID);
+    if (existing) return existing;
+
+    const options = Object.entries(SCOPE_LABELS).map(([scope, label]) => `
+      <div class="form-check mb-2">
+        <input class="form-check-input" type="radio" name="seriesScope" id="seriesScope-${scope}" value="${scope}">
+        <label class="form-check-label" for="seriesScope-${scope}">${label}</label>
+      </div>
+    `).join('');
+
+    const element = document.createElement('div');
+    element.className = 'modal fade';
+    element.id = DIALOG_ID;
+    element.tabIndex = -1;
+    element.setAttribute('aria-hidden', 'true');
+    element.innerHTML = `
+      <div class="modal-dialog modal-dialog-centered modal-sm">
+        <div class="modal-content rounded-4 p-3">
+          <div class="modal-header border-0 pb-0">
+            <h2 class="h5 modal-title"></h2>
+            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+          </div>
+          <div class="modal-body pt-3">${options}</div>
+          <div class="modal-footer border-0 pt-0">
+            <button type="button" class="btn btn-sm btn-outline-dark-gray" data-bs-dismiss="modal">Back</button>
+            <button type="button" class="btn btn-sm btn-gator-accent series-scope-confirm">Continue</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(element);
+    return element;
+  }
+}
+
+export default SeriesScopeDialog;
@@ -0,0 +1,41 @@
+// Slugs - Id-based detail URLs shared by study groups and meetings
+// Paths look like /study-groups/42-calc-study: the id finds the record and the slug keeps the
+// URL readable. Older links used the slug alone, so those are still resolved by name.
+
+class Slugs {
+  // 'Calc 2: Midterm Review!' -> 'calc-2-midterm-review'
+  static create(name = '') {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .replace(/-+/g, '-');
+  }
+
+  // ('/study-groups', group 42 'Calc Study') -> '/study-groups/42-calc-study'
+  static createPath(basePath, record) {
+    const slug = this.create(record.attributes?.name || '');
+    return `${basePath}/${slug ? `${record.id}-${slug}` : record.id}`;
+  }
+
+  // Splits a route parameter into its id and slug parts
+  // '42-calc-study' -> { id: '42', slug: 'calc-study' }, 'calc-study' (legacy) -> { id: null, slug: 'calc-study' }
+  static parse(param = '') {
+    const matches = param.match(/^(\d+)(?:-(.*))?$/);
+    if (matches) {
+      return { id: matches[1], slug: matches[2] || '' };
+    }
+    return { id: null, slug: param };
+  }
+
+  // Finds the record a route parameter points to - getById(id) and getBySlug(slug) resolve to a record or null
+  // The id wins whenever it exists, so a renamed record's old URL still opens it (callers then
+  // replace the URL with the current slug). Names are only scanned when no record has that id.
+  static async resolve(param, { getById, getBySlug }) {
+    const { id } = this.parse(param);
+    const record = id ? await getById(id) : null;
+    return record || await getBySlug(param);
+  }
+}
+
+export default Slugs;
@@ -160,6 +160,11 @@ module.exports = {
     // Define environment variables
     new webpack.DefinePlugin({
       'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'development'),
+      // Build-time API defaults - can be overridden at runtime via config.json
+      'process.env.API_BASE_URL': JSON.stringify(process.env.API_BASE_URL || 'http://127.0.0.1:8000/api/v1'),
+      'process.env.API_ENUM_URL': JSON.stringify(process.env.API_ENUM_URL || 'http://127.0.0.1:8000/api'),
+      // Course catalog used when the enum endpoint doesn't list courses (JSON or CSV)
+      'process.env.COURSE_CATALOG_URL': JSON.stringify(process.env.COURSE_CATALOG_URL || '/assets/data/course-catalog.json'),
     }),
   ],
   